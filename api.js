@@ -0,0 +1,94 @@
+/**
+ * @file Public module API
+ * @description Builds the versioned API exposed on game.modules.get('tokencontextmenu').api
+ * so other modules can open the menu and contribute their own sections and entries.
+ *
+ * @example
+ * const api = game.modules.get('tokencontextmenu').api;
+ * api.registerEntry({
+ *     id: 'my-module.recover-shaken',
+ *     label: 'Recover from Shaken',
+ *     icon: 'icons/svg/regen.svg',
+ *     visible: ({ actor }) => actor?.system.status.isShaken,
+ *     callback: ({ actor }) => actor.toggleStatusEffect('shaken', { active: false })
+ * });
+ */
+
+import { menuExtensionRegistry } from "./managers/MenuExtensionRegistry.js";
+import { weaponSystemCoordinator } from "./managers/WeaponSystemCoordinator.js";
+import { rollAdapterRegistry } from "./integrations/RollAdapterRegistry.js";
+import { MENU_EXTENSIONS } from "./utils/constants.js";
+import { debugWarn } from "./utils/debug.js";
+
+/**
+ * Resolves a token placeable from a token, token document or token ID
+ * @param {Token|TokenDocument|string} token - Token reference
+ * @returns {Token|null} The token placeable on the current canvas
+ */
+function resolveToken(token) {
+    if (typeof token === 'string') return canvas.tokens?.get(token) ?? null;
+    if (token instanceof foundry.canvas.placeables.Token) return token;
+    return token?.object ?? null;
+}
+
+/**
+ * Creates the public API object
+ * @returns {Object} Frozen API object
+ */
+export function createModuleApi() {
+    return Object.freeze({
+        /** API version, bumped on breaking changes */
+        VERSION: MENU_EXTENSIONS.API_VERSION,
+
+        /**
+         * Opens the menu for a token
+         * @param {Token|TokenDocument|string} token - Token, token document or token ID
+         * @returns {Promise<boolean>} True if the menu was opened
+         */
+        async openMenu(token) {
+            const placeable = resolveToken(token);
+            if (!placeable?.actor) {
+                debugWarn("API openMenu: token not found on the current scene", token);
+                return false;
+            }
+
+            const { showWeaponMenuUnderToken } = await import("./utils/weaponMenuDisplay.js");
+            await showWeaponMenuUnderToken(placeable);
+            return weaponSystemCoordinator.isMenuOpen();
+        },
+
+        /**
+         * Closes the open menu
+         * @returns {Promise<boolean>} True if a menu was closed
+         */
+        async closeMenu() {
+            const { closeWeaponMenu } = await import("./utils/weaponMenuCloser.js");
+            return closeWeaponMenu({ reason: 'api' });
+        },
+
+        /**
+         * Checks if a menu is open, optionally for a specific token
+         * @param {Token|TokenDocument|string} [token] - Token to check
+         * @returns {boolean} True if the menu is open (for that token)
+         */
+        isMenuOpen(token) {
+            if (!weaponSystemCoordinator.isMenuOpen()) return false;
+            if (token === undefined) return true;
+            return weaponSystemCoordinator.getMenuToken()?.id === resolveToken(token)?.id;
+        },
+
+        /**
+         * Rebuilds the open menu, e.g. after state used by a visibility predicate changed
+         * @returns {Promise<void>}
+         */
+        async refreshMenu() {
+            await weaponSystemCoordinator.getMenuApp()?.refresh?.();
+        },
+
+        registerSection: (section) => menuExtensionRegistry.registerSection(section),
+        unregisterSection: (id) => menuExtensionRegistry.unregisterSection(id),
+        registerEntry: (entry) => menuExtensionRegistry.registerEntry(entry),
+        unregisterEntry: (id) => menuExtensionRegistry.unregisterEntry(id),
+        registerRollAdapter: (id, adapter) => rollAdapterRegistry.register(id, adapter)
+    });
+}
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * @file Theme configuration window
+ * @description Settings menu for choosing the weapon menu theme and creating, editing,
+ * importing and exporting custom themes.
+ */
+
+import { themeManager } from "../managers/ThemeManager.js";
+import { THEMES } from "../utils/constants.js";
+
+const { ApplicationV2, DialogV2 } = foundry.applications.api;
+
+/**
+ * Theme picker and editor
+ * Built-in themes are read-only; duplicate one to edit its colors.
+ */
+export class ThemeConfigApplication extends ApplicationV2 {
+    constructor(options = {}) {
+        super(options);
+        this.selectedThemeId = themeManager.getActiveThemeId();
+    }
+
+    static DEFAULT_OPTIONS = {
+        id: "tokencontextmenu-theme-config",
+        tag: "form",
+        classes: ["tokencontextmenu-theme-config"],
+        window: {
+            title: "tokencontextmenu.Themes.ConfigTitle",
+            contentClasses: ["standard-form"]
+        },
+        position: { width: 480 },
+        form: {
+            handler: ThemeConfigApplication._onSubmit,
+            closeOnSubmit: false
+        },
+        actions: {
+            activate: ThemeConfigApplication._onActivate,
+            duplicate: ThemeConfigApplication._onDuplicate,
+            importTheme: ThemeConfigApplication._onImport,
+            exportTheme: ThemeConfigApplication._onExport,
+            deleteTheme: ThemeConfigApplication._onDelete
+        }
+    };
+
+    /**
+     * Renders the theme list, color editor and buttons
+     * @returns {Promise<string>} Window HTML
+     * @protected
+     */
+    async _renderHTML() {
+        const theme = themeManager.getTheme(this.selectedThemeId) ?? themeManager.getTheme(THEMES.DEFAULT_ID);
+        this.selectedThemeId = theme.id;
+        const activeId = themeManager.getActiveThemeId();
+        const colors = themeManager.getColors(theme.id);
+        const disabled = theme.builtIn ? "disabled" : "";
+        const escape = foundry.utils.escapeHTML;
+        const localize = key => game.i18n.localize(`tokencontextmenu.Themes.${key}`);
+
+        const options = themeManager.getThemes().map(candidate => {
+            const label = candidate.id === activeId ? `${candidate.name} (${localize("Active")})` : candidate.name;
+            const selected = candidate.id === theme.id ? "selected" : "";
+            return `<option value="${candidate.id}" ${selected}>${escape(label)}</option>`;
+        }).join('');
+
+        const colorRows = THEMES.COLOR_KEYS.map(key => `<div class="form-group">
+                <label>${localize(`Colors.${key}`)}</label>
+                <div class="form-fields"><input type="color" name="${key}" value="${themeManager.toHex(colors[key])}" ${disabled}></div>
+            </div>`).join('');
+        const alphaRows = THEMES.ALPHA_KEYS.map(key => `<div class="form-group">
+                <label>${localize(`Colors.${key}`)}</label>
+                <div class="form-fields"><input type="number" name="${key}" value="${colors[key]}" min="0" max="1" step="0.05" ${disabled}></div>
+            </div>`).join('');
+
+        const customButtons = theme.builtIn ? '' : `
+            <button type="submit"><i class="fas fa-save"></i> ${localize("Save")}</button>
+            <button type="button" data-action="deleteTheme"><i class="fas fa-trash"></i> ${localize("Delete")}</button>`;
+
+        return `<div class="form-group">
+                <label>${localize("Theme")}</label>
+                <div class="form-fields"><select name="themeId">${options}</select></div>
+            </div>
+            <div class="form-group">
+                <label>${localize("Name")}</label>
+                <div class="form-fields"><input type="text" name="name" value="${escape(theme.name)}" maxlength="${THEMES.MAX_NAME_LENGTH}" ${disabled}></div>
+            </div>
+            <p class="hint">${localize(theme.builtIn ? "BuiltInHint" : "CustomHint")}</p>
+            <fieldset class="tokencontextmenu-theme-colors">${colorRows}${alphaRows}</fieldset>
+            <footer class="form-footer">
+                <button type="button" data-action="activate"><i class="fas fa-check"></i> ${localize("Activate")}</button>
+                <button type="button" data-action="duplicate"><i class="fas fa-copy"></i> ${localize("Duplicate")}</button>
+                ${customButtons}
+                <button type="button" data-action="importTheme"><i class="fas fa-file-import"></i> ${localize("Import")}</button>
+                <button type="button" data-action="exportTheme"><i class="fas fa-file-export"></i> ${localize("Export")}</button>
+            </footer>`;
+    }
+
+    /**
+     * Replaces the window content
+     * @param {string} result - Rendered HTML
+     * @param {HTMLElement} content - Content element
+     * @protected
+     */
+    _replaceHTML(result, content) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Switches the editor when another theme is picked
+     * @param {Object} context - Render context
+     * @param {Object} options - Render options
+     * @protected
+     */
+    _onRender(context, options) {
+        this.element.querySelector("select[name=themeId]")?.addEventListener("change", event => {
+            this.selectedThemeId = event.target.value;
+            this.render();
+        });
+    }
+
+    /**
+     * Saves the edited custom theme
+     * @param {SubmitEvent} event - Submit event
+     * @param {HTMLFormElement} form - The form
+     * @param {FormDataExtended} formData - Form data
+     * @private
+     */
+    static async _onSubmit(event, form, formData) {
+        const { name, ...colors } = formData.object;
+        if (themeManager.getTheme(this.selectedThemeId)?.builtIn) return;
+
+        await themeManager.saveTheme(this.selectedThemeId, name, colors);
+        this.render();
+    }
+
+    /**
+     * Activates the selected theme
+     * @private
+     */
+    static async _onActivate() {
+        await themeManager.setActiveTheme(this.selectedThemeId);
+        this.render();
+    }
+
+    /**
+     * Creates a custom copy of the selected theme
+     * @private
+     */
+    static async _onDuplicate() {
+        const source = themeManager.getTheme(this.selectedThemeId);
+        const name = await DialogV2.prompt({
+            window: { title: game.i18n.localize("tokencontextmenu.Themes.Duplicate") },
+            content: `<input type="text" name="name" maxlength="${THEMES.MAX_NAME_LENGTH}" value="${foundry.utils.escapeHTML(game.i18n.format("tokencontextmenu.Themes.CopyName", { name: source.name }))}" autofocus>`,
+            ok: { callback: (event, button) => button.form.elements.name.value },
+            rejectClose: false
+        });
+        if (!name) return;
+
+        const themeId = await themeManager.createTheme(name, this.selectedThemeId);
+        if (themeId) {
+            this.selectedThemeId = themeId;
+            this.render();
+        }
+    }
+
+    /**
+     * Imports a theme from pasted JSON
+     * @private
+     */
+    static async _onImport() {
+        const json = await DialogV2.prompt({
+            window: { title: game.i18n.localize("tokencontextmenu.Themes.Import") },
+            content: `<p>${game.i18n.localize("tokencontextmenu.Themes.ImportHint")}</p>
+                <textarea name="json" rows="12"></textarea>`,
+            ok: { callback: (event, button) => button.form.elements.json.value },
+            rejectClose: false
+        });
+        if (!json) return;
+
+        const themeId = await themeManager.importTheme(json);
+        if (themeId) {
+            this.selectedThemeId = themeId;
+            this.render();
+        }
+    }
+
+    /**
+     * Downloads the selected theme as JSON
+     * @private
+     */
+    static _onExport() {
+        themeManager.exportTheme(this.selectedThemeId);
+    }
+
+    /**
+     * Deletes the selected custom theme after confirmation
+     * @private
+     */
+    static async _onDelete() {
+        const theme = themeManager.getTheme(this.selectedThemeId);
+        if (!theme || theme.builtIn) return;
+
+        const confirmed = await DialogV2.confirm({
+            window: { title: game.i18n.localize("tokencontextmenu.Themes.Delete") },
+            content: `<p>${game.i18n.format("tokencontextmenu.Themes.DeleteConfirm", { name: foundry.utils.escapeHTML(theme.name) })}</p>`,
+            rejectClose: false
+        });
+        if (!confirmed) return;
+
+        await themeManager.deleteTheme(theme.id);
+        this.selectedThemeId = themeManager.getActiveThemeId();
+        this.render();
+    }
+}
@@ -1,13 +1,24 @@
-import { getWeaponMenuIconScale, getWeaponMenuItemsPerRow, shouldShowDetailedTooltips, shouldZoomOnEquipmentMode, getEquipmentModeZoomLevel, getEquipmentModeZoomDuration, shouldBlurOnEquipmentMode, getAlwaysShowReloadButton } from "../settings/settings.js";
+import { getWeaponMenuIconScale, getWeaponMenuItemsPerRow, shouldShowDetailedTooltips, shouldZoomOnEquipmentMode, getEquipmentModeZoomLevel, getEquipmentModeZoomDuration, shouldBlurOnEquipmentMode, getAlwaysShowReloadButton, shouldTrackPowerPoints, shouldTrackMaintainedPowers, shouldShowResourceStrip, getWeaponMenuLayout, getWeaponMenuAnchor, getWeaponMenuRenderMode } from "../settings/settings.js";
 import { handleWeaponSelection, handleWeaponEdit } from "../utils/weaponHandlers.js";
 import { weaponSystemCoordinator } from "../managers/WeaponSystemCoordinator.js";
 import { equipmentModeHandler } from "../managers/EquipmentModeHandler.js";
 import { weaponMenuTooltipManager } from "../managers/WeaponMenuTooltipManager.js";
 import { blurFilterManager } from "../managers/BlurFilterManager.js";
 import { ectMenuManager } from "../managers/ECTMenuManager.js";
+import { modifierWheelManager } from "../managers/ModifierWheelManager.js";
+import { loadoutManager } from "../managers/LoadoutManager.js";
+import { menuExtensionRegistry } from "../managers/MenuExtensionRegistry.js";
+import { consumableManager } from "../managers/ConsumableManager.js";
+import { powerPointManager } from "../managers/PowerPointManager.js";
+import { statusToggleManager } from "../managers/StatusToggleManager.js";
+import { actorResourceManager } from "../managers/ActorResourceManager.js";
+import { maintainedPowerManager } from "../managers/MaintainedPowerManager.js";
+import { equipmentFilterManager } from "../managers/EquipmentFilterManager.js";
+import { itemOrderManager } from "../managers/ItemOrderManager.js";
+import { themeManager } from "../managers/ThemeManager.js";
 import { WeaponMenuBuilder } from "../utils/WeaponMenuBuilder.js";
 import { tickerDelay, timestamps } from "../utils/timingUtils.js";
-import { COLORS, SIZES, UI, GRAPHICS, TIMING, MOUSE_BUTTON, MATH, CONTAINER, UI_ANIMATION, EQUIPMENT_ZOOM, RELOAD_BUTTON, WEAPON_MENU_ANIMATION } from "../utils/constants.js";
+import { SIZES, UI, GRAPHICS, TIMING, MOUSE_BUTTON, MATH, UI_ANIMATION, EQUIPMENT_ZOOM, RELOAD_BUTTON, WEAPON_MENU_ANIMATION, MENU_NOTICE, LOADOUTS, MENU_EXTENSIONS, KEYBOARD_NAV, MAINTAINED_POWERS, STATUS_TOGGLES, RESOURCES, WEAPON_MENU_LAYOUT, MENU_RENDER_MODE, ITEM_ORDER } from "../utils/constants.js";
 import { WeaponMenuStateMachine, OperationQueue, ContainerVerification } from "../utils/weaponMenuState.js";
 import { debug, debugWarn, debugError } from "../utils/debug.js";
 
@@ -42,6 +53,8 @@ export class WeaponMenuApplication {
         
         // Equipment mode state
         this.equipmentMode = false;
+        this.equipmentFilter = equipmentFilterManager.createFilter(); // Filter bar state, equipment mode only
+        this.focusedItemId = null; // Keyboard focus, tracked by item ID across rebuilds
         
         // Store expand button references
         this.expandButtons = new Map();
@@ -149,17 +162,11 @@ export class WeaponMenuApplication {
         
         this.container = new PIXI.Container();
         this.container.name = "tokencontextmenu-weapon-menu";
-        this.container.x = this.token.x + (this.token.w / MATH.CENTER_DIVISOR);
-
-        // Store final Y position for animation
-        const finalY = this.token.y + this.token.h + UI.MENU_Y_OFFSET;
-
-        // Set initial position and opacity for animation (start from token bottom)
-        this.container.y = this.token.y + this.token.h;
         this.container.alpha = WEAPON_MENU_ANIMATION.INITIAL_ALPHA;
+        this.container.scale.set(this._getMenuScale());
 
         // Use the menu builder to create the menu
-        const { weaponContainers } = this.menuBuilder.buildMenu(
+        const { weaponContainers, loadoutButtons, resourceButtons, maintainedIcons } = this.menuBuilder.buildMenu(
             this.container, 
             this.weapons, 
             this.expandButtons,
@@ -167,7 +174,12 @@ export class WeaponMenuApplication {
                 itemMetadata: this.itemMetadata,
                 equipmentMode: this.equipmentMode,
                 onWeaponHover: (container, event) => this._setupWeaponEvents(container, container.getChildByName('background'), this.menuBuilder.iconRadius),
-                onExpandClick: (section) => this._handleExpandToggle(section)
+                onExpandClick: (section) => this._handleExpandToggle(section),
+                ...this._getLayoutBuildOptions(),
+                ...this._getLoadoutBuildOptions(),
+                ...this._getPowerPointBuildOptions(),
+                ...this._getResourceBuildOptions(),
+                ...this._getMaintainedPowerBuildOptions()
             }
         );
         
@@ -182,6 +194,17 @@ export class WeaponMenuApplication {
         this.expandButtons.forEach((button, section) => {
             this._setupExpandButtonEvents(button);
         });
+
+        // Set up events for loadout buttons
+        loadoutButtons.forEach(button => this._setupLoadoutButtonEvents(button));
+        resourceButtons.forEach(button => this._setupResourceButtonEvents(button));
+        maintainedIcons.forEach(icon => this._setupMaintainedIconEvents(icon));
+        this._restoreFocus();
+
+        // Anchor the built menu, then start slightly above the final position for the animation
+        const { x, y: finalY } = this._getAnchoredPosition();
+        this.container.x = x;
+        this.container.y = finalY - UI.MENU_Y_OFFSET;
         
         canvas.tokens.addChild(this.container);
 
@@ -292,6 +315,331 @@ export class WeaponMenuApplication {
 
 
 
+    /**
+     * Gets the container scale for the render mode setting
+     * Screen mode cancels out the canvas zoom so the menu keeps its pixel size.
+     * @returns {number} Container scale (1 in world mode)
+     * @private
+     */
+    _getMenuScale() {
+        if (getWeaponMenuRenderMode() !== MENU_RENDER_MODE.SCREEN) return 1;
+        return 1 / canvas.stage.scale.x;
+    }
+
+    /**
+     * Keeps a screen-space menu at its pixel size and anchored while the canvas pans or zooms
+     * The ring layout is sized around the token on screen, so a zoom change rebuilds it.
+     * World-space menus move with the canvas and only the filter bar has to follow them.
+     * @private
+     */
+    _onCanvasPan() {
+        if (!this.container || this.container.destroyed) return;
+        if (getWeaponMenuRenderMode() !== MENU_RENDER_MODE.SCREEN) {
+            this._positionFilterBar();
+            return;
+        }
+
+        const scale = this._getMenuScale();
+        if (scale !== this.container.scale.x) {
+            this.container.scale.set(scale);
+            if (getWeaponMenuLayout() === WEAPON_MENU_LAYOUT.RING) this._scheduleLiveRefresh();
+        }
+        this._reanchor();
+    }
+
+    /**
+     * Moves the menu to its anchored position, finishing any running open animation
+     * @private
+     */
+    _reanchor() {
+        if (this._openAnimationName) {
+            CanvasAnimation.terminateAnimation(this._openAnimationName);
+            this._openAnimationName = null;
+            this._openAnimationPromise = null;
+            this.container.alpha = WEAPON_MENU_ANIMATION.FINAL_ALPHA;
+        }
+        const { x, y } = this._getAnchoredPosition();
+        this.container.x = x;
+        this.container.y = y;
+        this._positionFilterBar();
+    }
+
+    /**
+     * Computes the menu position for the anchor setting
+     * @returns {{x: number, y: number}} Container position in canvas coordinates
+     * @private
+     */
+    _getAnchoredPosition() {
+        return this.menuBuilder.getAnchoredPosition(
+            this.container,
+            this.token,
+            getWeaponMenuAnchor(),
+            getWeaponMenuLayout()
+        );
+    }
+
+    /**
+     * Gets the layout options for the menu builder
+     * @returns {Object} Builder options (ring layout needs the token radius in container units)
+     * @private
+     */
+    _getLayoutBuildOptions() {
+        const layout = getWeaponMenuLayout();
+        if (layout !== WEAPON_MENU_LAYOUT.RING) return { layout };
+
+        return {
+            layout,
+            ringInnerRadius: Math.max(this.token.w, this.token.h) / MATH.CENTER_DIVISOR / this._getMenuScale()
+        };
+    }
+
+    /**
+     * Gets the loadout bar options for the menu builder
+     * The loadout bar is only shown in equipment mode.
+     * @returns {Object} Builder options (empty outside equipment mode)
+     * @private
+     */
+    _getLoadoutBuildOptions() {
+        const actor = this.token.actor;
+        if (!this.equipmentMode || !actor?.isOwner) return {};
+
+        return {
+            loadouts: loadoutManager.getLoadouts(actor).map(loadout => ({
+                id: loadout.id,
+                name: loadout.name,
+                active: loadoutManager.isLoadoutActive(actor, loadout)
+            })),
+            saveLoadoutLabel: game.i18n.localize("tokencontextmenu.Loadouts.Save")
+        };
+    }
+
+    /**
+     * Gets the power point bar options for the menu builder
+     * Bars are shown when the menu lists powers and the actor has power points.
+     * @returns {Object} Builder options (empty when there is nothing to show)
+     * @private
+     */
+    _getPowerPointBuildOptions() {
+        if (!shouldTrackPowerPoints() || !this.weapons.some(item => item.type === "power")) return {};
+
+        const pools = powerPointManager.getPools(this.token.actor);
+        return pools.length ? { powerPointPools: pools } : {};
+    }
+
+    /**
+     * Gets the resource strip options for the menu builder
+     * The strip is shown outside equipment mode for actors that have bennies.
+     * @returns {Object} Builder options (empty when there is nothing to show)
+     * @private
+     */
+    _getResourceBuildOptions() {
+        const actor = this.token.actor;
+        if (!shouldShowResourceStrip() || this.equipmentMode || !actor?.isOwner) return {};
+
+        const resources = actorResourceManager.getResources(actor);
+        if (!resources) return {};
+
+        return {
+            resourceButtons: [
+                {
+                    action: RESOURCES.ACTIONS.SPEND_BENNY,
+                    label: game.i18n.format("tokencontextmenu.Resources.SpendBenny", { count: resources.bennies }),
+                    disabled: resources.bennies === 0
+                },
+                {
+                    action: RESOURCES.ACTIONS.SOAK,
+                    label: game.i18n.localize("tokencontextmenu.Resources.Soak"),
+                    disabled: resources.bennies === 0
+                },
+                {
+                    action: RESOURCES.ACTIONS.UNSHAKE,
+                    label: game.i18n.localize("tokencontextmenu.Resources.Unshake"),
+                    disabled: !resources.isShaken
+                }
+            ]
+        };
+    }
+
+    /**
+     * Sets up events for resource strip buttons
+     * Rolls close the menu so the chat card is visible; spending a benny keeps it open.
+     * @param {PIXI.Container} button - The resource button container
+     * @private
+     */
+    _setupResourceButtonEvents(button) {
+        button.on('pointerover', () => {
+            if (!button.isDisabled) button.drawButton(RESOURCES.BUTTON_HOVER_BORDER);
+        });
+        button.on('pointerout', () => button.drawButton(button.defaultBorder));
+
+        button.on('pointerdown', async (event) => {
+            event.stopPropagation();
+            if (event.data?.originalEvent) {
+                event.data.originalEvent.stopPropagation();
+            }
+            if (event.data.button !== MOUSE_BUTTON.LEFT || button.isDisabled) return;
+
+            const token = this.token;
+            switch (button.resourceAction) {
+                case RESOURCES.ACTIONS.SPEND_BENNY:
+                    if (await actorResourceManager.spendBenny(token.actor)) {
+                        await this._updateMenuDisplay(); // Refresh to show the new count
+                    }
+                    break;
+                case RESOURCES.ACTIONS.SOAK:
+                    this.close();
+                    await actorResourceManager.rollSoak(token);
+                    break;
+                case RESOURCES.ACTIONS.UNSHAKE:
+                    this.close();
+                    await actorResourceManager.rollUnshake(token);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Gets the maintained power ring options for the menu builder
+     * @returns {Object} Builder options (empty when nothing is maintained)
+     * @private
+     */
+    _getMaintainedPowerBuildOptions() {
+        if (!shouldTrackMaintainedPowers()) return {};
+
+        const maintained = maintainedPowerManager.getMaintained(this.token.actor);
+        return maintained.length ? { maintainedPowers: maintained } : {};
+    }
+
+    /**
+     * Sets up events for maintained power ring icons
+     * Hovering shows the power and its remaining rounds, clicking offers to drop it.
+     * @param {PIXI.Container} icon - The ring icon container
+     * @private
+     */
+    _setupMaintainedIconEvents(icon) {
+        const entry = () => maintainedPowerManager.getMaintained(this.token.actor)
+            .find(candidate => candidate.id === icon.maintainedId);
+
+        icon.on('pointerover', (event) => {
+            icon.drawButton(MAINTAINED_POWERS.HOVER_BORDER);
+            const current = entry();
+            if (current) {
+                this._showTooltip(game.i18n.format("tokencontextmenu.Maintained.Tooltip", {
+                    power: foundry.utils.escapeHTML(current.name),
+                    rounds: current.remaining
+                }), event);
+            }
+        });
+        icon.on('pointerout', () => {
+            icon.drawButton(icon.defaultBorder);
+            this._hideTooltip();
+        });
+
+        icon.on('pointerdown', async (event) => {
+            event.stopPropagation();
+            if (event.data?.originalEvent) {
+                event.data.originalEvent.stopPropagation();
+            }
+            if (event.data.button !== MOUSE_BUTTON.LEFT) return;
+
+            const current = entry();
+            if (!current) return;
+            this._hideTooltip();
+
+            const confirmed = await foundry.applications.api.DialogV2.confirm({
+                window: { title: game.i18n.localize("tokencontextmenu.Maintained.DropTitle") },
+                content: `<p>${game.i18n.format("tokencontextmenu.Maintained.DropConfirm", {
+                    power: foundry.utils.escapeHTML(current.name)
+                })}</p>`,
+                rejectClose: false
+            });
+            if (confirmed === true) {
+                await maintainedPowerManager.dropPower(this.token.actor, current.id);
+            }
+        });
+    }
+
+    /**
+     * Sets up events for loadout buttons
+     * Left-click applies a preset (or saves one), right-click deletes a preset.
+     * @param {PIXI.Container} button - The loadout button container
+     * @private
+     */
+    _setupLoadoutButtonEvents(button) {
+        button.on('pointerover', () => button.drawButton(LOADOUTS.BUTTON_HOVER_BORDER));
+        button.on('pointerout', () => button.drawButton(button.defaultBorder));
+
+        button.on('pointerdown', async (event) => {
+            event.stopPropagation();
+            if (event.data?.originalEvent) {
+                event.data.originalEvent.stopPropagation();
+            }
+
+            const actor = this.token.actor;
+            if (button.isSaveButton) {
+                if (event.data.button !== MOUSE_BUTTON.LEFT) return;
+                const name = await this._promptLoadoutName();
+                if (name && await loadoutManager.saveLoadout(actor, name)) {
+                    await this._updateMenuDisplay(); // Refresh to show the new preset
+                }
+            } else if (event.data.button === MOUSE_BUTTON.LEFT) {
+                if (await loadoutManager.applyLoadout(actor, button.loadoutId)) {
+                    await this._updateMenuDisplay(); // Refresh to show the new equipment
+                }
+            } else if (event.data.button === MOUSE_BUTTON.RIGHT) {
+                if (await this._confirmLoadoutDelete(button.loadoutId)) {
+                    await loadoutManager.deleteLoadout(actor, button.loadoutId);
+                    await this._updateMenuDisplay(); // Refresh to remove the preset
+                }
+            }
+        });
+    }
+
+    /**
+     * Prompts for a loadout name
+     * @returns {Promise<string|null>} The entered name, or null if cancelled
+     * @private
+     */
+    async _promptLoadoutName() {
+        try {
+            return await foundry.applications.api.DialogV2.prompt({
+                window: { title: game.i18n.localize("tokencontextmenu.Loadouts.SaveTitle") },
+                content: `<div class="form-group">
+                    <label>${game.i18n.localize("tokencontextmenu.Loadouts.NameLabel")}</label>
+                    <input type="text" name="name" maxlength="${LOADOUTS.MAX_NAME_LENGTH}" autofocus>
+                </div>`,
+                ok: {
+                    label: game.i18n.localize("tokencontextmenu.Loadouts.Save"),
+                    callback: (event, button) => button.form.elements.name.value
+                },
+                rejectClose: false
+            });
+        } catch (error) {
+            debugWarn('Loadout name prompt failed', error);
+            return null;
+        }
+    }
+
+    /**
+     * Asks for confirmation before deleting a loadout
+     * @param {string} loadoutId - Loadout ID
+     * @returns {Promise<boolean>} True if confirmed
+     * @private
+     */
+    async _confirmLoadoutDelete(loadoutId) {
+        const loadout = loadoutManager.getLoadouts(this.token.actor).find(entry => entry.id === loadoutId);
+        if (!loadout) return false;
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize("tokencontextmenu.Loadouts.DeleteTitle") },
+            content: `<p>${game.i18n.format("tokencontextmenu.Loadouts.DeleteConfirm", {
+                name: foundry.utils.escapeHTML(loadout.name)
+            })}</p>`,
+            rejectClose: false
+        });
+        return confirmed === true;
+    }
+
     /**
      * Sets up interactive events for weapon icons
      * Handles hover effects, tooltips, and click actions
@@ -302,18 +650,15 @@ export class WeaponMenuApplication {
      */
     _setupWeaponEvents(weaponContainer, iconBg, iconRadius) {
         weaponContainer.on('pointerover', (event) => {
+            // No hover effects or tooltips on the icons passed while dragging another one
+            if (this._itemDrag?.dragging) return;
+
             weaponContainer.scale.set(UI_ANIMATION.HOVER_SCALE);
             iconBg.clear();
 
             const weapon = weaponContainer.weapon;
             const metadata = this.itemMetadata.get(weapon.id);
-            const isCarriedOrUnfavorited = metadata?.isCarried || metadata?.isUnfavorited || metadata?.isStored;
-            
-            // Use desaturated hover colors for carried/unfavorited/stored items
-            const hoverColor = isCarriedOrUnfavorited ? COLORS.CARRIED_HOVER_BACKGROUND :
-                             (weapon.type === "power" ? COLORS.POWER_HOVER_BACKGROUND : COLORS.WEAPON_HOVER_BACKGROUND);
-            const hoverBorder = isCarriedOrUnfavorited ? COLORS.CARRIED_HOVER_BORDER :
-                              (weapon.type === "power" ? COLORS.POWER_HOVER_BORDER : COLORS.WEAPON_HOVER_BORDER);
+            const { background: hoverColor, border: hoverBorder } = this.menuBuilder.getIconColors(weapon, metadata, true);
 
             iconBg.beginFill(hoverColor);
             iconBg.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, hoverBorder);
@@ -368,13 +713,7 @@ export class WeaponMenuApplication {
 
             const weapon = weaponContainer.weapon;
             const metadata = this.itemMetadata.get(weapon.id);
-            const isCarriedOrUnfavorited = metadata?.isCarried || metadata?.isUnfavorited || metadata?.isStored;
-            
-            // Use desaturated colors for carried/unfavorited/stored items
-            const bgColor = isCarriedOrUnfavorited ? COLORS.CARRIED_BACKGROUND :
-                           (weapon.type === "power" ? COLORS.POWER_BACKGROUND : COLORS.WEAPON_BACKGROUND);
-            const borderColor = isCarriedOrUnfavorited ? COLORS.CARRIED_BORDER : 
-                              (weapon.type === "power" ? COLORS.POWER_BORDER : COLORS.WEAPON_BORDER);
+            const { background: bgColor, border: borderColor } = this.menuBuilder.getIconColors(weapon, metadata);
 
             iconBg.beginFill(bgColor);
             iconBg.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, borderColor);
@@ -399,20 +738,348 @@ export class WeaponMenuApplication {
             this._hideTooltip();
 
             if (event.data.button === MOUSE_BUTTON.LEFT) {
-                await this._handleWeaponSelection(weaponContainer.weapon.id, weaponContainer._isEmpty);
+                const openModifierWheel = modifierWheelManager.isOpenEvent(event.data.originalEvent);
+
+                // In manual sort mode the press may start a drag; the item is used on release instead
+                if (this._canDragItem(weaponContainer)) {
+                    this._startItemDrag(weaponContainer, event, openModifierWheel);
+                    return;
+                }
+                await this._activateItem(weaponContainer, openModifierWheel);
             } else if (event.data.button === MOUSE_BUTTON.RIGHT) {
-                await this._handleWeaponEdit(weaponContainer.weapon.id);
+                await this._openItemContext(weaponContainer);
             }
         });
     }
 
+    /**
+     * Uses the item of a menu icon (left-click, Enter or number key)
+     * @param {PIXI.Container} weaponContainer - The item's container
+     * @param {boolean} [openModifierWheel=false] - Whether to pick situational modifiers before rolling
+     * @private
+     */
+    async _activateItem(weaponContainer, openModifierWheel = false) {
+        // Custom entries from the module API run their own callback
+        if (weaponContainer.weapon.type === MENU_EXTENSIONS.ENTRY_TYPE) {
+            await this._handleCustomEntry(weaponContainer.weapon.entryId);
+            return;
+        }
+        // Status row entries toggle their condition
+        if (weaponContainer.weapon.type === STATUS_TOGGLES.ENTRY_TYPE) {
+            if (await statusToggleManager.toggle(this.token, weaponContainer.weapon.statusId)) {
+                await this._updateMenuDisplay(); // Refresh to show the new state
+            }
+            return;
+        }
+        await this._handleWeaponSelection(weaponContainer.weapon.id, weaponContainer._isEmpty, openModifierWheel);
+    }
+
+    /**
+     * Opens the ECT/edit menu of a menu icon (right-click or context key)
+     * @param {PIXI.Container} weaponContainer - The item's container
+     * @private
+     */
+    async _openItemContext(weaponContainer) {
+        if (weaponContainer.weapon.type === MENU_EXTENSIONS.ENTRY_TYPE ||
+            weaponContainer.weapon.type === STATUS_TOGGLES.ENTRY_TYPE) return;
+
+        // Skills have no ECT options, open their sheet directly
+        if (weaponContainer.weapon.type === "skill") {
+            await handleWeaponEdit(this.token, weaponContainer.weapon.id, () => this.close());
+            return;
+        }
+        await this._handleWeaponEdit(weaponContainer.weapon.id);
+    }
+
+    // ============= Drag to Reorder =============
+
+    /**
+     * Checks if an icon can be dragged to a new place
+     * @param {PIXI.Container} weaponContainer - The item's container
+     * @returns {boolean} True for actor items in manual sort mode
+     * @private
+     */
+    _canDragItem(weaponContainer) {
+        return itemOrderManager.isManualMode() &&
+               itemOrderManager.isSortable(weaponContainer.weapon) &&
+               !!this.token.actor?.isOwner;
+    }
+
+    /**
+     * Tracks a press on an icon that may turn into a drag
+     * Releasing before the pointer passed the drag threshold uses the item like a click.
+     * @param {PIXI.Container} weaponContainer - The pressed item's container
+     * @param {PIXI.InteractionEvent} event - The pointerdown event
+     * @param {boolean} openModifierWheel - Whether a click would open the modifier wheel
+     * @private
+     */
+    _startItemDrag(weaponContainer, event, openModifierWheel) {
+        this._cancelItemDrag();
+
+        const drag = {
+            container: weaponContainer,
+            startX: event.data.global.x,
+            startY: event.data.global.y,
+            alpha: weaponContainer.alpha,
+            dragging: false,
+            openModifierWheel
+        };
+        drag.onMove = (e) => this._onItemDragMove(e);
+        drag.onUp = () => this._onItemDragEnd();
+
+        weaponContainer.on('globalpointermove', drag.onMove);
+        weaponContainer.on('pointerup', drag.onUp);
+        weaponContainer.on('pointerupoutside', drag.onUp);
+        this._itemDrag = drag;
+    }
+
+    /**
+     * Moves the dragged icon with the pointer once the drag threshold is passed
+     * @param {PIXI.InteractionEvent} event - The pointermove event
+     * @private
+     */
+    _onItemDragMove(event) {
+        const drag = this._itemDrag;
+        if (!drag || drag.container.destroyed || !ContainerVerification.isValid(this.container)) return;
+
+        const { x, y } = event.data.global;
+        if (!drag.dragging) {
+            const dx = Math.abs(x - drag.startX);
+            const dy = Math.abs(y - drag.startY);
+            if (dx <= TIMING.DRAG_THRESHOLD_PIXELS && dy <= TIMING.DRAG_THRESHOLD_PIXELS) return;
+
+            drag.dragging = true;
+            this._hideTooltip();
+            drag.container.alpha = ITEM_ORDER.DRAG_ALPHA;
+            drag.container.parent.addChild(drag.container); // Draw above the other icons
+        }
+
+        const position = this.container.toLocal(event.data.global);
+        drag.container.position.set(position.x, position.y);
+    }
+
+    /**
+     * Drops the dragged icon, or uses the item if it was not dragged
+     * Dropping onto an icon of the same section moves the item to that place and saves the
+     * order; anywhere else the icon slides back.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _onItemDragEnd() {
+        const drag = this._itemDrag;
+        this._cancelItemDrag();
+        if (!drag || drag.container.destroyed) return;
+
+        if (!drag.dragging) {
+            await this._activateItem(drag.container, drag.openModifierWheel);
+            return;
+        }
+
+        const target = this._findDropTarget(drag.container);
+        if (target) {
+            const menuIds = this.weapons.filter(item => itemOrderManager.isSortable(item)).map(item => item.id);
+            await itemOrderManager.moveItem(this.token.actor, menuIds, drag.container.weapon.id, target.weapon.id);
+        }
+
+        // Rebuild in the saved order; unchanged icons tween to their slots
+        await this.refresh();
+    }
+
+    /**
+     * Finds the icon the dragged icon was dropped on
+     * @param {PIXI.Container} dragged - The dragged container
+     * @returns {PIXI.Container|null} Closest icon of the same section within reach, or null
+     * @private
+     */
+    _findDropTarget(dragged) {
+        let best = null;
+        let bestDistance = this.menuBuilder.baseIconSize * ITEM_ORDER.DROP_RADIUS_RATIO;
+
+        for (const candidate of this.weaponContainers) {
+            if (candidate === dragged || candidate.destroyed) continue;
+            if (!itemOrderManager.isSortable(candidate.weapon)) continue;
+            if (!itemOrderManager.isSameSection(dragged.weapon, candidate.weapon)) continue;
+
+            const distance = Math.hypot(candidate.x - dragged.x, candidate.y - dragged.y);
+            if (distance <= bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Stops tracking a press or drag without dropping
+     * @private
+     */
+    _cancelItemDrag() {
+        const drag = this._itemDrag;
+        if (!drag) return;
+
+        this._itemDrag = null;
+        drag.container.off('globalpointermove', drag.onMove);
+        drag.container.off('pointerup', drag.onUp);
+        drag.container.off('pointerupoutside', drag.onUp);
+        if (!drag.container.destroyed) {
+            drag.container.alpha = drag.alpha;
+        }
+    }
+
+    // ============= Keyboard Navigation =============
+
+    /**
+     * Moves the keyboard focus to the nearest icon in a direction
+     * The first icon is focused when nothing has focus yet.
+     * @param {number} dx - Horizontal direction (-1, 0 or 1)
+     * @param {number} dy - Vertical direction (-1, 0 or 1)
+     */
+    moveFocus(dx, dy) {
+        const current = this._getFocusedContainer();
+        if (!current) {
+            this._setFocus(this.weaponContainers[0]);
+            return;
+        }
+
+        let best = null;
+        let bestScore = Infinity;
+        for (const candidate of this.weaponContainers) {
+            const offsetX = candidate.x - current.x;
+            const offsetY = candidate.y - current.y;
+            const along = dx ? offsetX * dx : offsetY * dy;
+            if (candidate === current || along <= 0) continue;
+
+            const across = dx ? Math.abs(offsetY) : Math.abs(offsetX);
+            const score = along + across * KEYBOARD_NAV.CROSS_AXIS_WEIGHT;
+            if (score < bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+
+        if (best) this._setFocus(best);
+    }
+
+    /**
+     * Uses the focused item
+     * @returns {Promise<void>}
+     */
+    async useFocusedItem() {
+        const focused = this._getFocusedContainer();
+        if (focused) await this._activateItem(focused);
+    }
+
+    /**
+     * Opens the ECT/edit menu of the focused item
+     * @returns {Promise<void>}
+     */
+    async editFocusedItem() {
+        const focused = this._getFocusedContainer();
+        if (focused) await this._openItemContext(focused);
+    }
+
+    /**
+     * Uses the Nth item in menu order
+     * @param {number} index - Zero-based item index
+     * @returns {Promise<void>}
+     */
+    async useItemAt(index) {
+        const container = this.weaponContainers[index];
+        if (!container) return;
+
+        this._setFocus(container);
+        await this._activateItem(container);
+    }
+
+    /**
+     * Gets the container of the focused item
+     * @returns {PIXI.Container|null} The container, or null if nothing is focused
+     * @private
+     */
+    _getFocusedContainer() {
+        if (!this.focusedItemId) return null;
+        return this.weaponContainers.find(c => c.weapon?.id === this.focusedItemId && !c.destroyed) || null;
+    }
+
+    /**
+     * Moves the focus ring to a container
+     * The focus is tracked by item ID so it survives menu rebuilds.
+     * @param {PIXI.Container} container - The container to focus
+     * @private
+     */
+    _setFocus(container) {
+        if (!container) return;
+
+        this._getFocusedContainer()?.getChildByName('focus-ring')?.destroy();
+        this.focusedItemId = container.weapon.id;
+        this._drawFocusRing(container);
+    }
+
+    /**
+     * Draws the focus ring on a container
+     * @param {PIXI.Container} container - The focused container
+     * @private
+     */
+    _drawFocusRing(container) {
+        const radius = this.menuBuilder.iconRadius * (1 + KEYBOARD_NAV.FOCUS_RING_PADDING_RATIO);
+        const ring = new PIXI.Graphics();
+        ring.name = 'focus-ring';
+        ring.lineStyle(KEYBOARD_NAV.FOCUS_RING_WIDTH, KEYBOARD_NAV.FOCUS_RING_COLOR);
+        ring.drawRoundedRect(-radius, -radius, radius * MATH.DIMENSION_MULTIPLIER, radius * MATH.DIMENSION_MULTIPLIER, UI.ICON_CORNER_RADIUS);
+        container.addChild(ring);
+    }
+
+    /**
+     * Redraws the focus ring after the menu was rebuilt
+     * Clears the focus when the focused item is no longer in the menu.
+     * @private
+     */
+    _restoreFocus() {
+        const focused = this._getFocusedContainer();
+        if (focused) {
+            // A kept container may still have its ring from before the rebuild
+            focused.getChildByName('focus-ring')?.destroy();
+            this._drawFocusRing(focused);
+        } else {
+            this.focusedItemId = null;
+        }
+    }
+
+    /**
+     * Runs the callback of a custom entry registered through the module API
+     * @param {string} entryId - Registered entry ID
+     * @private
+     */
+    async _handleCustomEntry(entryId) {
+        const entry = menuExtensionRegistry.getEntry(entryId);
+        if (!entry) {
+            debugWarn("Custom menu entry no longer registered:", entryId);
+            return;
+        }
+
+        // Capture the context before closing clears the menu state
+        const context = { token: this.token, actor: this.token.actor };
+        if (entry.closeMenu) {
+            await this.close();
+        }
+
+        try {
+            await entry.callback(context);
+        } catch (error) {
+            debugError(`Custom menu entry "${entryId}" failed`, error);
+            ui.notifications.error(`${game.i18n.localize(entry.label)} failed`);
+        }
+    }
+
     /**
      * Handle weapon selection (left-click)
      * @param {string} weaponId - The ID of the selected weapon
      * @param {boolean} isEmpty - Whether the weapon is empty
+     * @param {boolean} openModifierWheel - Whether to pick situational modifiers before rolling
      * @private
      */
-    async _handleWeaponSelection(weaponId, isEmpty = false) {
+    async _handleWeaponSelection(weaponId, isEmpty = false, openModifierWheel = false) {
         // ECT menu will be closed by its own click handler when clicking on weapon icons
         // No need to explicitly call ectMenuManager.hide() here
 
@@ -431,10 +1098,34 @@ export class WeaponMenuApplication {
             const newStatus = equipmentModeHandler.cycleEquipmentStatus(weapon);
             debug(`Cycling weapon ${weapon.name} from status ${weapon.system.equipStatus} to ${newStatus}`);
             
-            await weapon.update({ "system.equipStatus": newStatus });
+            await equipmentModeHandler.setEquipStatus(this.token.actor, weaponId, newStatus);
             await this._updateMenuDisplay(); // Refresh the menu
             return;
         }
+
+        // Skills toggle their pin in equipment mode and roll otherwise
+        if (weapon?.type === "skill") {
+            if (this.equipmentMode) {
+                const { handleSkillPinToggle } = await import("../utils/weaponHandlers.js");
+                await handleSkillPinToggle(this.token.actor, weaponId);
+                await this._updateMenuDisplay(); // Refresh to show the new pin state
+            } else {
+                const { handleSkillRoll } = await import("../utils/weaponHandlers.js");
+                await handleSkillRoll(this.token, weaponId, () => this.close());
+            }
+            return;
+        }
+
+        // Consumables are used up one at a time
+        if (consumableManager.isConsumable(weapon)) {
+            if (consumableManager.isEmpty(weapon)) {
+                ui.notifications.warn(game.i18n.format("tokencontextmenu.Messages.ItemEmpty", { item: weapon.name }));
+                return;
+            }
+            this.close();
+            await consumableManager.useConsumable(this.token, weaponId);
+            return;
+        }
         
         // Check if powers are expanded and this is a favorited power
         if (this.expandedSections.powers && weapon?.type === "power" && weapon.system.favorite === true) {
@@ -457,6 +1148,16 @@ export class WeaponMenuApplication {
             await handlePowerFavoriteToggle(this.token.actor, weaponId);
             await this._updateMenuDisplay(); // Refresh to show favorited
         } else {
+            // Stunned or Bound characters can't act
+            const blockingStatus = statusToggleManager.getBlockingStatus(this.token.actor);
+            if (blockingStatus) {
+                ui.notifications.warn(game.i18n.format("tokencontextmenu.Messages.ActionBlocked", {
+                    token: this.token.name,
+                    condition: statusToggleManager.getStatusName(blockingStatus)
+                }));
+                return;
+            }
+
             // Normal use - check if weapon is empty before using
             if (isEmpty && weapon?.type === "weapon") {
                 // Determine appropriate message based on how the weapon tracks emptiness
@@ -491,11 +1192,88 @@ export class WeaponMenuApplication {
                 return;
             }
             
+            // Powers pay power points through the power modifier picker
+            if (weapon?.type === "power" && shouldTrackPowerPoints()) {
+                if (openModifierWheel) {
+                    this._showModifierWheel(weaponId, (modifiers) => this._castPower(weapon, { modifiers }));
+                } else {
+                    await this._castPower(weapon);
+                }
+                return;
+            }
+
+            // Modifier-click picks situational modifiers first
+            if (openModifierWheel) {
+                this._showModifierWheel(weaponId);
+                return;
+            }
+
             // Weapon is not empty, proceed with normal use
             await handleWeaponSelection(this.token, weaponId, () => this.close());
         }
     }
 
+    /**
+     * Casts a power after picking its power modifiers
+     * The power points are paid once the card is created, so aborting the targeting costs nothing.
+     * @param {Item} power - The power
+     * @param {Object} [rollOptions={}] - Extra roll options (e.g. situational modifiers)
+     * @private
+     */
+    async _castPower(power, rollOptions = {}) {
+        const actor = this.token.actor;
+        const pool = powerPointManager.getPoolForPower(actor, power);
+        if (!powerPointManager.canAfford(actor, power)) {
+            ui.notifications.warn(game.i18n.format("tokencontextmenu.Messages.NotEnoughPowerPoints", {
+                power: power.name,
+                cost: powerPointManager.getPowerCost(power),
+                value: pool?.value ?? 0
+            }));
+            return;
+        }
+
+        const choice = await powerPointManager.choosePowerModifiers(actor, power);
+        if (!choice) return;
+
+        // The picker disables Cast above the pool; check again before targeting starts
+        if (!powerPointManager.canAfford(actor, power, choice.total)) {
+            ui.notifications.warn(game.i18n.format("tokencontextmenu.Messages.NotEnoughPowerPoints", {
+                power: power.name,
+                cost: choice.total,
+                value: pool?.value ?? 0
+            }));
+            return;
+        }
+
+        await handleWeaponSelection(this.token, power.id, () => this.close(), {
+            ...rollOptions,
+            powerModifiers: choice.modifiers,
+            powerPointCost: choice.total
+        });
+    }
+
+    /**
+     * Show the pre-roll modifier wheel around a weapon icon
+     * Confirming the wheel rolls the weapon with the chosen modifiers.
+     * @param {string} weaponId - The ID of the weapon or power
+     * @param {Function} [onConfirm] - Replaces the default roll, called with the chosen modifiers
+     * @private
+     */
+    _showModifierWheel(weaponId, onConfirm = null) {
+        const weaponContainer = this.weaponContainers.find(c => c.weapon?.id === weaponId);
+        const weapon = this.token.actor.items.get(weaponId);
+        if (!weaponContainer || !weapon) return;
+
+        ectMenuManager.hide();
+
+        modifierWheelManager.show({
+            weapon,
+            weaponContainer,
+            iconRadius: this.menuBuilder.iconRadius * this.container.scale.x,
+            onConfirm: onConfirm || ((modifiers) => handleWeaponSelection(this.token, weaponId, () => this.close(), { modifiers }))
+        });
+    }
+
     /**
      * Handle weapon editing (right-click)
      * @param {string} weaponId - The ID of the weapon to edit
@@ -530,7 +1308,8 @@ export class WeaponMenuApplication {
             return;
         }
 
-        // Close any existing ECT menu first (this will clear blur)
+        // Close any existing ECT menu or modifier wheel first (this will clear blur)
+        modifierWheelManager.hide();
         ectMenuManager.hide();
 
         // Show ECT menu with PIXI container reference
@@ -539,7 +1318,7 @@ export class WeaponMenuApplication {
             weapon: weapon,
             token: this.token,
             weaponContainer: weaponContainer,
-            iconRadius: this.menuBuilder.iconRadius,
+            iconRadius: this.menuBuilder.iconRadius * this.container.scale.x,
             onClose: () => {
                 // Optional: Could close the weapon menu too if desired
                 // this.close();
@@ -547,6 +1326,76 @@ export class WeaponMenuApplication {
         });
     }
 
+    /**
+     * Show a short notice above the menu
+     * Used to explain side effects such as items moved to free a hand.
+     * Falls back to a notification when the menu container is gone.
+     * @param {string} message - The notice text
+     */
+    showNotice(message) {
+        if (!ContainerVerification.isValid(this.container)) {
+            ui.notifications.info(message);
+            return;
+        }
+
+        this._clearNotice();
+
+        const notice = new PIXI.Container();
+        notice.name = "tokencontextmenu-menu-notice";
+        const colors = themeManager.getColors();
+
+        const text = new PIXI.Text(message, {
+            fontFamily: 'Arial',
+            fontSize: MENU_NOTICE.FONT_SIZE,
+            fill: colors.NOTICE_TEXT,
+            align: 'center',
+            wordWrap: true,
+            wordWrapWidth: MENU_NOTICE.MAX_WIDTH
+        });
+        text.anchor.set(GRAPHICS.CENTER_ANCHOR, 1);
+
+        const background = new PIXI.Graphics();
+        background.beginFill(colors.NOTICE_BACKGROUND, colors.NOTICE_BACKGROUND_ALPHA);
+        background.drawRoundedRect(
+            -text.width / MATH.CENTER_DIVISOR - MENU_NOTICE.PADDING,
+            -text.height - MENU_NOTICE.PADDING,
+            text.width + MENU_NOTICE.PADDING * MATH.DIMENSION_MULTIPLIER,
+            text.height + MENU_NOTICE.PADDING * MATH.DIMENSION_MULTIPLIER,
+            UI.MENU_CORNER_RADIUS
+        );
+        background.endFill();
+
+        notice.addChild(background);
+        notice.addChild(text);
+
+        // Sits above the menu on the tokens layer so menu rebuilds don't remove it
+        notice.x = this.container.x;
+        notice.y = this.container.y - MENU_NOTICE.OFFSET - MENU_NOTICE.PADDING;
+        canvas.tokens.addChild(notice);
+
+        this._notice = notice;
+        this._noticeDelayId = tickerDelay.delay(() => this._clearNotice(), MENU_NOTICE.DURATION, 'menuNotice');
+    }
+
+    /**
+     * Remove the menu notice if one is shown
+     * @private
+     */
+    _clearNotice() {
+        if (this._noticeDelayId != null) {
+            tickerDelay.cancel(this._noticeDelayId);
+            this._noticeDelayId = null;
+        }
+
+        if (this._notice) {
+            if (!this._notice.destroyed) {
+                this._notice.parent?.removeChild(this._notice);
+                this._notice.destroy({ children: true });
+            }
+            this._notice = null;
+        }
+    }
+
     /**
      * Set up event listeners for menu interaction
      * Handles click-outside and escape key for closing
@@ -644,6 +1493,104 @@ export class WeaponMenuApplication {
             }
         };
         Hooks.on('swadeReloadWeapon', this._reloadHandler);
+
+        // Screen-space menus follow the zoom, the equipment mode filter bar follows the menu
+        this._canvasPanHandler = () => this._onCanvasPan();
+        Hooks.on('canvasPan', this._canvasPanHandler);
+
+        this._registerLiveRefreshHooks();
+    }
+
+    /**
+     * Subscribes to document changes on the menu token's actor
+     * Item, actor and active effect changes made elsewhere (sheets, GM, macros) schedule a
+     * debounced rebuild so the menu never shows stale ammo, equip status or favorites.
+     * @private
+     */
+    _registerLiveRefreshHooks() {
+        const actor = this.token.actor;
+        if (!actor) return;
+
+        const isMenuActor = (document) => document?.uuid === actor.uuid;
+        // Effects may live on the actor or on one of its items
+        const isMenuEffect = (effect) => isMenuActor(effect.parent) || isMenuActor(effect.parent?.parent);
+
+        const onItemChange = (item) => {
+            if (isMenuActor(item.parent)) this._scheduleLiveRefresh();
+        };
+        const onActorChange = (changed) => {
+            if (isMenuActor(changed)) this._scheduleLiveRefresh();
+        };
+        const onEffectChange = (effect) => {
+            if (isMenuEffect(effect)) this._scheduleLiveRefresh();
+        };
+
+        this._liveRefreshHooks = [
+            ['createItem', onItemChange],
+            ['updateItem', onItemChange],
+            ['deleteItem', onItemChange],
+            ['updateActor', onActorChange],
+            ['createActiveEffect', onEffectChange],
+            ['updateActiveEffect', onEffectChange],
+            ['deleteActiveEffect', onEffectChange]
+        ].map(([hook, handler]) => [hook, Hooks.on(hook, handler)]);
+    }
+
+    /**
+     * Removes the live refresh hooks and any pending refresh
+     * @private
+     */
+    _unregisterLiveRefreshHooks() {
+        this._liveRefreshHooks?.forEach(([hook, id]) => Hooks.off(hook, id));
+        this._liveRefreshHooks = null;
+        this._cancelLiveRefresh();
+    }
+
+    /**
+     * Cancels a pending live refresh
+     * @private
+     */
+    _cancelLiveRefresh() {
+        if (this._liveRefreshTimer != null) {
+            tickerDelay.cancel(this._liveRefreshTimer);
+            this._liveRefreshTimer = null;
+        }
+    }
+
+    /**
+     * Schedules a debounced in-place rebuild of the menu
+     * Expanded sections and equipment mode are kept since the rebuild reuses the menu state.
+     * @private
+     */
+    _scheduleLiveRefresh() {
+        this._cancelLiveRefresh();
+
+        this._liveRefreshTimer = tickerDelay.delay(() => {
+            this._liveRefreshTimer = null;
+            if (this.stateMachine.getState() !== 'OPEN') return;
+
+            // The modifier wheel is anchored to a weapon icon; wait until it closes
+            if (modifierWheelManager.isOpen()) {
+                this._scheduleLiveRefresh();
+                return;
+            }
+
+            debug("Menu actor changed, refreshing menu", { token: this.token.name });
+            this.refresh();
+        }, TIMING.MENU_LIVE_REFRESH_DEBOUNCE, 'weaponMenuLiveRefresh');
+    }
+
+    /**
+     * Re-fetches the menu items and rebuilds the open menu in place
+     * Expanded sections and equipment mode are kept.
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        return this.operationQueue.enqueue(async () => {
+            if (this.stateMachine.getState() === 'OPEN') {
+                await this._updateMenuDisplay();
+            }
+        }, 'refresh');
     }
 
 
@@ -732,11 +1679,20 @@ export class WeaponMenuApplication {
                     canvas.app.view.removeEventListener('contextmenu', this.contextMenuHandler);
                     this.contextMenuHandler = null;
                 }
+                this._clearNotice();
+                this._cancelItemDrag();
+                equipmentFilterManager.hide();
+
                 // Clean up reload hook
                 if (this._reloadHandler) {
                     Hooks.off('swadeReloadWeapon', this._reloadHandler);
                     this._reloadHandler = null;
                 }
+                if (this._canvasPanHandler) {
+                    Hooks.off('canvasPan', this._canvasPanHandler);
+                    this._canvasPanHandler = null;
+                }
+                this._unregisterLiveRefreshHooks();
 
                 // Clean up weapon containers
                 this.weaponContainers.forEach(wc => {
@@ -783,6 +1739,15 @@ export class WeaponMenuApplication {
     _emergencyCleanup() {
         debugWarn('Performing emergency weapon menu cleanup');
 
+        this._clearNotice();
+        this._cancelItemDrag();
+        equipmentFilterManager.hide();
+        this._unregisterLiveRefreshHooks();
+        if (this._canvasPanHandler) {
+            Hooks.off('canvasPan', this._canvasPanHandler);
+            this._canvasPanHandler = null;
+        }
+
         // Terminate any running animations
         try {
             if (this._openAnimationName) {
@@ -907,10 +1872,13 @@ export class WeaponMenuApplication {
                 this.expandedSections.weapons = newState;
                 this.expandedSections.powers = newState;
                 this.equipmentMode = newState;
+                this.equipmentFilter = equipmentFilterManager.createFilter();
+                if (!newState) equipmentFilterManager.hide();
 
                 // Close ECT menu when entering equipment mode
                 if (newState) {
                     ectMenuManager.hide();
+                    modifierWheelManager.hide();
                 }
 
                 debug(`Toggled equipment mode to: ${newState}`, {
@@ -981,6 +1949,8 @@ export class WeaponMenuApplication {
             debug(`Calling _updateMenuDisplay...`);
             await this._updateMenuDisplay();
             debug(`_updateMenuDisplay completed`);
+
+            if (this.equipmentMode) this._showFilterBar();
             
             // Call hook
             Hooks.call('tokencontextmenu.sectionToggled', {
@@ -990,6 +1960,48 @@ export class WeaponMenuApplication {
             });
         }, 'toggleExpand');
     }
+
+    /**
+     * Shows the equipment mode filter bar under the menu
+     * @private
+     */
+    _showFilterBar() {
+        equipmentFilterManager.show(this.equipmentFilter, {
+            onChange: (filter) => this._applyEquipmentFilter(filter),
+            onMoveFocus: (dx, dy) => this.moveFocus(dx, dy),
+            onSubmit: () => this.useFocusedItem()
+        });
+        this._positionFilterBar();
+        equipmentFilterManager.setMatchCount(this.weaponContainers.length);
+    }
+
+    /**
+     * Narrows equipment mode to the items matching the filter bar
+     * The best match takes the keyboard focus, so Enter uses it without leaving the input.
+     * @param {{query: string, chip: string|null}} filter - The new filter
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applyEquipmentFilter(filter) {
+        return this.operationQueue.enqueue(async () => {
+            if (this.stateMachine.getState() !== 'OPEN' || !this.equipmentMode) return;
+
+            this.equipmentFilter = filter;
+            await this._updateMenuDisplay();
+            if (equipmentFilterManager.isActive(filter)) {
+                this._setFocus(this.weaponContainers[0]);
+            }
+        }, 'equipmentFilter');
+    }
+
+    /**
+     * Moves the filter bar along with the menu
+     * @private
+     */
+    _positionFilterBar() {
+        if (!equipmentFilterManager.isShown() || !ContainerVerification.isValid(this.container)) return;
+        equipmentFilterManager.position(this.container.getBounds());
+    }
     
     /**
      * Update menu display without closing/reopening
@@ -1002,41 +2014,27 @@ export class WeaponMenuApplication {
             menuState: this.stateMachine.getState()
         });
         
+        // This update reads the current items, so a live refresh scheduled by the menu's own
+        // changes (equip, favorite, pin) would only rebuild the same menu again
+        this._cancelLiveRefresh();
+        
         // Import getMenuItems
         const { getMenuItems } = await import("../utils/weaponMenuDisplay.js");
         
         // Get updated items
         const { items, metadata } = getMenuItems(this.token, {
             expandWeapons: this.expandedSections.weapons,
-            expandPowers: this.expandedSections.powers
+            expandPowers: this.expandedSections.powers,
+            filter: this.equipmentMode ? this.equipmentFilter : null
         });
         
         // Update stored data
         this.weapons = items;
         this.itemMetadata = metadata;
         
-        // Rebuild display
+        // Update display; the builder keeps the containers of unchanged items
         if (ContainerVerification.isValid(this.container)) {
-            // Clear existing content
-            while (this.container.children.length > 0) {
-                const child = this.container.children[CONTAINER.FIRST_CHILD_INDEX];
-                if (child && !child.destroyed) {
-                    if (child.removeAllListeners) {
-                        child.removeAllListeners();
-                    }
-                    this.container.removeChild(child);
-                    if (child.destroy) {
-                        child.destroy();
-                    }
-                }
-            }
-            
-            // Clear weapon containers array
-            this.weaponContainers = [];
-            this.expandButtons.clear();
-            
-            debug(`Container cleared, calling _rebuildMenuContent...`);
-            // Rebuild the menu content
+            debug(`Calling _rebuildMenuContent...`);
             await this._rebuildMenuContent();
             debug(`_rebuildMenuContent completed`);
         } else {
@@ -1049,6 +2047,7 @@ export class WeaponMenuApplication {
     
     /**
      * Rebuild menu content without closing/reopening
+     * Item containers are reconciled by item ID, so only new or changed items are recreated.
      * @private
      */
     async _rebuildMenuContent() {
@@ -1058,19 +2057,26 @@ export class WeaponMenuApplication {
             return;
         }
         
-        // Clear expand buttons before rebuild
+        // Clear expand buttons before rebuild; a drag in progress ends with the old icons
         this.expandButtons.clear();
+        this._cancelItemDrag();
         
         // Use the menu builder to rebuild the menu
-        const { weaponContainers } = this.menuBuilder.buildMenu(
+        const { weaponContainers, loadoutButtons, resourceButtons, maintainedIcons } = this.menuBuilder.buildMenu(
             this.container, 
             this.weapons, 
             this.expandButtons,
             {
                 itemMetadata: this.itemMetadata,
                 equipmentMode: this.equipmentMode,
+                reconcile: true,
                 onWeaponHover: (container, event) => this._setupWeaponEvents(container, container.getChildByName('background'), this.menuBuilder.iconRadius),
-                onExpandClick: (section) => this._handleExpandToggle(section)
+                onExpandClick: (section) => this._handleExpandToggle(section),
+                ...this._getLayoutBuildOptions(),
+                ...this._getLoadoutBuildOptions(),
+                ...this._getPowerPointBuildOptions(),
+                ...this._getResourceBuildOptions(),
+                ...this._getMaintainedPowerBuildOptions()
             }
         );
         
@@ -1085,6 +2091,16 @@ export class WeaponMenuApplication {
         this.expandButtons.forEach((button, section) => {
             this._setupExpandButtonEvents(button);
         });
+
+        // Set up events for loadout buttons
+        loadoutButtons.forEach(button => this._setupLoadoutButtonEvents(button));
+        resourceButtons.forEach(button => this._setupResourceButtonEvents(button));
+        maintainedIcons.forEach(icon => this._setupMaintainedIconEvents(icon));
+        this._restoreFocus();
+
+        // Re-anchor, the menu size may have changed (e.g. equipment mode above the token)
+        this._reanchor();
+        equipmentFilterManager.setMatchCount(this.weaponContainers.length);
     }
     
     /**
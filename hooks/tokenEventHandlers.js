@@ -163,11 +163,13 @@ export function debugAssertState() {
 export async function cleanupTokenHandlers() {
     // Import managers that need cleanup
     const { targetingSessionManager } = await import("../managers/TargetingSessionManager.js");
+    const { textureCacheManager } = await import("../managers/TextureCacheManager.js");
     
     // Clean up all managers
     tokenInteractionHandler.cleanup();
     weaponSystemCoordinator.cleanup();
     targetingSessionManager.cleanup();
+    textureCacheManager.cleanup();
     
     // Close any open menus
     await closeWeaponMenu();
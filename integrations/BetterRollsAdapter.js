@@ -4,16 +4,19 @@
  *
  * This adapter provides a clean interface to Better Rolls functionality,
  * decoupling the module's core logic from the specific roll system.
- * Future roll systems can be integrated by creating similar adapters.
+ * Other roll systems are integrated through the RollAdapterRegistry.
  */
 
 import { debug, debugWarn } from "../utils/debug.js";
+import { RollAdapter } from "./RollAdapter.js";
 
 /**
  * Adapter class for Better Rolls 2 integration
  * Provides a consistent interface for weapon roll creation
  */
-export class BetterRollsAdapter {
+export class BetterRollsAdapter extends RollAdapter {
+    static label = "Better Rolls 2";
+
     /**
      * Check if Better Rolls is available and active
      * @returns {boolean} True if Better Rolls can be used
@@ -29,7 +32,9 @@ export class BetterRollsAdapter {
      * @param {string} weaponId - The ID of the weapon being used
      * @param {Object} options - Additional options for the roll
      * @param {string} [options.tokenId] - The ID of the token making the attack
-     * @returns {Promise<void>}
+     * @param {Array<{label: string, value: number}>} [options.modifiers] - Situational modifiers,
+     *        forwarded to Better Rolls with the other options
+     * @returns {Promise<ChatMessage|undefined>} The created card
      */
     static async createWeaponCard(actor, weaponId, options = {}) {
         if (!this.isAvailable()) {
@@ -58,9 +63,10 @@ export class BetterRollsAdapter {
 
         try {
             // Call Better Rolls to create the attack card
-            await game.brsw.create_item_card(actor, weaponId, options);
+            const message = await game.brsw.create_item_card(actor, weaponId, options);
 
             debug(`Successfully created attack card for ${weapon.name}`);
+            return message;
         } catch (error) {
             debugWarn(`Failed to create Better Rolls card:`, error);
             ui.notifications.error(`Failed to create attack card: ${error.message}`);
@@ -68,48 +74,70 @@ export class BetterRollsAdapter {
     }
 
     /**
-     * Create a power activation card using Better Rolls
-     * @param {Actor} actor - The actor using the power
-     * @param {string} powerId - The ID of the power being used
+     * Roll a skill using a Better Rolls skill card
+     * Falls back to the native SWADE roll on Better Rolls versions without skill cards.
+     * @param {Actor} actor - The actor rolling the skill
+     * @param {string} skillId - The ID of the skill item
      * @param {Object} options - Additional options for the roll
      * @returns {Promise<void>}
      */
-    static async createPowerCard(actor, powerId, options = {}) {
-        // Powers use the same card creation method as weapons in Better Rolls
-        return this.createWeaponCard(actor, powerId, options);
+    static async rollSkill(actor, skillId, options = {}) {
+        if (!this.isAvailable() || typeof game.brsw.create_skill_card !== 'function') {
+            return super.rollSkill(actor, skillId, options);
+        }
+
+        try {
+            await game.brsw.create_skill_card(actor, skillId);
+            debug(`Successfully created skill card for ${skillId}`);
+        } catch (error) {
+            debugWarn(`Failed to create Better Rolls skill card:`, error);
+            ui.notifications.error(`Failed to create skill card: ${error.message}`);
+        }
     }
 
     /**
-     * Check if an item requires a target for its roll
-     * @param {Item} item - The item to check
-     * @returns {boolean} True if the item requires a target
+     * Roll Soak using a Better Rolls Vigor card
+     * @param {Actor} actor - The actor soaking damage
+     * @param {Object} options - Additional options for the roll
+     * @returns {Promise<boolean|Roll|null>} Truthy if the card or roll was created
      */
-    static requiresTarget(item) {
-        if (!item) return false;
+    static async rollSoak(actor, options = {}) {
+        return this._createAttributeCard(actor, 'vigor', () => super.rollSoak(actor, options));
+    }
 
-        // Check if the item has AOE templates which don't require a specific target
-        const hasTemplateAOE = item?.system?.templates &&
-            Object.values(item.system.templates).some(v => v === true);
+    /**
+     * Roll Spirit to recover from Shaken using a Better Rolls Spirit card
+     * @param {Actor} actor - The Shaken actor
+     * @param {Object} options - Additional options for the roll
+     * @returns {Promise<boolean|Roll|null>} Truthy if the card or roll was created
+     */
+    static async rollUnshake(actor, options = {}) {
+        return this._createAttributeCard(actor, 'spirit', () => super.rollUnshake(actor, options));
+    }
 
-        // Template weapons don't require a target
-        if (hasTemplateAOE) {
-            debug(`${item.name} has AOE template, no target required`);
-            return false;
+    /**
+     * Creates a Better Rolls attribute card
+     * Falls back to the native SWADE roll on Better Rolls versions without attribute cards.
+     * @param {Actor} actor - The rolling actor
+     * @param {string} attribute - Attribute key (e.g. "vigor")
+     * @param {Function} fallback - Native roll used when Better Rolls can't create the card
+     * @returns {Promise<boolean|Roll|null>} Truthy if the card or roll was created
+     * @private
+     */
+    static async _createAttributeCard(actor, attribute, fallback) {
+        if (!this.isAvailable() || typeof game.brsw.create_atribute_card !== 'function') {
+            return fallback();
         }
 
-        // Most weapons require a target unless they're AOE
-        if (item.type === 'weapon') {
+        try {
+            await game.brsw.create_atribute_card(actor, attribute);
+            debug(`Successfully created ${attribute} card for ${actor.name}`);
             return true;
+        } catch (error) {
+            debugWarn(`Failed to create Better Rolls attribute card:`, error);
+            ui.notifications.error(`Failed to create ${attribute} card: ${error.message}`);
+            return false;
         }
-
-        // Powers might require targets depending on their type
-        // This could be expanded based on power properties
-        if (item.type === 'power') {
-            // For now, assume non-AOE powers need targets
-            return !hasTemplateAOE;
-        }
-
-        return false;
     }
 
     /**
@@ -118,8 +146,7 @@ export class BetterRollsAdapter {
      */
     static clearPendingRoll() {
         // Better Rolls doesn't maintain pending state that needs clearing
-        // This method exists for future compatibility with other systems
-        debug("Clearing any pending roll state");
+        super.clearPendingRoll();
     }
 }
 
@@ -0,0 +1,197 @@
+/**
+ * @file RollAdapter.js
+ * @description Base class for roll system adapters
+ *
+ * Defines the interface every roll adapter implements. Adapters are static classes
+ * registered with the RollAdapterRegistry, which picks the one to use based on the
+ * "Roll System" setting and availability.
+ */
+
+import { debug, debugWarn } from "../utils/debug.js";
+import { powerPointManager } from "../managers/PowerPointManager.js";
+
+/**
+ * Base roll adapter
+ * Subclasses must override isAvailable and createWeaponCard.
+ */
+export class RollAdapter {
+    /**
+     * Human-readable adapter name, used in notifications and debug output
+     * @type {string}
+     */
+    static label = "Roll Adapter";
+
+    /**
+     * Check if the roll system behind this adapter can be used
+     * @returns {boolean} True if the adapter can create cards
+     */
+    static isAvailable() {
+        return false;
+    }
+
+    /**
+     * Create a weapon attack card
+     * @param {Actor} actor - The actor making the attack
+     * @param {string} weaponId - The ID of the weapon being used
+     * @param {Object} options - Additional options for the roll
+     * @param {string} [options.tokenId] - The ID of the token making the attack
+     * @param {Array<{label: string, value: number}>} [options.modifiers] - Situational modifiers
+     *        chosen in the modifier wheel
+     * @returns {Promise<ChatMessage|undefined>} The created card, if the roll system returns it
+     */
+    static async createWeaponCard(actor, weaponId, options = {}) {
+        throw new Error(`${this.label} does not implement createWeaponCard`);
+    }
+
+    /**
+     * Create a power activation card
+     * @param {Actor} actor - The actor using the power
+     * @param {string} powerId - The ID of the power being used
+     * @param {Object} options - Additional options for the roll
+     * @param {Array<{label: string, cost: number, count: number}>} [options.powerModifiers] - Power
+     *        modifiers chosen in the power point picker, listed in the card's flavor text
+     * @param {number} [options.powerPointCost] - Total power points, paid once the card was created
+     * @returns {Promise<ChatMessage|undefined>} The created card, if the roll system returns it
+     */
+    static async createPowerCard(actor, powerId, options = {}) {
+        // Most roll systems use the same card creation method for powers and weapons
+        const message = await this.createWeaponCard(actor, powerId, options);
+        await this._addCardNote(message, this._getPowerModifierNote(options));
+        return message;
+    }
+
+    /**
+     * Builds the card note listing the situational modifiers chosen in the modifier wheel
+     * Used by roll systems whose cards can't preset modifiers, so the player applies them
+     * when rolling from the card.
+     * @param {Object} options - Card options
+     * @returns {string|null} The note, or null if no modifiers were chosen
+     * @protected
+     */
+    static _getSituationalModifierNote(options = {}) {
+        if (!options.modifiers?.length) return null;
+
+        const signed = value => value >= 0 ? `+${value}` : `${value}`;
+        const total = options.modifiers.reduce((sum, modifier) => sum + (Number(modifier.value) || 0), 0);
+        return game.i18n.format("tokencontextmenu.Modifiers.CardNote", {
+            modifiers: options.modifiers.map(modifier => `${modifier.label} ${signed(modifier.value)}`).join(", "),
+            total: signed(total)
+        });
+    }
+
+    /**
+     * Builds the card note listing the power modifiers of a cast
+     * @param {Object} options - Power card options
+     * @returns {string|null} The note, or null if no power modifiers were chosen
+     * @protected
+     */
+    static _getPowerModifierNote(options = {}) {
+        if (!options.powerModifiers?.length) return null;
+
+        return game.i18n.format("tokencontextmenu.PowerPoints.CardNote", {
+            modifiers: powerPointManager.formatModifiers(options.powerModifiers),
+            cost: options.powerPointCost ?? 0
+        });
+    }
+
+    /**
+     * Adds a note to the flavor text of a created card
+     * @param {ChatMessage} message - The card, if the roll system returned it
+     * @param {string|null} note - Note to add
+     * @returns {Promise<void>}
+     * @protected
+     */
+    static async _addCardNote(message, note) {
+        if (!note || typeof message?.update !== 'function') return;
+
+        try {
+            await message.update({ flavor: [message.flavor, note].filter(Boolean).join('<br>') });
+        } catch (error) {
+            debugWarn(`Failed to add note to ${this.label} card:`, error);
+        }
+    }
+
+    /**
+     * Roll a skill
+     * Uses the native SWADE skill roll; adapters with their own skill cards override this.
+     * @param {Actor} actor - The actor rolling the skill
+     * @param {string} skillId - The ID of the skill item
+     * @param {Object} options - Additional options for the roll
+     * @param {Array<{label: string, value: number}>} [options.modifiers] - Situational modifiers
+     * @returns {Promise<void>}
+     */
+    static async rollSkill(actor, skillId, options = {}) {
+        if (!actor?.items.get(skillId)) {
+            debug(`Skill ${skillId} not found on actor ${actor?.name}`);
+            return;
+        }
+
+        const rollOptions = options.modifiers?.length ? { additionalMods: options.modifiers } : {};
+        await actor.rollSkill(skillId, rollOptions);
+    }
+
+    /**
+     * Roll Soak (a Vigor roll after spending a benny)
+     * Uses the native SWADE attribute roll; adapters with their own cards override this.
+     * @param {Actor} actor - The actor soaking damage
+     * @param {Object} options - Additional options for the roll
+     * @param {string} [options.tokenId] - The ID of the acting token
+     * @returns {Promise<Roll|null>} The roll, or null if it was cancelled
+     */
+    static async rollSoak(actor, options = {}) {
+        return actor.rollAttribute('vigor', { title: game.i18n.localize("tokencontextmenu.Resources.SoakTitle") });
+    }
+
+    /**
+     * Roll Spirit to recover from Shaken
+     * Uses the native SWADE attribute roll; adapters with their own cards override this.
+     * @param {Actor} actor - The Shaken actor
+     * @param {Object} options - Additional options for the roll
+     * @param {string} [options.tokenId] - The ID of the acting token
+     * @returns {Promise<Roll|null>} The roll, or null if it was cancelled
+     */
+    static async rollUnshake(actor, options = {}) {
+        return actor.rollAttribute('spirit', { title: game.i18n.localize("tokencontextmenu.Resources.UnshakeTitle") });
+    }
+
+    /**
+     * Check if an item requires a target for its roll
+     * @param {Item} item - The item to check
+     * @returns {boolean} True if the item requires a target
+     */
+    static requiresTarget(item) {
+        if (!item) return false;
+
+        // Check if the item has AOE templates which don't require a specific target
+        const hasTemplateAOE = item?.system?.templates &&
+            Object.values(item.system.templates).some(v => v === true);
+
+        // Template weapons don't require a target
+        if (hasTemplateAOE) {
+            debug(`${item.name} has AOE template, no target required`);
+            return false;
+        }
+
+        // Most weapons require a target unless they're AOE
+        if (item.type === 'weapon') {
+            return true;
+        }
+
+        // Powers might require targets depending on their type
+        // This could be expanded based on power properties
+        if (item.type === 'power') {
+            // For now, assume non-AOE powers need targets
+            return !hasTemplateAOE;
+        }
+
+        return false;
+    }
+
+    /**
+     * Clear any pending roll data
+     * This might be needed if a roll is cancelled
+     */
+    static clearPendingRoll() {
+        debug("Clearing any pending roll state");
+    }
+}
\ No newline at end of file
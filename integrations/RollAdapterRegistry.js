@@ -0,0 +1,121 @@
+/**
+ * @file RollAdapterRegistry.js
+ * @description Registry of roll system adapters
+ *
+ * Adapters share the RollAdapter interface (isAvailable, createWeaponCard,
+ * createPowerCard, requiresTarget). The registry resolves the adapter to use from
+ * the user's preference and falls back to the first available adapter when the
+ * preferred one is missing, so tables without Better Rolls 2 still get roll cards.
+ * Adapters registered by other modules come before the built-in ones in that order.
+ */
+
+import { debug, debugWarn } from "../utils/debug.js";
+import { ROLL_ADAPTERS } from "../utils/constants.js";
+import { BetterRollsAdapter } from "./BetterRollsAdapter.js";
+import { SwadeRollAdapter } from "./SwadeRollAdapter.js";
+
+const REQUIRED_METHODS = ['isAvailable', 'createWeaponCard', 'createPowerCard', 'requiresTarget'];
+
+/**
+ * Registry that maps adapter IDs to roll adapters
+ * When falling back, adapters from other modules are tried first, then the built-in
+ * adapters, each group in registration order.
+ */
+class RollAdapterRegistry {
+    constructor() {
+        this.adapters = new Map();
+        this.builtInIds = new Set();
+    }
+
+    /**
+     * Register a roll adapter
+     * @param {string} id - Unique adapter ID
+     * @param {Object} adapter - Adapter implementing the RollAdapter interface
+     * @param {Object} [options={}] - Registration options
+     * @param {boolean} [options.builtIn=false] - True for the module's own adapters
+     * @returns {boolean} True if the adapter was registered
+     */
+    register(id, adapter, { builtIn = false } = {}) {
+        const missing = REQUIRED_METHODS.filter(method => typeof adapter?.[method] !== 'function');
+        if (missing.length) {
+            debugWarn(`Roll adapter "${id}" is missing methods: ${missing.join(', ')}`);
+            return false;
+        }
+
+        this.adapters.set(id, adapter);
+        if (builtIn) {
+            this.builtInIds.add(id);
+        } else {
+            this.builtInIds.delete(id);
+        }
+        debug(`Registered roll adapter: ${id}`);
+        return true;
+    }
+
+    /**
+     * Remove a roll adapter
+     * @param {string} id - Adapter ID
+     * @returns {boolean} True if an adapter was removed
+     */
+    unregister(id) {
+        this.builtInIds.delete(id);
+        return this.adapters.delete(id);
+    }
+
+    /**
+     * Get a registered adapter by ID
+     * @param {string} id - Adapter ID
+     * @returns {Object|undefined} The adapter
+     */
+    get(id) {
+        return this.adapters.get(id);
+    }
+
+    /**
+     * Get the IDs of all registered adapters
+     * @returns {string[]} Adapter IDs in registration order
+     */
+    getRegisteredIds() {
+        return Array.from(this.adapters.keys());
+    }
+
+    /**
+     * Get the adapters in fallback order
+     * @returns {Object[]} Adapters from other modules, then the built-in adapters
+     * @private
+     */
+    _getFallbackOrder() {
+        const entries = Array.from(this.adapters.entries());
+        return [
+            ...entries.filter(([id]) => !this.builtInIds.has(id)),
+            ...entries.filter(([id]) => this.builtInIds.has(id))
+        ].map(([, adapter]) => adapter);
+    }
+
+    /**
+     * Resolve the adapter to use for rolls
+     * @param {string} [preferredId=ROLL_ADAPTERS.AUTO] - Preferred adapter ID, or "auto"
+     * @returns {Object|null} The preferred adapter if available, otherwise the first
+     *          available adapter (other modules' adapters first), or null if no roll
+     *          system can be used
+     */
+    getAdapter(preferredId = ROLL_ADAPTERS.AUTO) {
+        if (preferredId !== ROLL_ADAPTERS.AUTO) {
+            const preferred = this.adapters.get(preferredId);
+            if (preferred?.isAvailable()) return preferred;
+            debug(`Roll adapter "${preferredId}" unavailable, falling back`);
+        }
+
+        for (const adapter of this._getFallbackOrder()) {
+            if (adapter.isAvailable()) return adapter;
+        }
+
+        return null;
+    }
+}
+
+export const rollAdapterRegistry = new RollAdapterRegistry();
+
+// Built-in adapters, in fallback order
+rollAdapterRegistry.register(ROLL_ADAPTERS.BETTER_ROLLS, BetterRollsAdapter, { builtIn: true });
+rollAdapterRegistry.register(ROLL_ADAPTERS.SWADE, SwadeRollAdapter, { builtIn: true });
\ No newline at end of file
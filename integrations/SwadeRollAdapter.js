@@ -0,0 +1,107 @@
+/**
+ * @file SwadeRollAdapter.js
+ * @description Adapter for the SWADE system's native item chat cards
+ *
+ * Used when Better Rolls 2 is not installed. Posts the system's own item card,
+ * whose attack and damage buttons roll against the user's current targets.
+ * The card can't preset modifiers, so chosen modifiers are listed on it instead.
+ */
+
+import { debug, debugWarn } from "../utils/debug.js";
+import { RollAdapter } from "./RollAdapter.js";
+
+/**
+ * Adapter class for native SWADE rolls
+ * Provides a consistent interface for weapon roll creation
+ */
+export class SwadeRollAdapter extends RollAdapter {
+    static label = "SWADE";
+
+    /**
+     * Check if the SWADE system and its item cards are available
+     * @returns {boolean} True if native SWADE cards can be used
+     */
+    static isAvailable() {
+        return game.system?.id === 'swade' &&
+               typeof CONFIG.Item.documentClass?.prototype?.show === 'function';
+    }
+
+    /**
+     * Create a weapon attack card using the SWADE item chat card
+     * @param {Actor} actor - The actor making the attack
+     * @param {string} weaponId - The ID of the weapon being used
+     * @param {Object} options - Additional options for the roll
+     * @param {string} [options.tokenId] - The ID of the token making the attack
+     * @param {Array<{label: string, value: number}>} [options.modifiers] - Situational modifiers,
+     *        listed in the card's flavor text
+     * @returns {Promise<ChatMessage|undefined>} The created card
+     */
+    static async createWeaponCard(actor, weaponId, options = {}) {
+        return this._createItemCard(actor, weaponId, options);
+    }
+
+    /**
+     * Create a power card using the SWADE item chat card
+     * The chosen power modifiers are listed in the card's flavor text.
+     * @param {Actor} actor - The actor using the power
+     * @param {string} powerId - The ID of the power being used
+     * @param {Object} options - Additional options for the roll
+     * @param {Array<{label: string, cost: number, count: number}>} [options.powerModifiers] - Power modifiers
+     * @param {number} [options.powerPointCost] - Total power points spent
+     * @returns {Promise<ChatMessage|undefined>} The created card
+     */
+    static async createPowerCard(actor, powerId, options = {}) {
+        return this._createItemCard(actor, powerId, options, this._getPowerModifierNote(options));
+    }
+
+    /**
+     * Posts the item chat card with the chosen modifiers listed in its flavor text
+     * @param {Actor} actor - The actor using the item
+     * @param {string} weaponId - The ID of the weapon or power
+     * @param {Object} options - Additional options for the roll
+     * @param {string|null} [note=null] - Extra note added to the card's flavor text
+     * @returns {Promise<ChatMessage|undefined>} The created card
+     * @private
+     */
+    static async _createItemCard(actor, weaponId, options, note = null) {
+        if (!this.isAvailable()) {
+            debugWarn("SWADE item cards are not available");
+            ui.notifications.error("SWADE item cards are not available");
+            return;
+        }
+
+        if (!actor) {
+            debugWarn("No actor provided for weapon card creation");
+            return;
+        }
+
+        const weapon = actor.items.get(weaponId);
+        if (!weapon) {
+            debugWarn(`Weapon ${weaponId} not found on actor ${actor.name}`);
+            ui.notifications.error("Weapon not found");
+            return;
+        }
+
+        debug(`Creating SWADE item card for ${weapon.name}`, {
+            actor: actor.name,
+            weaponId,
+            options
+        });
+
+        try {
+            // The card's action buttons roll against the user's targets at click time
+            const message = await weapon.show();
+            const notes = [this._getSituationalModifierNote(options), note].filter(Boolean);
+            await this._addCardNote(message, notes.join('<br>') || null);
+
+            debug(`Successfully created item card for ${weapon.name}`);
+            return message;
+        } catch (error) {
+            debugWarn(`Failed to create SWADE item card:`, error);
+            ui.notifications.error(`Failed to create attack card: ${error.message}`);
+        }
+    }
+}
+
+// Export singleton-style access for convenience
+export const swadeRollAdapter = SwadeRollAdapter;
\ No newline at end of file
@@ -5,6 +5,7 @@
  */
 
 import {registerSettings} from "./settings/settings.js";
+import {registerKeybindings} from "./settings/keybindings.js";
 import {
     registerTokenHudSelectionHandler,
     registerTokenHudMovementHandler,
@@ -18,6 +19,7 @@ import {
     updateInteractionLayerHitArea
 } from "./utils/interactionLayerUtils.js";
 import {weaponSystemCoordinator} from "./managers/WeaponSystemCoordinator.js";
+import {createModuleApi} from "./api.js";
 import {debug, debugWarn} from "./utils/debug.js";
 
 /**
@@ -47,6 +49,12 @@ Hooks.once('init', function() {
 
     // Register module settings
     registerSettings();
+    registerKeybindings();
+
+    // Expose the public API for other modules
+    const api = createModuleApi();
+    game.modules.get('tokencontextmenu').api = api;
+    Hooks.callAll('tokencontextmenu.apiReady', api);
 });
 
 /**
@@ -0,0 +1,139 @@
+/**
+ * @file Actor resource manager
+ * @description Handles the resource strip of the weapon menu: spending bennies, rolling Soak
+ * after damage and rolling Spirit to recover from Shaken. Rolls go through the roll adapter
+ * so Better Rolls cards are used when available.
+ */
+
+import { debug, debugWarn } from "../utils/debug.js";
+
+/**
+ * Handles bennies, Soak and unshake rolls
+ */
+class ActorResourceManager {
+    /**
+     * Gets the actor's current bennies
+     * @param {Actor} actor - The actor
+     * @returns {number|null} Bennies left, or null if the actor does not track bennies
+     */
+    getBennies(actor) {
+        const bennies = actor?.system?.bennies?.value;
+        return bennies === undefined ? null : Math.max(0, Number(bennies) || 0);
+    }
+
+    /**
+     * Checks if the actor is Shaken
+     * @param {Actor} actor - The actor
+     * @returns {boolean} True if Shaken
+     */
+    isShaken(actor) {
+        return actor?.system?.status?.isShaken === true || (actor?.statuses?.has('shaken') ?? false);
+    }
+
+    /**
+     * Gets the resource strip state for an actor
+     * @param {Actor} actor - The actor
+     * @returns {{bennies: number, isShaken: boolean}|null} Strip state, or null if the actor has no bennies
+     */
+    getResources(actor) {
+        const bennies = this.getBennies(actor);
+        if (bennies === null) return null;
+        return { bennies, isShaken: this.isShaken(actor) };
+    }
+
+    /**
+     * Checks permissions and warns if the user may not act for the actor
+     * @param {Actor} actor - The actor
+     * @returns {boolean} True if allowed
+     * @private
+     */
+    _canModify(actor) {
+        if (actor?.isOwner) return true;
+        ui.notifications.warn("You don't have permission to modify this token");
+        return false;
+    }
+
+    /**
+     * Gets the actor's bennies and warns if none are left
+     * @param {Actor} actor - The actor
+     * @returns {number} Bennies left, 0 if there are none to spend
+     * @private
+     */
+    _getSpendableBennies(actor) {
+        const bennies = this.getBennies(actor);
+        if (!bennies) {
+            ui.notifications.warn(game.i18n.format("tokencontextmenu.Messages.NoBennies", { actor: actor.name }));
+            return 0;
+        }
+        return bennies;
+    }
+
+    /**
+     * Spends one benny
+     * Uses the system's spendBenny (chat card, benny animation) when it exists.
+     * @param {Actor} actor - The actor
+     * @returns {Promise<boolean>} True if a benny was spent
+     */
+    async spendBenny(actor) {
+        if (!this._canModify(actor)) return false;
+
+        const bennies = this._getSpendableBennies(actor);
+        if (!bennies) return false;
+
+        debug(`Spending a benny for ${actor.name}`, { bennies });
+
+        try {
+            if (typeof actor.spendBenny === 'function') {
+                await actor.spendBenny();
+            } else {
+                await actor.update({ "system.bennies.value": bennies - 1 });
+            }
+            return true;
+        } catch (error) {
+            debugWarn(`Failed to spend a benny for ${actor.name}:`, error);
+            ui.notifications.error(`Failed to spend a benny for ${actor.name}`);
+            return false;
+        }
+    }
+
+    /**
+     * Rolls Soak (Vigor) and spends a benny for it
+     * The benny is only spent once the roll was made, so a cancelled or failed roll costs nothing.
+     * @param {Token} token - The acting token
+     * @returns {Promise<boolean>} True if the roll was made and the benny spent
+     */
+    async rollSoak(token) {
+        const actor = token?.actor;
+        if (!this._canModify(actor)) return false;
+        if (!this._getSpendableBennies(actor)) return false;
+
+        const { targetingSessionManager } = await import("./TargetingSessionManager.js");
+        if (!await targetingSessionManager.rollSoak(actor, { tokenId: token.id })) {
+            debug(`Soak roll for ${actor.name} was not made, no benny spent`);
+            return false;
+        }
+        return this.spendBenny(actor);
+    }
+
+    /**
+     * Rolls Spirit to recover from Shaken
+     * @param {Token} token - The acting token
+     * @returns {Promise<boolean>} True if the roll was made
+     */
+    async rollUnshake(token) {
+        const actor = token?.actor;
+        if (!this._canModify(actor)) return false;
+
+        if (!this.isShaken(actor)) {
+            ui.notifications.info(game.i18n.format("tokencontextmenu.Messages.NotShaken", { actor: actor.name }));
+            return false;
+        }
+
+        const { targetingSessionManager } = await import("./TargetingSessionManager.js");
+        await targetingSessionManager.rollUnshake(actor, { tokenId: token.id });
+        return true;
+    }
+}
+
+// Export singleton instance following project pattern
+export const actorResourceManager = new ActorResourceManager();
\ No newline at end of file
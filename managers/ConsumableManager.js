@@ -0,0 +1,153 @@
+/**
+ * @file Consumable gear manager
+ * @description Detects usable or consumable gear (stimpaks, potions, grenades stored as gear,
+ * healing kits) and uses it from the weapon menu: runs its SWADE actions or applies its
+ * active effects, then decrements the quantity.
+ */
+
+import { debug, debugWarn } from "../utils/debug.js";
+
+/**
+ * Handles consumable detection and use
+ */
+class ConsumableManager {
+    /**
+     * Checks if an item belongs in the menu's gear section
+     * Consumable items always qualify; gear qualifies when it has SWADE actions or
+     * active effects to apply. Stored items (equip status 0) are left out.
+     * @param {Item} item - The item to check
+     * @returns {boolean} True if the item is a usable consumable
+     */
+    isConsumable(item) {
+        if (item?.type !== "consumable" && item?.type !== "gear") return false;
+        if (item.system?.quantity === undefined) return false;
+        if (item.system.equipStatus === 0) return false;
+
+        if (item.type === "consumable") return true;
+        return this._hasActions(item) || this._getApplicableEffects(item).length > 0;
+    }
+
+    /**
+     * Gets the remaining quantity of a consumable
+     * @param {Item} item - The consumable
+     * @returns {number} Quantity (0 if not tracked)
+     */
+    getQuantity(item) {
+        return Math.max(0, Number(item?.system?.quantity) || 0);
+    }
+
+    /**
+     * Checks if a consumable has none left
+     * @param {Item} item - The consumable
+     * @returns {boolean} True if the quantity is zero
+     */
+    isEmpty(item) {
+        return this.isConsumable(item) && this.getQuantity(item) === 0;
+    }
+
+    /**
+     * Checks if an item defines SWADE actions
+     * @param {Item} item - The item
+     * @returns {boolean} True if the item has additional actions
+     * @private
+     */
+    _hasActions(item) {
+        const additional = item.system?.actions?.additional;
+        return !!additional && Object.keys(additional).length > 0;
+    }
+
+    /**
+     * Gets the effects that are applied on use
+     * Transferring effects are already active on the owner while the item is carried.
+     * @param {Item} item - The item
+     * @returns {ActiveEffect[]} Non-transferring effects
+     * @private
+     */
+    _getApplicableEffects(item) {
+        return Array.from(item.effects ?? []).filter(effect => !effect.transfer);
+    }
+
+    /**
+     * Uses a consumable and decrements its quantity
+     * Items with SWADE actions post their card through the roll adapter so the actions can
+     * be rolled; items with effects apply them to the user's actor; anything else posts its
+     * chat card.
+     * @param {Token} token - The token using the item
+     * @param {string} itemId - The ID of the consumable
+     * @returns {Promise<boolean>} True if the item was used
+     */
+    async useConsumable(token, itemId) {
+        const actor = token?.actor;
+        if (!actor?.isOwner) {
+            ui.notifications.warn("You don't have permission to modify this token");
+            return false;
+        }
+
+        const item = actor.items.get(itemId);
+        if (!this.isConsumable(item)) {
+            debugWarn("Invalid consumable:", itemId);
+            return false;
+        }
+
+        const quantity = this.getQuantity(item);
+        if (quantity === 0) {
+            ui.notifications.warn(game.i18n.format("tokencontextmenu.Messages.ItemEmpty", { item: item.name }));
+            return false;
+        }
+
+        debug(`Using consumable ${item.name}`, { quantity });
+
+        try {
+            const effects = this._getApplicableEffects(item);
+            if (this._hasActions(item)) {
+                // The card records the use for the sort order; no card, nothing used up
+                const { targetingSessionManager } = await import("./TargetingSessionManager.js");
+                if (!await targetingSessionManager.createItemCard(actor, itemId, { tokenId: token.id })) {
+                    return false;
+                }
+            } else {
+                if (effects.length) {
+                    await this._applyEffects(actor, item, effects);
+                } else {
+                    await item.show?.();
+                }
+                const { itemOrderManager } = await import("./ItemOrderManager.js");
+                await itemOrderManager.recordUse(actor, itemId);
+            }
+
+            await item.update({ "system.quantity": quantity - 1 });
+            return true;
+        } catch (error) {
+            debugWarn(`Failed to use consumable ${item.name}:`, error);
+            ui.notifications.error(`Failed to use ${item.name}`);
+            return false;
+        }
+    }
+
+    /**
+     * Copies an item's effects onto an actor
+     * @param {Actor} actor - The actor receiving the effects
+     * @param {Item} item - The consumable
+     * @param {ActiveEffect[]} effects - Effects to apply
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applyEffects(actor, item, effects) {
+        const effectData = effects.map(effect => ({
+            ...effect.toObject(),
+            _id: undefined,
+            origin: item.uuid,
+            transfer: false,
+            disabled: false
+        }));
+
+        await actor.createEmbeddedDocuments("ActiveEffect", effectData);
+        ui.notifications.info(game.i18n.format("tokencontextmenu.Messages.ConsumableApplied", {
+            item: item.name,
+            effects: effects.map(effect => effect.name).join(", ")
+        }));
+    }
+}
+
+// Export singleton instance following project pattern
+export const consumableManager = new ConsumableManager();
\ No newline at end of file
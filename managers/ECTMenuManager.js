@@ -11,6 +11,8 @@ import { debug, debugWarn, debugError } from "../utils/debug.js";
 import { COLORS, TIMING, ECT_MENU, ECT_BLUR, GRID, MATH } from "../utils/constants.js";
 import { timestamps } from "../utils/timingUtils.js";
 import { getECTMenuLayout, getWeaponMenuIconScale, getECTMenuIconScale } from "../settings/settings.js";
+import { themeManager } from "./ThemeManager.js";
+import { textureCacheManager } from "./TextureCacheManager.js";
 
 /**
  * Manages ECT enhancement context menu using PIXI
@@ -23,7 +25,6 @@ class ECTMenuManager extends CleanupManager {
         this._clickHandler = null;
         this._keyHandler = null;
         this._tokenClickHandler = null;  // Hook handler for token clicks
-        this._textureCache = new Map();  // Cache for loaded textures
         this._blurredContainers = null;  // Track containers we've blurred
         
         // Set up cleanup hook - ECT menu should close when weapon menu closes
@@ -437,42 +438,15 @@ class ECTMenuManager extends CleanupManager {
 
         // Create circle border with scaled dimensions
         const circle = new PIXI.Graphics();
-        circle.lineStyle(scaledDimensions.circleBorderWidth, ECT_MENU.CIRCLE_BORDER_COLOR);
+        circle.lineStyle(scaledDimensions.circleBorderWidth, themeManager.getColors().ECT_CIRCLE_BORDER);
         circle.drawCircle(0, 0, scaledDimensions.circleRadius);
         container.addChild(circle);
 
-        // Create icon sprite (with caching) - use existence checks instead of try-catch
-        // Check texture cache first
-        let iconTexture = this._textureCache.get(iconPath);
-        if (!iconTexture) {
-            // Limit cache size - simple FIFO eviction
-            if (this._textureCache.size >= ECT_MENU.MAX_TEXTURE_CACHE_SIZE) {
-                const firstKey = this._textureCache.keys().next().value;
-                this._textureCache.delete(firstKey);
-            }
-            
-            // Check if texture can be created (validate path exists)
-            const textureLoader = PIXI.Assets || PIXI.Loader?.shared;
-            if (!textureLoader) {
-                debugWarn(`PIXI texture loader not available for icon: ${option.name}`);
-                return null;
-            }
-            
-            iconTexture = PIXI.Texture.from(iconPath);
-            this._textureCache.set(iconPath, iconTexture);
-        }
-
-        // Check if texture is valid before creating sprite
-        if (!iconTexture || iconTexture === PIXI.Texture.EMPTY || iconTexture === PIXI.Texture.WHITE) {
-            debugWarn(`Invalid texture for icon: ${option.name} at path: ${iconPath}`);
-            return null;
-        }
-
-        const icon = new PIXI.Sprite(iconTexture);
+        // Create icon sprite through the shared texture cache; icons that are still loading
+        // (or broken, which load the fallback icon) fill in once the load finishes
+        const icon = textureCacheManager.createSprite(iconPath, scaledDimensions.iconSize);
 
-        // Size and position icon within circle using scaled dimensions
-        icon.width = scaledDimensions.iconSize;
-        icon.height = scaledDimensions.iconSize;
+        // Position icon within circle using scaled dimensions
         icon.x = -(scaledDimensions.iconSize / 2);
         icon.y = -(scaledDimensions.iconSize / 2);
 
@@ -783,8 +757,6 @@ class ECTMenuManager extends CleanupManager {
             blurFilterManager.clearECTWeaponBlur(this._blurredContainers);
             this._blurredContainers = null;
         }
-        // Clear texture cache
-        this._textureCache.clear();
         this.hide();
         super.cleanup();
     }
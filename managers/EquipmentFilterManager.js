@@ -0,0 +1,270 @@
+/**
+ * @file Equipment filter manager
+ * @description Provides the filter bar shown under the weapon menu in equipment mode: a
+ * type-to-filter input and quick-filter chips (Melee, Ranged, Thrown, Powers) that narrow
+ * the menu to matching items without closing it.
+ */
+
+import { debug } from "../utils/debug.js";
+import { tickerDelay } from "../utils/timingUtils.js";
+import { getWeaponTraitGroup } from "../utils/interactionLayerUtils.js";
+import { EQUIPMENT_FILTER, EQUIP_STATUS, Z_INDEX } from "../utils/constants.js";
+
+/**
+ * Handles item matching and the filter bar element
+ * The filter itself ({query, chip}) is owned by the menu application; the bar reports
+ * changes through the callbacks passed to show().
+ */
+class EquipmentFilterManager {
+    constructor() {
+        this._bar = null;
+        this._input = null;
+        this._callbacks = null;
+        this._filter = this.createFilter();
+        this._inputDelayId = null;
+    }
+
+    /**
+     * Creates an empty filter
+     * @returns {{query: string, chip: string|null}} Filter with no query and no chip
+     */
+    createFilter() {
+        return { query: '', chip: null };
+    }
+
+    /**
+     * Checks if a filter narrows the menu at all
+     * @param {{query: string, chip: string|null}} filter - The filter
+     * @returns {boolean} True if a query or chip is set
+     */
+    isActive(filter) {
+        return !!(filter?.chip || filter?.query?.trim());
+    }
+
+    /**
+     * Checks if an item matches a filter
+     * Every word of the query must appear in the item's name, trait, equip status or power
+     * trapping.
+     * @param {Item} item - Weapon, power or skill item
+     * @param {{query: string, chip: string|null}} filter - The filter
+     * @returns {boolean} True if the item stays in the menu
+     */
+    matches(item, filter) {
+        if (!this.isActive(filter)) return true;
+        if (filter.chip && !this._matchesChip(item, filter.chip)) return false;
+
+        const terms = filter.query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (!terms.length) return true;
+
+        const text = this._getSearchText(item);
+        return terms.every(term => text.includes(term));
+    }
+
+    /**
+     * Checks an item against a quick-filter chip
+     * @param {Item} item - The item
+     * @param {string} chipId - EQUIPMENT_FILTER.CHIPS id
+     * @returns {boolean} True if the item belongs to the chip's group
+     * @private
+     */
+    _matchesChip(item, chipId) {
+        const chip = EQUIPMENT_FILTER.CHIPS.find(candidate => candidate.id === chipId);
+        if (!chip) return true;
+        if (chip.itemType) return item.type === chip.itemType;
+        return item.type === 'weapon' && getWeaponTraitGroup(item) === chip.typeGroup;
+    }
+
+    /**
+     * Gets the text a query is matched against
+     * @param {Item} item - The item
+     * @returns {string} Lower-case search text
+     * @private
+     */
+    _getSearchText(item) {
+        const parts = [item.name, item.system?.actions?.trait];
+        if (item.type === 'weapon') {
+            parts.push(EQUIP_STATUS.LABELS[item.system?.equipStatus]);
+        }
+        if (item.type === 'power') {
+            parts.push(item.system?.trapping);
+        }
+        return parts.filter(Boolean).join(' ').toLowerCase();
+    }
+
+    /**
+     * Checks if the filter bar is shown
+     * @returns {boolean} True if shown
+     */
+    isShown() {
+        return !!this._bar;
+    }
+
+    /**
+     * Shows the filter bar and focuses its input
+     * Does nothing if the bar is already shown.
+     * @param {{query: string, chip: string|null}} filter - The current filter
+     * @param {Object} callbacks - Bar callbacks
+     * @param {Function} callbacks.onChange - Called with the new filter
+     * @param {Function} callbacks.onMoveFocus - Called with (dx, dy) for the arrow keys
+     * @param {Function} callbacks.onSubmit - Called when Enter is pressed
+     */
+    show(filter, callbacks) {
+        if (this._bar || !document.body) return;
+
+        this._filter = { ...filter };
+        this._callbacks = callbacks;
+
+        const localize = key => game.i18n.localize(`tokencontextmenu.EquipmentFilter.${key}`);
+        const bar = document.createElement('div');
+        bar.className = 'tokencontextmenu-equipment-filter';
+        bar.style.zIndex = Z_INDEX.FILTER_BAR;
+        bar.innerHTML = `<input type="search" maxlength="${EQUIPMENT_FILTER.MAX_QUERY_LENGTH}" placeholder="${foundry.utils.escapeHTML(localize("Placeholder"))}">
+            <div class="tokencontextmenu-filter-chips">
+                ${EQUIPMENT_FILTER.CHIPS.map(chip => `<button type="button" data-chip="${chip.id}">${localize(chip.labelKey)}</button>`).join('')}
+            </div>
+            <p class="tokencontextmenu-filter-empty">${localize("NoMatches")}</p>`;
+
+        this._input = bar.querySelector('input');
+        this._input.value = this._filter.query;
+        this._input.addEventListener('input', () => this._onInput());
+        this._input.addEventListener('keydown', event => this._onKeyDown(event));
+        bar.querySelectorAll('[data-chip]').forEach(button => {
+            button.addEventListener('click', () => this._onChipClick(button.dataset.chip));
+        });
+
+        document.body.appendChild(bar);
+        this._bar = bar;
+        this._updateChips();
+        this._input.focus();
+
+        debug("Equipment filter bar shown");
+    }
+
+    /**
+     * Removes the filter bar
+     */
+    hide() {
+        if (this._inputDelayId != null) {
+            tickerDelay.cancel(this._inputDelayId);
+            this._inputDelayId = null;
+        }
+
+        this._bar?.remove();
+        this._bar = null;
+        this._input = null;
+        this._callbacks = null;
+        this._filter = this.createFilter();
+    }
+
+    /**
+     * Places the bar under the menu, or above it when there is no room below
+     * @param {PIXI.Rectangle} bounds - Menu bounds in canvas view pixels
+     */
+    position(bounds) {
+        if (!this._bar || !canvas?.app?.view) return;
+
+        const view = canvas.app.view.getBoundingClientRect();
+        const width = this._bar.offsetWidth;
+        const height = this._bar.offsetHeight;
+        const padding = EQUIPMENT_FILTER.EDGE_PADDING;
+
+        let top = view.top + bounds.bottom + EQUIPMENT_FILTER.OFFSET;
+        if (top + height > window.innerHeight - padding) {
+            top = view.top + bounds.top - height - EQUIPMENT_FILTER.OFFSET;
+        }
+        const left = view.left + bounds.x + (bounds.width - width) / 2;
+
+        this._bar.style.left = `${Math.min(Math.max(padding, left), window.innerWidth - width - padding)}px`;
+        this._bar.style.top = `${Math.max(padding, top)}px`;
+    }
+
+    /**
+     * Shows the "no matches" hint when an active filter leaves the menu empty
+     * @param {number} count - Number of items left in the menu
+     */
+    setMatchCount(count) {
+        this._bar?.classList.toggle('no-matches', count === 0 && this.isActive(this._filter));
+    }
+
+    /**
+     * Filters after a short pause in typing
+     * @private
+     */
+    _onInput() {
+        if (this._inputDelayId != null) {
+            tickerDelay.cancel(this._inputDelayId);
+        }
+
+        this._inputDelayId = tickerDelay.delay(() => {
+            this._inputDelayId = null;
+            if (!this._input) return;
+            this._setFilter({ ...this._filter, query: this._input.value });
+        }, EQUIPMENT_FILTER.INPUT_DEBOUNCE, 'equipmentFilterInput');
+    }
+
+    /**
+     * Handles keys in the filter input
+     * The arrow keys and Enter drive the menu focus; Escape clears the filter first and
+     * then gives the keyboard back to the menu, so the menu stays open.
+     * @param {KeyboardEvent} event - The keydown event
+     * @private
+     */
+    _onKeyDown(event) {
+        switch (event.key) {
+            case 'ArrowUp':
+            case 'ArrowDown':
+                event.preventDefault();
+                this._callbacks?.onMoveFocus(0, event.key === 'ArrowUp' ? -1 : 1);
+                break;
+            case 'Enter':
+                event.preventDefault();
+                this._callbacks?.onSubmit();
+                break;
+            case 'Escape':
+                event.preventDefault();
+                event.stopPropagation();
+                if (this.isActive(this._filter) || this._input.value) {
+                    this._input.value = '';
+                    this._setFilter(this.createFilter());
+                } else {
+                    this._input.blur();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Toggles a quick-filter chip
+     * @param {string} chipId - Chip ID
+     * @private
+     */
+    _onChipClick(chipId) {
+        this._setFilter({ ...this._filter, chip: this._filter.chip === chipId ? null : chipId });
+        this._input?.focus();
+    }
+
+    /**
+     * Stores a new filter and reports it to the menu
+     * @param {{query: string, chip: string|null}} filter - The new filter
+     * @private
+     */
+    _setFilter(filter) {
+        this._filter = filter;
+        this._updateChips();
+        debug("Equipment filter changed", filter);
+        this._callbacks?.onChange({ ...filter });
+    }
+
+    /**
+     * Marks the selected chip
+     * @private
+     */
+    _updateChips() {
+        this._bar?.querySelectorAll('[data-chip]').forEach(button => {
+            button.classList.toggle('active', button.dataset.chip === this._filter.chip);
+        });
+    }
+}
+
+// Export singleton instance following project pattern
+export const equipmentFilterManager = new EquipmentFilterManager();
@@ -4,7 +4,10 @@
  */
 
 import { debug, debugWarn } from "../utils/debug.js";
-import { WEAPON_PRIORITY, EQUIP_STATUS } from "../utils/constants.js";
+import { WEAPON_PRIORITY, EQUIP_STATUS, SKILLS } from "../utils/constants.js";
+import { weaponSystemCoordinator } from "./WeaponSystemCoordinator.js";
+import { shouldTrackAmmoInventory } from "../settings/settings.js";
+import { findAmmoItems, getWeaponAmmoName } from "../utils/ammoUtils.js";
 
 /**
  * Handles equipment mode operations and business logic
@@ -149,10 +152,126 @@ class EquipmentModeHandler {
         return EQUIP_STATUS.CYCLE_ORDER[nextIndex];
     }
 
+    // ============= Hand Slot Rules =============
+
+    /**
+     * Gets the hand slots an item would occupy at an equip status
+     * Special weapons (unarmed, claws) and non-hand items never occupy a hand.
+     * Shields always count as off-hand once equipped.
+     * @param {Item} item - The weapon or shield
+     * @param {number} status - The equip status to check
+     * @returns {string[]} Occupied hands ('main', 'off')
+     */
+    getHandsForStatus(item, status) {
+        if (item?.type === 'shield') {
+            return status >= EQUIP_STATUS.SHIELD_EQUIPPED_MIN ? ['off'] : [];
+        }
+
+        if (item?.type !== 'weapon' || this.isSpecialWeapon(item.name.toLowerCase())) {
+            return [];
+        }
+
+        return EQUIP_STATUS.HANDS[status] || [];
+    }
+
+    /**
+     * Finds the items that must be moved to carried before an item can take a new status
+     * @param {Actor} actor - The actor that owns the item
+     * @param {Item} item - The item being equipped
+     * @param {number} newStatus - The status the item will take
+     * @returns {Item[]} Items currently holding one of the needed hands
+     */
+    getHandConflicts(actor, item, newStatus) {
+        const neededHands = this.getHandsForStatus(item, newStatus);
+        if (!neededHands.length) return [];
+
+        return actor.items.filter(other =>
+            other.id !== item.id &&
+            this.getHandsForStatus(other, other.system?.equipStatus).some(hand => neededHands.includes(hand))
+        );
+    }
+
+    /**
+     * Sets an item's equip status, demoting conflicting items to carried
+     * All changes are applied in a single update. If items were moved, an in-menu
+     * notice explains what was moved.
+     * @param {Actor} actor - The actor that owns the item
+     * @param {string} itemId - The ID of the weapon or shield
+     * @param {number} newStatus - The new equip status
+     * @returns {Promise<boolean>} True if successful
+     */
+    async setEquipStatus(actor, itemId, newStatus) {
+        // Check permissions
+        if (!actor?.isOwner) {
+            ui.notifications.warn("You don't have permission to modify this token");
+            return false;
+        }
+
+        const item = actor.items.get(itemId);
+        if (!item) {
+            debugWarn("Invalid item for equip status change:", itemId);
+            return false;
+        }
+
+        const conflicts = this.getHandConflicts(actor, item, newStatus);
+        const updates = [
+            { _id: item.id, "system.equipStatus": newStatus },
+            ...conflicts.map(other => ({ _id: other.id, "system.equipStatus": EQUIP_STATUS.CARRIED }))
+        ];
+
+        debug(`Setting ${item.name} equip status to ${newStatus}`, {
+            moved: conflicts.map(other => other.name)
+        });
+
+        try {
+            await actor.updateEmbeddedDocuments("Item", updates);
+        } catch (error) {
+            debugWarn(`Failed to change equip status of ${item.name}:`, error);
+            ui.notifications.error(`Failed to equip ${item.name}`);
+            return false;
+        }
+
+        if (conflicts.length) {
+            this._notifyHandConflict(item, conflicts);
+        }
+        return true;
+    }
+
+    /**
+     * Explains which items were moved to free the needed hands
+     * Shown in the weapon menu when it is open, otherwise as a notification.
+     * @param {Item} item - The item that was equipped
+     * @param {Item[]} moved - Items moved to carried
+     * @private
+     */
+    _notifyHandConflict(item, moved) {
+        const message = game.i18n.format("tokencontextmenu.Messages.HandConflict", {
+            item: item.name,
+            moved: moved.map(other => other.name).join(", ")
+        });
+        this._showNotice(message);
+    }
+
+    /**
+     * Shows a message above the weapon menu, or as a notification when the menu is closed
+     * @param {string} message - The message
+     * @private
+     */
+    _showNotice(message) {
+        const menuApp = weaponSystemCoordinator.getMenuApp();
+        if (menuApp?.showNotice) {
+            menuApp.showNotice(message);
+        } else {
+            ui.notifications.info(message);
+        }
+    }
+
     // ============= Phase 2 Refactoring: Extracted Feature Logic =============
 
     /**
      * Reloads a weapon to full ammo (Phase 2 feature extraction)
+     * Weapons that name their ammo draw rounds from the actor's gear when ammo tracking is enabled,
+     * and can't reload without matching gear; weapons without an ammo name reload for free.
      * @param {Actor} actor - The actor that owns the weapon
      * @param {string} weaponId - The ID of the weapon to reload
      * @returns {Promise<boolean>} True if successful
@@ -178,6 +297,10 @@ class EquipmentModeHandler {
 
         debug(`Reloading weapon: ${weapon.name} from ${weapon.system.currentShots}/${weapon.system.shots}`);
 
+        if (shouldTrackAmmoInventory() && getWeaponAmmoName(weapon)) {
+            return this._reloadFromInventory(actor, weapon, findAmmoItems(actor, weapon));
+        }
+
         try {
             // Call SWADE's reload method if available, otherwise update currentShots
             if (weapon.reload && typeof weapon.reload === 'function') {
@@ -196,6 +319,81 @@ class EquipmentModeHandler {
         }
     }
 
+    /**
+     * Reloads a weapon with rounds taken from a matching ammo gear item
+     * Asks which ammo to load when several gear items match. Reloads partially when
+     * the chosen item holds fewer rounds than needed and refuses when none are left.
+     * @param {Actor} actor - The actor that owns the weapon
+     * @param {Item} weapon - The weapon to reload
+     * @param {Item[]} ammoItems - Matching ammo gear items
+     * @returns {Promise<boolean>} True if any rounds were loaded
+     * @private
+     */
+    async _reloadFromInventory(actor, weapon, ammoItems) {
+        const missing = weapon.system.shots - weapon.system.currentShots;
+        if (missing <= 0) return true;
+
+        const available = ammoItems.filter(item => item.system.quantity > 0);
+        if (!available.length) {
+            ui.notifications.warn(game.i18n.format("tokencontextmenu.Messages.NoAmmo", {
+                weapon: weapon.name,
+                ammo: getWeaponAmmoName(weapon)
+            }));
+            return false;
+        }
+
+        const ammoItem = available.length > 1 ? await this._chooseAmmoItem(weapon, available) : available[0];
+        if (!ammoItem) return false;
+
+        const loaded = Math.min(missing, ammoItem.system.quantity);
+        debug(`Loading ${loaded} rounds of ${ammoItem.name} into ${weapon.name}`, { missing });
+
+        try {
+            await actor.updateEmbeddedDocuments("Item", [
+                { _id: weapon.id, "system.currentShots": weapon.system.currentShots + loaded },
+                { _id: ammoItem.id, "system.quantity": ammoItem.system.quantity - loaded }
+            ]);
+        } catch (error) {
+            debugWarn(`Failed to reload weapon ${weapon.name}:`, error);
+            ui.notifications.error(`Failed to reload ${weapon.name}`);
+            return false;
+        }
+
+        if (loaded < missing) {
+            this._showNotice(game.i18n.format("tokencontextmenu.Messages.PartialReload", {
+                weapon: weapon.name,
+                loaded,
+                missing,
+                ammo: ammoItem.name
+            }));
+        }
+        return true;
+    }
+
+    /**
+     * Asks which ammo type to load
+     * @param {Item} weapon - The weapon being reloaded
+     * @param {Item[]} ammoItems - Gear items with rounds left
+     * @returns {Promise<Item|null>} The chosen item, or null if cancelled
+     * @private
+     */
+    async _chooseAmmoItem(weapon, ammoItems) {
+        const choice = await foundry.applications.api.DialogV2.wait({
+            window: {
+                title: game.i18n.format("tokencontextmenu.Ammo.ChooseTitle", { weapon: weapon.name })
+            },
+            content: `<p>${game.i18n.localize("tokencontextmenu.Ammo.ChoosePrompt")}</p>`,
+            buttons: ammoItems.map((item, index) => ({
+                action: item.id,
+                label: `${item.name} (${item.system.quantity})`,
+                default: index === 0
+            })),
+            rejectClose: false
+        });
+
+        return ammoItems.find(item => item.id === choice) || null;
+    }
+
     /**
      * Equips a carried weapon (Phase 2 feature extraction)
      * @param {Actor} actor - The actor that owns the weapon
@@ -217,16 +415,8 @@ class EquipmentModeHandler {
 
         debug(`Equipping weapon: ${weapon.name}`);
 
-        try {
-            // For now, simply equip to main hand (status 4)
-            // In the future, could add logic to handle two-handed weapons, off-hand conflicts, etc.
-            await weapon.update({ "system.equipStatus": 4 });
-            return true;
-        } catch (error) {
-            debugWarn(`Failed to equip weapon ${weapon.name}:`, error);
-            ui.notifications.error(`Failed to equip ${weapon.name}`);
-            return false;
-        }
+        // Equip to main hand; whatever holds the main hand is moved to carried
+        return this.setEquipStatus(actor, weaponId, EQUIP_STATUS.MAIN_HAND);
     }
 
     /**
@@ -291,6 +481,48 @@ class EquipmentModeHandler {
             return false;
         }
     }
+
+    /**
+     * Checks if a skill is pinned to the menu's Skills section
+     * @param {Item} skill - The skill item
+     * @returns {boolean} True if pinned
+     */
+    isSkillPinned(skill) {
+        return skill?.getFlag(SKILLS.FLAG_SCOPE, SKILLS.PIN_FLAG) === true;
+    }
+
+    /**
+     * Toggles whether a skill is pinned to the menu's Skills section
+     * Pins are stored as a flag on the actor's skill item.
+     * @param {Actor} actor - The actor that owns the skill
+     * @param {string} skillId - The ID of the skill to toggle
+     * @returns {Promise<boolean>} True if successful
+     */
+    async toggleSkillPin(actor, skillId) {
+        // Check permissions
+        if (!actor?.isOwner) {
+            ui.notifications.warn("You don't have permission to modify this token");
+            return false;
+        }
+
+        const skill = actor.items.get(skillId);
+        if (!skill || skill.type !== "skill") {
+            debugWarn("Invalid skill for pin toggle:", skillId);
+            return false;
+        }
+
+        const newState = !this.isSkillPinned(skill);
+        debug(`Toggling skill pin: ${skill.name} to ${newState}`);
+
+        try {
+            await skill.setFlag(SKILLS.FLAG_SCOPE, SKILLS.PIN_FLAG, newState);
+            return true;
+        } catch (error) {
+            debugWarn(`Failed to toggle skill pin ${skill.name}:`, error);
+            ui.notifications.error(`Failed to toggle pin for ${skill.name}`);
+            return false;
+        }
+    }
 }
 
 // Export singleton instance following project pattern
@@ -0,0 +1,177 @@
+/**
+ * @file Item order manager
+ * @description Applies the item sort order setting to the menu sections and stores the
+ * per-actor orders it needs in actor flags: the manual order set by dragging icons and the
+ * list of most recently used items.
+ */
+
+import { debug, debugWarn } from "../utils/debug.js";
+import { MENU_SORT_MODE, ITEM_ORDER } from "../utils/constants.js";
+import { getWeaponMenuSortMode } from "../settings/settings.js";
+
+/**
+ * Handles item sorting, usage tracking and manual reordering
+ * Both orders are stored as arrays of item IDs; items missing from an array keep their
+ * default order after the ones listed.
+ */
+class ItemOrderManager {
+    /**
+     * Checks if icons can be dragged to reorder them
+     * @returns {boolean} True in manual sort mode
+     */
+    isManualMode() {
+        return getWeaponMenuSortMode() === MENU_SORT_MODE.MANUAL;
+    }
+
+    /**
+     * Sorts the items of one menu section
+     * @param {Actor} actor - The menu actor
+     * @param {Item[]} items - Section items, sorted in place
+     * @param {Function} compareDefault - Comparator of the default order
+     * @returns {Item[]} The sorted items
+     */
+    sortItems(actor, items, compareDefault) {
+        switch (getWeaponMenuSortMode()) {
+            case MENU_SORT_MODE.ALPHABETICAL:
+                return items.sort((a, b) => a.name.localeCompare(b.name));
+            case MENU_SORT_MODE.RECENT:
+                return items.sort(this._compareByRank(this.getRecentItems(actor), compareDefault));
+            case MENU_SORT_MODE.MANUAL:
+                return items.sort(this._compareByRank(this.getManualOrder(actor), compareDefault));
+            default:
+                return items.sort(compareDefault);
+        }
+    }
+
+    /**
+     * Builds a comparator that follows a list of item IDs
+     * @param {string[]} ids - Item IDs in order
+     * @param {Function} fallback - Comparator for items at the same rank (both unlisted)
+     * @returns {Function} Comparator
+     * @private
+     */
+    _compareByRank(ids, fallback) {
+        const ranks = new Map(ids.map((id, index) => [id, index]));
+        return (a, b) => {
+            const rankA = ranks.get(a.id) ?? Infinity;
+            const rankB = ranks.get(b.id) ?? Infinity;
+            if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+            return fallback(a, b);
+        };
+    }
+
+    /**
+     * Gets an actor's manual item order
+     * @param {Actor} actor - The actor
+     * @returns {string[]} Item IDs in manual order
+     */
+    getManualOrder(actor) {
+        const order = actor?.getFlag(ITEM_ORDER.FLAG_SCOPE, ITEM_ORDER.ORDER_FLAG_KEY);
+        return Array.isArray(order) ? order : [];
+    }
+
+    /**
+     * Gets an actor's most recently used items
+     * @param {Actor} actor - The actor
+     * @returns {string[]} Item IDs, most recently used first
+     */
+    getRecentItems(actor) {
+        const recent = actor?.getFlag(ITEM_ORDER.FLAG_SCOPE, ITEM_ORDER.RECENT_FLAG_KEY);
+        return Array.isArray(recent) ? recent : [];
+    }
+
+    /**
+     * Remembers that an item was used
+     * Usage is only tracked while the most recently used order is selected.
+     * @param {Actor} actor - The actor
+     * @param {string} itemId - Used item ID
+     * @returns {Promise<void>}
+     */
+    async recordUse(actor, itemId) {
+        if (getWeaponMenuSortMode() !== MENU_SORT_MODE.RECENT || !actor?.isOwner) return;
+
+        const recent = this.getRecentItems(actor);
+        if (recent[0] === itemId) return;
+
+        const updated = [itemId, ...recent.filter(id => id !== itemId && actor.items.has(id))]
+            .slice(0, ITEM_ORDER.MAX_RECENT_ITEMS);
+
+        try {
+            await actor.setFlag(ITEM_ORDER.FLAG_SCOPE, ITEM_ORDER.RECENT_FLAG_KEY, updated);
+        } catch (error) {
+            debugWarn(`Failed to record item use for ${actor.name}:`, error);
+        }
+    }
+
+    /**
+     * Checks if a menu entry is an actor item that takes part in sorting
+     * Custom entries and status toggles keep their own order.
+     * @param {Object} item - Menu entry
+     * @returns {boolean} True for actor items
+     */
+    isSortable(item) {
+        return item?.documentName === 'Item';
+    }
+
+    /**
+     * Checks if two items are sorted in the same menu section
+     * @param {Item} item - The dragged item
+     * @param {Item} other - The drop target
+     * @returns {boolean} True if they can swap places
+     */
+    isSameSection(item, other) {
+        return this._getSection(item) === this._getSection(other);
+    }
+
+    /**
+     * Gets the menu section an item is sorted in
+     * @param {Item} item - The item
+     * @returns {string} Section key
+     * @private
+     */
+    _getSection(item) {
+        return ['weapon', 'power', 'skill'].includes(item.type) ? item.type : 'gear';
+    }
+
+    /**
+     * Moves an item to the place of another item and saves the manual order
+     * The items in between shift by one to fill the gap, as in a list. Items that are not
+     * in the menu right now (filtered out, or outside equipment mode) keep their place.
+     * @param {Actor} actor - The actor
+     * @param {string[]} menuIds - IDs of the sortable items in current menu order
+     * @param {string} itemId - Dragged item ID
+     * @param {string} targetId - ID of the item it was dropped on
+     * @returns {Promise<boolean>} True if the order was saved
+     */
+    async moveItem(actor, menuIds, itemId, targetId) {
+        if (!actor?.isOwner) {
+            ui.notifications.warn("You don't have permission to modify this token");
+            return false;
+        }
+
+        // Saved items come first in the menu, so appending the unsaved ones matches what is shown
+        const saved = this.getManualOrder(actor).filter(id => actor.items.has(id));
+        const order = [...saved, ...menuIds.filter(id => !saved.includes(id))];
+
+        const fromIndex = order.indexOf(itemId);
+        const targetIndex = order.indexOf(targetId);
+        if (fromIndex === -1 || targetIndex === -1 || fromIndex === targetIndex) return false;
+
+        order.splice(fromIndex, 1);
+        order.splice(targetIndex, 0, itemId);
+
+        debug(`Moving item ${itemId} to position ${targetIndex} for ${actor.name}`);
+
+        try {
+            await actor.setFlag(ITEM_ORDER.FLAG_SCOPE, ITEM_ORDER.ORDER_FLAG_KEY, order);
+            return true;
+        } catch (error) {
+            debugWarn(`Failed to save item order for ${actor.name}:`, error);
+            ui.notifications.error(`Failed to save the item order for ${actor.name}`);
+            return false;
+        }
+    }
+}
+
+// Export singleton instance following project pattern
+export const itemOrderManager = new ItemOrderManager();
@@ -0,0 +1,177 @@
+/**
+ * @file Loadout preset manager
+ * @description Saves and restores named equipment presets (weapon equip statuses and
+ * favorited powers) stored in actor flags
+ */
+
+import { debug, debugWarn } from "../utils/debug.js";
+import { EQUIP_STATUS, LOADOUTS } from "../utils/constants.js";
+import { equipmentModeHandler } from "./EquipmentModeHandler.js";
+
+/**
+ * Handles loadout preset storage and application
+ * A loadout records the equip status of every weapon and the IDs of favorited powers.
+ */
+class LoadoutManager {
+    /**
+     * Gets the saved loadouts for an actor
+     * @param {Actor} actor - The actor
+     * @returns {Array<{id: string, name: string, weapons: Object, favoritePowers: string[]}>}
+     *          Loadouts sorted by name
+     */
+    getLoadouts(actor) {
+        const stored = actor?.getFlag(LOADOUTS.FLAG_SCOPE, LOADOUTS.FLAG_KEY) || {};
+        return Object.entries(stored)
+            .map(([id, loadout]) => ({ id, ...loadout }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Captures the actor's current equipment configuration
+     * @param {Actor} actor - The actor
+     * @returns {{weapons: Object<string, number>, favoritePowers: string[]}}
+     * @private
+     */
+    _captureConfiguration(actor) {
+        const weapons = {};
+        const favoritePowers = [];
+
+        for (const item of actor.items) {
+            if (item.type === "weapon") {
+                weapons[item.id] = item.system.equipStatus;
+            } else if (item.type === "power" && item.system.favorite) {
+                favoritePowers.push(item.id);
+            }
+        }
+
+        return { weapons, favoritePowers };
+    }
+
+    /**
+     * Checks if the actor's current configuration matches a loadout
+     * @param {Actor} actor - The actor
+     * @param {Object} loadout - A loadout from getLoadouts()
+     * @returns {boolean} True if applying the loadout would change nothing
+     */
+    isLoadoutActive(actor, loadout) {
+        return this._buildUpdates(actor, loadout).length === 0;
+    }
+
+    /**
+     * Saves the current configuration as a named loadout
+     * Saving under an existing name overwrites that loadout.
+     * @param {Actor} actor - The actor
+     * @param {string} name - Loadout name
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveLoadout(actor, name) {
+        if (!actor?.isOwner) {
+            ui.notifications.warn("You don't have permission to modify this token");
+            return false;
+        }
+
+        const trimmed = name?.trim().slice(0, LOADOUTS.MAX_NAME_LENGTH);
+        if (!trimmed) return false;
+
+        const existing = this.getLoadouts(actor).find(loadout => loadout.name.toLowerCase() === trimmed.toLowerCase());
+        const id = existing?.id ?? foundry.utils.randomID();
+
+        debug(`Saving loadout "${trimmed}" for ${actor.name}`, { overwrite: !!existing });
+
+        await actor.setFlag(LOADOUTS.FLAG_SCOPE, `${LOADOUTS.FLAG_KEY}.${id}`, {
+            name: trimmed,
+            ...this._captureConfiguration(actor)
+        });
+        return true;
+    }
+
+    /**
+     * Deletes a loadout
+     * @param {Actor} actor - The actor
+     * @param {string} loadoutId - Loadout ID
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteLoadout(actor, loadoutId) {
+        if (!actor?.isOwner) {
+            ui.notifications.warn("You don't have permission to modify this token");
+            return false;
+        }
+
+        debug(`Deleting loadout ${loadoutId} from ${actor.name}`);
+        await actor.unsetFlag(LOADOUTS.FLAG_SCOPE, `${LOADOUTS.FLAG_KEY}.${loadoutId}`);
+        return true;
+    }
+
+    /**
+     * Builds the item updates needed to apply a loadout
+     * Weapons added after the loadout was saved are moved to carried if they hold a hand,
+     * so the preset's hand assignments stay valid.
+     * @param {Actor} actor - The actor
+     * @param {Object} loadout - The loadout
+     * @returns {Array<Object>} Item update data (only items that change)
+     * @private
+     */
+    _buildUpdates(actor, loadout) {
+        const updates = [];
+        const favoritePowers = new Set(loadout.favoritePowers || []);
+
+        for (const item of actor.items) {
+            if (item.type === "weapon") {
+                const current = item.system.equipStatus;
+                let target = loadout.weapons?.[item.id];
+
+                if (target === undefined) {
+                    const holdsHand = equipmentModeHandler.getHandsForStatus(item, current).length > 0;
+                    target = holdsHand ? EQUIP_STATUS.CARRIED : current;
+                }
+
+                if (target !== current) {
+                    updates.push({ _id: item.id, "system.equipStatus": target });
+                }
+            } else if (item.type === "power") {
+                const favorite = favoritePowers.has(item.id);
+                if (favorite !== !!item.system.favorite) {
+                    updates.push({ _id: item.id, "system.favorite": favorite });
+                }
+            }
+        }
+
+        return updates;
+    }
+
+    /**
+     * Applies a loadout in a single batched update
+     * @param {Actor} actor - The actor
+     * @param {string} loadoutId - Loadout ID
+     * @returns {Promise<boolean>} True if applied
+     */
+    async applyLoadout(actor, loadoutId) {
+        if (!actor?.isOwner) {
+            ui.notifications.warn("You don't have permission to modify this token");
+            return false;
+        }
+
+        const loadout = this.getLoadouts(actor).find(entry => entry.id === loadoutId);
+        if (!loadout) {
+            debugWarn("Loadout not found:", loadoutId);
+            return false;
+        }
+
+        const updates = this._buildUpdates(actor, loadout);
+        debug(`Applying loadout "${loadout.name}" to ${actor.name}`, { changes: updates.length });
+
+        if (!updates.length) return true;
+
+        try {
+            await actor.updateEmbeddedDocuments("Item", updates);
+            return true;
+        } catch (error) {
+            debugWarn(`Failed to apply loadout ${loadout.name}:`, error);
+            ui.notifications.error(`Failed to apply loadout ${loadout.name}`);
+            return false;
+        }
+    }
+}
+
+// Export singleton instance following project pattern
+export const loadoutManager = new LoadoutManager();
\ No newline at end of file
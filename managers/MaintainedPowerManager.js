@@ -0,0 +1,296 @@
+/**
+ * @file Maintained power manager
+ * @description Records powers cast from the menu as maintained powers on the caster, counts
+ * their duration down on combat round changes and reminds the caster before they expire
+ * with one-click maintain and drop buttons.
+ */
+
+import { CleanupManager } from "./CleanupManager.js";
+import { powerPointManager } from "./PowerPointManager.js";
+import { debug, debugWarn } from "../utils/debug.js";
+import { MAINTAINED_POWERS } from "../utils/constants.js";
+import { shouldTrackMaintainedPowers, shouldTrackPowerPoints } from "../settings/settings.js";
+
+/**
+ * Handles maintained power storage, countdown and reminders
+ * Entries live in an actor flag keyed by entry ID.
+ */
+class MaintainedPowerManager extends CleanupManager {
+    constructor() {
+        super();
+        this.registerHook('updateCombat', this._onUpdateCombat);
+        this.registerHook('renderChatMessageHTML', this._onRenderChatMessage);
+    }
+
+    /**
+     * Gets the maintained powers of an actor
+     * @param {Actor} actor - The caster
+     * @returns {Array<Object>} Entries sorted by remaining rounds
+     */
+    getMaintained(actor) {
+        const stored = actor?.getFlag(MAINTAINED_POWERS.FLAG_SCOPE, MAINTAINED_POWERS.FLAG_KEY) || {};
+        return Object.entries(stored)
+            .map(([id, entry]) => ({ id, ...entry }))
+            .sort((a, b) => a.remaining - b.remaining);
+    }
+
+    /**
+     * Parses a SWADE duration into rounds
+     * Minutes and hours are converted at 10 rounds per minute.
+     * @param {string|number} duration - The power's system.duration
+     * @returns {number|null} Duration in rounds, or null for instant or unparseable durations
+     */
+    parseDurationRounds(duration) {
+        const text = `${duration ?? ''}`.toLowerCase();
+        if (!text || text.includes('instant')) return null;
+
+        const match = text.match(/(\d+)\s*(hour|hr|minute|min|round|rd)?/);
+        if (!match) return null;
+
+        const amount = parseInt(match[1], 10);
+        const unit = match[2] || 'round';
+        const multiplier = unit.startsWith('h') ? MAINTAINED_POWERS.ROUNDS_PER_HOUR :
+                           unit.startsWith('m') ? MAINTAINED_POWERS.ROUNDS_PER_MINUTE : 1;
+        return amount > 0 ? amount * multiplier : null;
+    }
+
+    /**
+     * Gets the power point upkeep to maintain a power for another duration
+     * Uses a cost in parentheses after the duration ("5 (1/round)"), otherwise the base cost.
+     * @param {Item} power - The power
+     * @returns {number} Upkeep in power points
+     */
+    getUpkeep(power) {
+        const match = `${power?.system?.duration ?? ''}`.match(/\((\d+)/);
+        return match ? parseInt(match[1], 10) : powerPointManager.getPowerCost(power);
+    }
+
+    /**
+     * Records a cast power as maintained
+     * Recasting a power that is already maintained replaces its entry.
+     * @param {Actor} actor - The caster
+     * @param {Item} power - The power
+     * @param {Object} [options={}] - Cast details
+     * @param {string[]} [options.targetIds=[]] - IDs of the targeted tokens
+     * @returns {Promise<boolean>} True if recorded
+     */
+    async recordCast(actor, power, { targetIds = [] } = {}) {
+        if (!shouldTrackMaintainedPowers() || !actor?.isOwner || power?.type !== "power") return false;
+
+        const duration = this.parseDurationRounds(power.system?.duration);
+        if (!duration) return false;
+
+        const existing = this.getMaintained(actor).find(entry => entry.powerId === power.id);
+        const id = existing?.id ?? foundry.utils.randomID();
+
+        debug(`Recording maintained power ${power.name} on ${actor.name}`, { duration, targetIds });
+
+        await actor.setFlag(MAINTAINED_POWERS.FLAG_SCOPE, `${MAINTAINED_POWERS.FLAG_KEY}.${id}`, {
+            powerId: power.id,
+            name: power.name,
+            img: power.img,
+            targetIds,
+            duration,
+            remaining: duration,
+            upkeep: this.getUpkeep(power),
+            reminded: false
+        });
+        return true;
+    }
+
+    /**
+     * Drops a maintained power
+     * @param {Actor} actor - The caster
+     * @param {string} entryId - Entry ID
+     * @returns {Promise<boolean>} True if dropped
+     */
+    async dropPower(actor, entryId) {
+        if (!actor?.isOwner) return false;
+
+        debug(`Dropping maintained power ${entryId} on ${actor.name}`);
+        await actor.unsetFlag(MAINTAINED_POWERS.FLAG_SCOPE, `${MAINTAINED_POWERS.FLAG_KEY}.${entryId}`);
+        return true;
+    }
+
+    /**
+     * Maintains a power for another full duration, paying its upkeep
+     * @param {Actor} actor - The caster
+     * @param {string} entryId - Entry ID
+     * @returns {Promise<boolean>} True if maintained
+     */
+    async maintainPower(actor, entryId) {
+        if (!actor?.isOwner) return false;
+
+        const entry = this.getMaintained(actor).find(candidate => candidate.id === entryId);
+        if (!entry) {
+            ui.notifications.warn(game.i18n.localize("tokencontextmenu.Maintained.AlreadyExpired"));
+            return false;
+        }
+
+        const power = actor.items.get(entry.powerId);
+        if (power && shouldTrackPowerPoints()) {
+            const paid = await powerPointManager.spendPowerPoints(actor, power, entry.upkeep);
+            if (!paid) return false;
+        }
+
+        await actor.update({
+            [`flags.${MAINTAINED_POWERS.FLAG_SCOPE}.${MAINTAINED_POWERS.FLAG_KEY}.${entryId}.remaining`]: entry.duration,
+            [`flags.${MAINTAINED_POWERS.FLAG_SCOPE}.${MAINTAINED_POWERS.FLAG_KEY}.${entryId}.reminded`]: false
+        });
+        return true;
+    }
+
+    /**
+     * Counts maintained powers down when the combat round advances
+     * @param {Combat} combat - The combat
+     * @param {Object} changed - Changed data
+     * @private
+     */
+    async _onUpdateCombat(combat, changed) {
+        if (!('round' in changed) || !shouldTrackMaintainedPowers()) return;
+
+        // Only count forward; rewinding the tracker leaves durations alone
+        const previousRound = combat.previous?.round;
+        if (previousRound != null && changed.round <= previousRound) return;
+
+        const actors = new Set(combat.combatants.map(combatant => combatant.actor).filter(Boolean));
+        for (const actor of actors) {
+            if (!this._isResponsibleUser(actor)) continue;
+            try {
+                await this._advanceActor(actor);
+            } catch (error) {
+                debugWarn(`Failed to update maintained powers of ${actor.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Checks if this client should write the countdown for an actor
+     * The active GM does it; without one, the first active owner does.
+     * @param {Actor} actor - The caster
+     * @returns {boolean} True if this user is responsible
+     * @private
+     */
+    _isResponsibleUser(actor) {
+        const activeGM = game.users.activeGM;
+        if (activeGM) return activeGM.isSelf;
+
+        const owner = game.users.find(user => user.active && actor.testUserPermission(user, "OWNER"));
+        return owner?.isSelf ?? false;
+    }
+
+    /**
+     * Decrements an actor's maintained powers by one round
+     * @param {Actor} actor - The caster
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _advanceActor(actor) {
+        const entries = this.getMaintained(actor);
+        if (!entries.length) return;
+
+        const base = `flags.${MAINTAINED_POWERS.FLAG_SCOPE}.${MAINTAINED_POWERS.FLAG_KEY}`;
+        const update = {};
+        const reminders = [];
+        const expired = [];
+
+        for (const entry of entries) {
+            const remaining = entry.remaining - 1;
+            if (remaining <= 0) {
+                update[`${base}.-=${entry.id}`] = null;
+                expired.push(entry);
+            } else {
+                update[`${base}.${entry.id}.remaining`] = remaining;
+                if (remaining <= MAINTAINED_POWERS.REMINDER_ROUNDS && !entry.reminded) {
+                    update[`${base}.${entry.id}.reminded`] = true;
+                    reminders.push({ ...entry, remaining });
+                }
+            }
+        }
+
+        await actor.update(update);
+
+        for (const entry of reminders) await this._postReminder(actor, entry);
+        for (const entry of expired) await this._postExpired(actor, entry);
+    }
+
+    /**
+     * Gets the IDs of the users who own an actor
+     * @param {Actor} actor - The caster
+     * @returns {string[]} User IDs
+     * @private
+     */
+    _getOwnerIds(actor) {
+        return game.users.filter(user => actor.testUserPermission(user, "OWNER")).map(user => user.id);
+    }
+
+    /**
+     * Whispers an expiry reminder with maintain and drop buttons
+     * @param {Actor} actor - The caster
+     * @param {Object} entry - Maintained power entry
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _postReminder(actor, entry) {
+        const data = `data-actor-uuid="${actor.uuid}" data-entry-id="${entry.id}"`;
+        await ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ actor }),
+            whisper: this._getOwnerIds(actor),
+            content: `<div class="tokencontextmenu-maintained-reminder">
+                <p>${game.i18n.format("tokencontextmenu.Maintained.Reminder", {
+                    power: entry.name,
+                    rounds: entry.remaining,
+                    upkeep: entry.upkeep
+                })}</p>
+                <button type="button" data-tcm-maintained="maintain" ${data}>${game.i18n.localize("tokencontextmenu.Maintained.Maintain")}</button>
+                <button type="button" data-tcm-maintained="drop" ${data}>${game.i18n.localize("tokencontextmenu.Maintained.Drop")}</button>
+            </div>`
+        });
+    }
+
+    /**
+     * Whispers that a maintained power has expired
+     * @param {Actor} actor - The caster
+     * @param {Object} entry - Maintained power entry
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _postExpired(actor, entry) {
+        await ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ actor }),
+            whisper: this._getOwnerIds(actor),
+            content: `<p>${game.i18n.format("tokencontextmenu.Maintained.Expired", { power: entry.name })}</p>`
+        });
+    }
+
+    /**
+     * Wires the maintain and drop buttons of reminder messages
+     * @param {ChatMessage} message - The rendered message
+     * @param {HTMLElement} html - The message element
+     * @private
+     */
+    _onRenderChatMessage(message, html) {
+        html.querySelectorAll("[data-tcm-maintained]").forEach(button => {
+            button.addEventListener("click", async (event) => {
+                event.preventDefault();
+                const { tcmMaintained: action, actorUuid, entryId } = button.dataset;
+                const actor = fromUuidSync(actorUuid);
+                if (!actor?.isOwner) {
+                    ui.notifications.warn("You don't have permission to modify this token");
+                    return;
+                }
+
+                const done = action === "maintain"
+                    ? await this.maintainPower(actor, entryId)
+                    : await this.dropPower(actor, entryId);
+                if (done) {
+                    button.closest(".tokencontextmenu-maintained-reminder")
+                        ?.querySelectorAll("button").forEach(other => other.disabled = true);
+                }
+            });
+        });
+    }
+}
+
+// Export singleton instance following project pattern
+export const maintainedPowerManager = new MaintainedPowerManager();
\ No newline at end of file
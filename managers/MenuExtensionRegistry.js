@@ -0,0 +1,164 @@
+/**
+ * @file MenuExtensionRegistry.js
+ * @description Registry of custom menu sections and entries contributed by other modules
+ *
+ * Entries are not items: they carry their own icon, label and callback, plus an optional
+ * visibility predicate evaluated for the menu token. getMenuItems() appends the visible
+ * entries after the powers, one section per registered section.
+ */
+
+import { debug, debugWarn } from "../utils/debug.js";
+import { MENU_EXTENSIONS } from "../utils/constants.js";
+import { weaponSystemCoordinator } from "./WeaponSystemCoordinator.js";
+
+/**
+ * Registry that stores custom sections and entries by ID
+ * Any change refreshes the open menu so new entries show up immediately.
+ */
+class MenuExtensionRegistry {
+    constructor() {
+        this.sections = new Map();
+        this.entries = new Map();
+
+        this.sections.set(MENU_EXTENSIONS.DEFAULT_SECTION, {
+            id: MENU_EXTENSIONS.DEFAULT_SECTION,
+            label: "tokencontextmenu.Extensions.DefaultSection",
+            order: MENU_EXTENSIONS.DEFAULT_ORDER
+        });
+    }
+
+    /**
+     * Register a custom menu section
+     * Registering an existing ID replaces that section.
+     * @param {Object} section - Section definition
+     * @param {string} section.id - Unique section ID
+     * @param {string} section.label - Section label or localization key
+     * @param {number} [section.order] - Sort order among custom sections (lower first)
+     * @returns {boolean} True if the section was registered
+     */
+    registerSection({ id, label, order = MENU_EXTENSIONS.DEFAULT_ORDER } = {}) {
+        if (!id || !label) {
+            debugWarn("Menu section requires an id and a label", { id, label });
+            return false;
+        }
+
+        this.sections.set(id, { id, label, order });
+        debug(`Registered menu section: ${id}`);
+        this._refreshOpenMenu();
+        return true;
+    }
+
+    /**
+     * Remove a custom menu section and its entries
+     * @param {string} id - Section ID
+     * @returns {boolean} True if a section was removed
+     */
+    unregisterSection(id) {
+        if (id === MENU_EXTENSIONS.DEFAULT_SECTION || !this.sections.delete(id)) return false;
+
+        for (const [entryId, entry] of this.entries) {
+            if (entry.section === id) this.entries.delete(entryId);
+        }
+        this._refreshOpenMenu();
+        return true;
+    }
+
+    /**
+     * Register a custom menu entry
+     * Registering an existing ID replaces that entry.
+     * @param {Object} entry - Entry definition
+     * @param {string} entry.id - Unique entry ID
+     * @param {string} entry.label - Label or localization key, shown in the tooltip
+     * @param {string} [entry.icon] - Icon image path (the label's first letter is shown without one)
+     * @param {Function} entry.callback - Called with { token, actor } when the entry is clicked
+     * @param {Function} [entry.visible] - Predicate called with { token, actor }; the entry is hidden when it returns false
+     * @param {string} [entry.section] - Section ID (defaults to the built-in custom section)
+     * @param {number} [entry.order] - Sort order within the section (lower first)
+     * @param {boolean} [entry.closeMenu=true] - Close the menu before running the callback
+     * @returns {boolean} True if the entry was registered
+     */
+    registerEntry({ id, label, icon = null, callback, visible = null, section = MENU_EXTENSIONS.DEFAULT_SECTION,
+                    order = MENU_EXTENSIONS.DEFAULT_ORDER, closeMenu = true } = {}) {
+        if (!id || !label || typeof callback !== 'function') {
+            debugWarn("Menu entry requires an id, a label and a callback", { id, label });
+            return false;
+        }
+        if (!this.sections.has(section)) {
+            debugWarn(`Menu entry "${id}" targets unknown section "${section}"`);
+            return false;
+        }
+
+        this.entries.set(id, { id, label, icon, callback, visible, section, order, closeMenu });
+        debug(`Registered menu entry: ${id}`, { section });
+        this._refreshOpenMenu();
+        return true;
+    }
+
+    /**
+     * Remove a custom menu entry
+     * @param {string} id - Entry ID
+     * @returns {boolean} True if an entry was removed
+     */
+    unregisterEntry(id) {
+        const removed = this.entries.delete(id);
+        if (removed) this._refreshOpenMenu();
+        return removed;
+    }
+
+    /**
+     * Get a registered entry by ID
+     * @param {string} id - Entry ID
+     * @returns {Object|undefined} The entry definition
+     */
+    getEntry(id) {
+        return this.entries.get(id);
+    }
+
+    /**
+     * Get the sections with entries visible for a token
+     * @param {Token} token - The menu token
+     * @returns {Array<{section: Object, entries: Object[]}>} Non-empty sections in display order
+     */
+    getVisibleSections(token) {
+        const context = { token, actor: token?.actor };
+        const byOrder = (a, b) => (a.order - b.order) || a.label.localeCompare(b.label);
+
+        return Array.from(this.sections.values())
+            .sort(byOrder)
+            .map(section => ({
+                section,
+                entries: Array.from(this.entries.values())
+                    .filter(entry => entry.section === section.id && this._isVisible(entry, context))
+                    .sort(byOrder)
+            }))
+            .filter(({ entries }) => entries.length > 0);
+    }
+
+    /**
+     * Evaluates an entry's visibility predicate
+     * A throwing predicate hides the entry instead of breaking the menu.
+     * @param {Object} entry - Entry definition
+     * @param {Object} context - { token, actor }
+     * @returns {boolean} True if the entry should be shown
+     * @private
+     */
+    _isVisible(entry, context) {
+        if (!entry.visible) return true;
+        try {
+            return entry.visible(context) !== false;
+        } catch (error) {
+            debugWarn(`Visibility check failed for menu entry "${entry.id}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Rebuilds the open menu so registry changes show up without reopening it
+     * @private
+     */
+    _refreshOpenMenu() {
+        weaponSystemCoordinator.getMenuApp()?.refresh?.();
+    }
+}
+
+export const menuExtensionRegistry = new MenuExtensionRegistry();
\ No newline at end of file
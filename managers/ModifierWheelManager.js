@@ -0,0 +1,539 @@
+/**
+ * @file Pre-roll modifier wheel manager (PIXI-based)
+ * @description Shows a radial picker of SWADE situational modifiers around a weapon icon.
+ * The chosen modifiers are passed to the roll adapter when the roll button is clicked.
+ */
+
+import { CleanupManager } from "./CleanupManager.js";
+import { blurFilterManager } from "./BlurFilterManager.js";
+import { themeManager } from "./ThemeManager.js";
+import { weaponSystemCoordinator } from "./WeaponSystemCoordinator.js";
+import { debug } from "../utils/debug.js";
+import { COLORS, TIMING, ECT_MENU, MODIFIER_WHEEL, GRID, MATH, GRAPHICS } from "../utils/constants.js";
+import { timestamps } from "../utils/timingUtils.js";
+import { getWeaponMenuIconScale, getModifierWheelKey } from "../settings/settings.js";
+
+/**
+ * Manages the pre-roll modifier wheel using PIXI
+ * Extends CleanupManager for automatic resource cleanup
+ */
+class ModifierWheelManager extends CleanupManager {
+    constructor() {
+        super();
+        this._currentMenuContainer = null;  // PIXI.Container
+        this._clickHandler = null;
+        this._keyHandler = null;
+        this._blurredContainers = null;     // Track containers we've blurred
+        this._animationTickers = [];
+        this._selection = this._createSelection();
+        this.colors = COLORS;               // Active theme colors, read when the wheel opens
+
+        // The wheel belongs to the weapon menu and closes with it
+        this.registerHook('tokencontextmenu.weaponMenuClosed', () => {
+            if (this.isOpen()) {
+                debug("Modifier wheel closing - parent weapon menu closed");
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Override handleCanvasReady from CleanupManager
+     */
+    handleCanvasReady() {
+        this.hide();
+    }
+
+    /**
+     * Check if a pointer event should open the wheel instead of rolling
+     * @param {Event} originalEvent - The DOM pointer event
+     * @returns {boolean} True if the configured modifier key is held
+     */
+    isOpenEvent(originalEvent) {
+        if (!originalEvent) return false;
+
+        switch (getModifierWheelKey()) {
+            case MODIFIER_WHEEL.OPEN_KEYS.SHIFT: return originalEvent.shiftKey;
+            case MODIFIER_WHEEL.OPEN_KEYS.CTRL: return originalEvent.ctrlKey || originalEvent.metaKey;
+            case MODIFIER_WHEEL.OPEN_KEYS.ALT: return originalEvent.altKey;
+            default: return false;
+        }
+    }
+
+    /**
+     * Creates an empty modifier selection
+     * @returns {Object} Selection state
+     * @private
+     */
+    _createSelection() {
+        return {
+            aim: false,
+            wildAttack: false,
+            calledShot: null,
+            unstablePlatform: false,
+            actions: 1,
+            free: 0
+        };
+    }
+
+    /**
+     * Converts the current selection into roll modifiers
+     * @returns {Array<{label: string, value: number}>} Modifiers for the roll adapter
+     */
+    getModifiers() {
+        const selection = this._selection;
+        const modifiers = [];
+
+        if (selection.aim) {
+            modifiers.push({ label: game.i18n.localize("tokencontextmenu.Modifiers.Aim"), value: MODIFIER_WHEEL.AIM_BONUS });
+        }
+        if (selection.wildAttack) {
+            modifiers.push({ label: game.i18n.localize("tokencontextmenu.Modifiers.WildAttack"), value: MODIFIER_WHEEL.WILD_ATTACK_BONUS });
+        }
+        if (selection.calledShot) {
+            modifiers.push({
+                label: this._getCalledShotLabel(selection.calledShot),
+                value: MODIFIER_WHEEL.CALLED_SHOT_PENALTIES[selection.calledShot]
+            });
+        }
+        if (selection.unstablePlatform) {
+            modifiers.push({ label: game.i18n.localize("tokencontextmenu.Modifiers.UnstablePlatform"), value: MODIFIER_WHEEL.UNSTABLE_PLATFORM_PENALTY });
+        }
+        if (selection.actions > 1) {
+            modifiers.push({
+                label: game.i18n.localize("tokencontextmenu.Modifiers.MultiAction"),
+                value: (selection.actions - 1) * MODIFIER_WHEEL.MULTI_ACTION_PENALTY
+            });
+        }
+        if (selection.free !== 0) {
+            modifiers.push({ label: game.i18n.localize("tokencontextmenu.Modifiers.Free"), value: selection.free });
+        }
+
+        return modifiers;
+    }
+
+    /**
+     * Gets the localized label for a called shot location
+     * @param {string} location - Called shot location key
+     * @returns {string} Localized label
+     * @private
+     */
+    _getCalledShotLabel(location) {
+        const key = location.charAt(0).toUpperCase() + location.slice(1);
+        return game.i18n.localize(`tokencontextmenu.Modifiers.CalledShot${key}`);
+    }
+
+    /**
+     * Formats a modifier value with its sign
+     * @param {number} value - Modifier value
+     * @returns {string} Signed value (e.g. "+2", "-4")
+     * @private
+     */
+    _formatValue(value) {
+        return value > 0 ? `+${value}` : String(value);
+    }
+
+    /**
+     * Builds the wheel item definitions
+     * Each item provides its label and active state from the selection and mutates it on click.
+     * @returns {Array<Object>} Item definitions
+     * @private
+     */
+    _getItemDefinitions() {
+        const localize = key => game.i18n.localize(`tokencontextmenu.Modifiers.${key}`);
+
+        return [
+            {
+                id: 'aim',
+                label: () => localize('Aim'),
+                isActive: s => s.aim,
+                onClick: s => { s.aim = !s.aim; }
+            },
+            {
+                id: 'wildAttack',
+                label: () => localize('WildAttack'),
+                isActive: s => s.wildAttack,
+                onClick: s => { s.wildAttack = !s.wildAttack; }
+            },
+            {
+                id: 'calledShot',
+                label: s => s.calledShot ? this._getCalledShotLabel(s.calledShot) : localize('CalledShot'),
+                isActive: s => !!s.calledShot,
+                onClick: s => {
+                    const order = MODIFIER_WHEEL.CALLED_SHOT_ORDER;
+                    s.calledShot = order[(order.indexOf(s.calledShot) + 1) % order.length];
+                }
+            },
+            {
+                id: 'unstablePlatform',
+                label: () => localize('UnstablePlatform'),
+                isActive: s => s.unstablePlatform,
+                onClick: s => { s.unstablePlatform = !s.unstablePlatform; }
+            },
+            {
+                id: 'multiAction',
+                label: s => s.actions > 1
+                    ? game.i18n.format("tokencontextmenu.Modifiers.MultiActionCount", { count: s.actions })
+                    : localize('MultiAction'),
+                isActive: s => s.actions > 1,
+                onClick: s => { s.actions = (s.actions % MODIFIER_WHEEL.MAX_ACTIONS) + 1; }
+            },
+            {
+                id: 'decrease',
+                label: s => s.free !== 0 ? `${localize('Decrease')} (${this._formatValue(s.free)})` : localize('Decrease'),
+                isActive: s => s.free < 0,
+                onClick: s => { s.free = Math.max(-MODIFIER_WHEEL.FREE_MODIFIER_LIMIT, s.free - 1); }
+            },
+            {
+                id: 'increase',
+                label: s => s.free !== 0 ? `${localize('Increase')} (${this._formatValue(s.free)})` : localize('Increase'),
+                isActive: s => s.free > 0,
+                onClick: s => { s.free = Math.min(MODIFIER_WHEEL.FREE_MODIFIER_LIMIT, s.free + 1); }
+            },
+            {
+                id: 'roll',
+                isConfirm: true,
+                label: () => {
+                    const total = this.getModifiers().reduce((sum, mod) => sum + mod.value, 0);
+                    return total === 0 ? localize('Roll') : `${localize('Roll')} ${this._formatValue(total)}`;
+                },
+                isActive: () => false
+            }
+        ];
+    }
+
+    /**
+     * Calculates scaled dimensions based on grid size and user settings
+     * @returns {Object} Object with scaled dimensions
+     * @private
+     */
+    _calculateScaledDimensions() {
+        const gridSize = canvas?.grid?.size || GRID.DEFAULT_SIZE;
+        const scale = getWeaponMenuIconScale();
+
+        return {
+            itemRadius: Math.round(gridSize * MODIFIER_WHEEL.ITEM_RADIUS_RATIO * scale),
+            radiusOffset: Math.round(gridSize * MODIFIER_WHEEL.RADIUS_OFFSET_RATIO * scale),
+            fontSize: Math.max(8, Math.round(gridSize * MODIFIER_WHEEL.FONT_SIZE_RATIO * scale)),
+            borderWidth: Math.max(1, Math.round(gridSize * MODIFIER_WHEEL.BORDER_WIDTH_RATIO * scale)),
+            edgePadding: Math.round(gridSize * MODIFIER_WHEEL.EDGE_PADDING_RATIO * scale)
+        };
+    }
+
+    /**
+     * Shows the modifier wheel around a weapon icon
+     * @param {Object} params - Wheel parameters
+     * @param {Item} params.weapon - The weapon or power being used
+     * @param {PIXI.Container} params.weaponContainer - The weapon icon container
+     * @param {number} params.iconRadius - Radius of the weapon icon
+     * @param {Function} params.onConfirm - Callback receiving the chosen modifiers
+     * @param {Function} [params.onClose] - Callback when the wheel closes without rolling
+     */
+    show({ weapon, weaponContainer, iconRadius, onConfirm, onClose }) {
+        this.hide();
+
+        this._selection = this._createSelection();
+        this.colors = themeManager.getColors();
+        const dimensions = this._calculateScaledDimensions();
+
+        const menu = new PIXI.Container();
+        menu.name = "modifier-wheel";
+
+        const globalPos = weaponContainer.toGlobal(new PIXI.Point(0, 0));
+        const localPos = canvas.tokens.toLocal(globalPos);
+        menu.x = localPos.x;
+        menu.y = localPos.y;
+
+        const definitions = this._getItemDefinitions();
+        const angleStep = 360 / definitions.length;
+        const radius = iconRadius + dimensions.radiusOffset;
+
+        const items = definitions.map(definition => this._createWheelItem(definition, dimensions, {
+            onConfirm: () => {
+                const modifiers = this.getModifiers();
+                debug(`Modifier wheel confirmed for ${weapon.name}`, { modifiers });
+                this.hide();
+                onConfirm(modifiers);
+            },
+            onToggle: () => this._refreshItems(menu)
+        }));
+
+        // Start at 12 o'clock so the roll button ends up just left of it
+        items.forEach((item, index) => {
+            item.x = 0;
+            item.y = 0;
+            item.scale.set(ECT_MENU.ANIMATION.INITIAL_SCALE);
+            item.alpha = 0;
+            menu.addChild(item);
+
+            const radians = (index * angleStep - 90) * MATH.DEG_TO_RAD;
+            this._animateItem(item, Math.cos(radians) * radius, Math.sin(radians) * radius, index);
+        });
+
+        canvas.tokens.addChild(menu);
+        this._currentMenuContainer = menu;
+        this._adjustMenuPosition(menu, radius, dimensions);
+
+        timestamps.mark('modifierWheelOpened');
+        this._setupEventHandlers(onClose);
+
+        // Blur the other weapon icons like the ECT menu does
+        const weaponMenu = weaponSystemCoordinator.getMenuApp();
+        if (weaponMenu?.weaponContainers) {
+            this._blurredContainers = weaponMenu.weaponContainers;
+            blurFilterManager.applyECTWeaponBlur(weaponContainer, this._blurredContainers);
+        }
+
+        debug("Modifier wheel shown", { weaponName: weapon.name });
+    }
+
+    /**
+     * Creates a single wheel item
+     * @param {Object} definition - Item definition from _getItemDefinitions()
+     * @param {Object} dimensions - Scaled dimension values
+     * @param {Object} callbacks - {onConfirm, onToggle}
+     * @returns {PIXI.Container} The item container
+     * @private
+     */
+    _createWheelItem(definition, dimensions, callbacks) {
+        const container = new PIXI.Container();
+        container._definition = definition;
+
+        const background = new PIXI.Graphics();
+        container.addChild(background);
+        container._background = background;
+
+        const label = new PIXI.Text('', {
+            fontFamily: 'Arial',
+            fontSize: dimensions.fontSize,
+            fill: this.colors.TEXT_FILL,
+            fontWeight: 'bold',
+            align: 'center',
+            wordWrap: true,
+            wordWrapWidth: dimensions.itemRadius * 1.8
+        });
+        label.anchor.set(GRAPHICS.CENTER_ANCHOR);
+        container.addChild(label);
+        container._label = label;
+        container._dimensions = dimensions;
+
+        this._drawItem(container);
+
+        container.eventMode = 'static';
+        container.cursor = 'pointer';
+        container.hitArea = new PIXI.Circle(0, 0, dimensions.itemRadius);
+
+        container.on('pointerdown', (event) => {
+            event.stopPropagation();
+            if (event.data?.originalEvent) {
+                event.data.originalEvent.stopPropagation();
+            }
+
+            if (definition.isConfirm) {
+                callbacks.onConfirm();
+                return;
+            }
+
+            definition.onClick(this._selection);
+            callbacks.onToggle();
+        });
+
+        return container;
+    }
+
+    /**
+     * Draws an item's background and label from the current selection
+     * @param {PIXI.Container} container - The item container
+     * @private
+     */
+    _drawItem(container) {
+        const { _definition: definition, _dimensions: dimensions, _background: background } = container;
+        const isActive = definition.isActive(this._selection);
+
+        let borderColor = MODIFIER_WHEEL.ITEM_BORDER;
+        if (definition.isConfirm) borderColor = MODIFIER_WHEEL.CONFIRM_BORDER;
+        else if (isActive) borderColor = MODIFIER_WHEEL.ACTIVE_BORDER;
+
+        background.clear();
+        background.beginFill(MODIFIER_WHEEL.ITEM_BACKGROUND, MODIFIER_WHEEL.ITEM_BACKGROUND_ALPHA);
+        background.lineStyle(dimensions.borderWidth, borderColor);
+        background.drawCircle(0, 0, dimensions.itemRadius);
+        background.endFill();
+
+        container._label.text = definition.label(this._selection);
+    }
+
+    /**
+     * Redraws all items after the selection changed
+     * The roll button label depends on every other item, so all items are refreshed.
+     * @param {PIXI.Container} menu - The wheel container
+     * @private
+     */
+    _refreshItems(menu) {
+        menu.children.forEach(child => this._drawItem(child));
+    }
+
+    /**
+     * Animates an item from the center to its target position
+     * Uses the same timing and easing as the ECT circular menu.
+     * @param {PIXI.Container} item - The item container
+     * @param {number} targetX - Target X position
+     * @param {number} targetY - Target Y position
+     * @param {number} index - Item index for stagger delay
+     * @private
+     */
+    _animateItem(item, targetX, targetY, index) {
+        if (!canvas?.app?.ticker) {
+            item.position.set(targetX, targetY);
+            item.scale.set(ECT_MENU.ANIMATION.FINAL_SCALE);
+            item.alpha = 1;
+            return;
+        }
+
+        const startTime = Date.now() + index * ECT_MENU.ANIMATION.STAGGER_DELAY;
+        const tickerFn = () => {
+            const elapsed = Date.now() - startTime;
+            if (elapsed < 0) return;
+
+            const progress = Math.min(elapsed / ECT_MENU.ANIMATION.DURATION, 1);
+            const eased = this._easeOutBack(progress);
+
+            item.x = targetX * eased;
+            item.y = targetY * eased;
+            item.scale.set(ECT_MENU.ANIMATION.INITIAL_SCALE +
+                (ECT_MENU.ANIMATION.FINAL_SCALE - ECT_MENU.ANIMATION.INITIAL_SCALE) * eased);
+            item.alpha = Math.min(eased, 1);
+
+            if (progress >= 1) {
+                canvas.app.ticker.remove(tickerFn);
+            }
+        };
+
+        canvas.app.ticker.add(tickerFn);
+        this._animationTickers.push(tickerFn);
+    }
+
+    /**
+     * EaseOutBack easing function - overshoots then settles
+     * @param {number} t - Progress (0-1)
+     * @returns {number} Eased value
+     * @private
+     */
+    _easeOutBack(t) {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    }
+
+    /**
+     * Shifts the wheel so its final item positions stay inside the canvas
+     * @param {PIXI.Container} menu - The wheel container
+     * @param {number} radius - Distance from the wheel center to item centers
+     * @param {Object} dimensions - Scaled dimension values
+     * @private
+     */
+    _adjustMenuPosition(menu, radius, dimensions) {
+        const canvasBounds = canvas.dimensions.rect;
+        const extent = radius + dimensions.itemRadius + dimensions.edgePadding;
+
+        menu.x = Math.min(Math.max(menu.x, canvasBounds.left + extent), canvasBounds.right - extent);
+        menu.y = Math.min(Math.max(menu.y, canvasBounds.top + extent), canvasBounds.bottom - extent);
+    }
+
+    /**
+     * Sets up event handlers for closing the wheel
+     * @param {Function} onClose - Close callback
+     * @private
+     */
+    _setupEventHandlers(onClose) {
+        // Close on canvas click outside the wheel
+        this._clickHandler = (event) => {
+            if (!timestamps.hasElapsed('modifierWheelOpened', TIMING.MENU_CLICK_DEBOUNCE)) {
+                return;
+            }
+
+            if (this._currentMenuContainer) {
+                const bounds = this._currentMenuContainer.getBounds();
+                const point = event.data.global;
+
+                if (!bounds.contains(point.x, point.y)) {
+                    debug("Modifier wheel closing - clicked outside bounds");
+                    this.hide();
+                    if (onClose) onClose();
+                }
+            }
+        };
+
+        // Capture phase so we get the event before weapon containers stop it
+        if (canvas?.ready && canvas?.stage) {
+            canvas.stage.on('pointerdown', this._clickHandler, null, true);
+        }
+
+        this._keyHandler = (event) => {
+            if (event.key === 'Escape') {
+                this.hide();
+                if (onClose) onClose();
+            }
+        };
+        document.addEventListener('keydown', this._keyHandler);
+    }
+
+    /**
+     * Hides the current wheel
+     */
+    hide() {
+        if (!this._currentMenuContainer && !this._blurredContainers && !this._clickHandler && !this._keyHandler) {
+            return;
+        }
+
+        if (canvas?.app?.ticker) {
+            this._animationTickers.forEach(ticker => canvas.app.ticker.remove(ticker));
+        }
+        this._animationTickers = [];
+
+        if (this._blurredContainers) {
+            blurFilterManager.clearECTWeaponBlur(this._blurredContainers);
+            this._blurredContainers = null;
+        }
+
+        if (this._currentMenuContainer) {
+            if (this._currentMenuContainer.parent) {
+                this._currentMenuContainer.parent.removeChild(this._currentMenuContainer);
+            }
+            this._currentMenuContainer.destroy({ children: true });
+            this._currentMenuContainer = null;
+        }
+
+        if (this._clickHandler && canvas?.stage) {
+            canvas.stage.off('pointerdown', this._clickHandler, null, true);
+            this._clickHandler = null;
+        }
+
+        if (this._keyHandler) {
+            document.removeEventListener('keydown', this._keyHandler);
+            this._keyHandler = null;
+        }
+
+        debug("Modifier wheel hidden");
+    }
+
+    /**
+     * Check if the modifier wheel is currently open
+     * @returns {boolean} True if the wheel is open
+     */
+    isOpen() {
+        return !!this._currentMenuContainer;
+    }
+
+    /**
+     * Cleanup method called when manager is destroyed
+     * @override
+     */
+    cleanup() {
+        this.hide();
+        super.cleanup();
+    }
+}
+
+// Export singleton instance following project pattern
+export const modifierWheelManager = new ModifierWheelManager();
\ No newline at end of file
@@ -0,0 +1,282 @@
+/**
+ * @file Power point manager
+ * @description Tracks the caster's power point pools per arcane background, checks whether
+ * powers are affordable, and runs the power modifier picker whose total is deducted once the
+ * power's card is created.
+ */
+
+import { debug, debugWarn } from "../utils/debug.js";
+import { POWER_POINTS } from "../utils/constants.js";
+
+/**
+ * Handles power point pools, power costs and power modifiers
+ */
+class PowerPointManager {
+    /**
+     * Gets the actor's power point pools
+     * Supports per-arcane-background pools (system.powerPoints.<ab>) and the older
+     * single pool (system.powerPoints.value/max).
+     * @param {Actor} actor - The actor
+     * @returns {Array<{key: string, label: string, value: number, max: number, path: string}>}
+     *          Pools with a maximum above zero
+     */
+    getPools(actor) {
+        const powerPoints = actor?.system?.powerPoints;
+        if (!powerPoints) return [];
+
+        if (powerPoints.value !== undefined) {
+            return [this._toPool(POWER_POINTS.GENERAL_KEY, powerPoints, "system.powerPoints")]
+                .filter(pool => pool.max > 0);
+        }
+
+        return Object.entries(powerPoints)
+            .filter(([, pool]) => pool && typeof pool === 'object' && pool.value !== undefined)
+            .map(([key, pool]) => this._toPool(key, pool, `system.powerPoints.${key}`))
+            .filter(pool => pool.max > 0);
+    }
+
+    /**
+     * Builds a pool entry
+     * @param {string} key - Arcane background key
+     * @param {Object} pool - Raw { value, max } data
+     * @param {string} path - Update path of the pool
+     * @returns {Object} Pool entry
+     * @private
+     */
+    _toPool(key, pool, path) {
+        const label = key === POWER_POINTS.GENERAL_KEY
+            ? game.i18n.localize("tokencontextmenu.PowerPoints.General")
+            : key;
+        return {
+            key,
+            label,
+            value: Number(pool.value) || 0,
+            max: Number(pool.max) || 0,
+            path
+        };
+    }
+
+    /**
+     * Gets the pool a power draws from
+     * Powers without an arcane background, or whose background has no pool, use the general pool.
+     * @param {Actor} actor - The caster
+     * @param {Item} power - The power
+     * @returns {Object|null} The pool, or null if the actor has no power points
+     */
+    getPoolForPower(actor, power) {
+        const pools = this.getPools(actor);
+        const arcane = power?.system?.arcane;
+        return pools.find(pool => arcane && pool.key === arcane) ||
+               pools.find(pool => pool.key === POWER_POINTS.GENERAL_KEY) ||
+               pools[0] ||
+               null;
+    }
+
+    /**
+     * Gets the base power point cost of a power
+     * @param {Item} power - The power
+     * @returns {number} Base cost (0 if none is set)
+     */
+    getPowerCost(power) {
+        return Math.max(0, parseInt(power?.system?.pp, 10) || 0);
+    }
+
+    /**
+     * Checks if the caster can pay for a power
+     * Actors without power points (e.g. No Power Points setting rule) can always cast.
+     * @param {Actor} actor - The caster
+     * @param {Item} power - The power
+     * @param {number} [cost] - Total cost, defaults to the base cost
+     * @returns {boolean} True if affordable
+     */
+    canAfford(actor, power, cost = this.getPowerCost(power)) {
+        const pool = this.getPoolForPower(actor, power);
+        if (!pool) return true;
+        return pool.value >= cost;
+    }
+
+    /**
+     * Gets the modifiers offered for a power
+     * Uses the power's own modifier list when it defines one, otherwise the core SWADE modifiers.
+     * @param {Item} power - The power
+     * @returns {Array<{id: string, label: string, cost: number, max: number}>} Modifiers
+     */
+    getPowerModifiers(power) {
+        const own = power?.system?.modifiers;
+        if (Array.isArray(own) && own.length) {
+            return own
+                .filter(modifier => modifier?.name)
+                .map((modifier, index) => ({
+                    id: modifier.id || `modifier-${index}`,
+                    label: modifier.name,
+                    cost: Number(modifier.cost ?? modifier.value) || 0,
+                    max: 1
+                }));
+        }
+
+        return POWER_POINTS.CORE_MODIFIERS.map(modifier => ({
+            id: modifier.id,
+            label: game.i18n.localize(`tokencontextmenu.PowerPoints.Modifiers.${modifier.key}`),
+            cost: modifier.cost,
+            max: modifier.max
+        }));
+    }
+
+    /**
+     * Opens the power modifier picker
+     * Shows the power's modifiers with a running power point total.
+     * @param {Actor} actor - The caster
+     * @param {Item} power - The power
+     * @returns {Promise<{modifiers: Array<{label: string, cost: number, count: number}>, total: number}|null>}
+     *          The chosen modifiers and total cost, or null if cancelled
+     */
+    async choosePowerModifiers(actor, power) {
+        const baseCost = this.getPowerCost(power);
+        const pool = this.getPoolForPower(actor, power);
+        const modifiers = this.getPowerModifiers(power);
+
+        const rows = modifiers.map(modifier => {
+            const input = modifier.max > 1
+                ? `<input type="number" name="${modifier.id}" value="0" min="0" max="${modifier.max}" step="1" data-cost="${modifier.cost}">`
+                : `<input type="checkbox" name="${modifier.id}" data-cost="${modifier.cost}">`;
+            return `<div class="form-group">
+                <label>${foundry.utils.escapeHTML(modifier.label)} (+${modifier.cost})</label>
+                <div class="form-fields">${input}</div>
+            </div>`;
+        }).join('');
+
+        const poolText = pool
+            ? game.i18n.format("tokencontextmenu.PowerPoints.Available", { label: pool.label, value: pool.value, max: pool.max })
+            : '';
+
+        const result = await foundry.applications.api.DialogV2.wait({
+            window: {
+                title: game.i18n.format("tokencontextmenu.PowerPoints.PickerTitle", { power: power.name })
+            },
+            content: `<p class="tokencontextmenu-pp-pool">${poolText}</p>
+                ${rows}
+                <p><strong>${game.i18n.localize("tokencontextmenu.PowerPoints.Total")}:
+                    <span class="tokencontextmenu-pp-total">${baseCost}</span></strong></p>`,
+            buttons: [
+                {
+                    action: "cast",
+                    label: game.i18n.localize("tokencontextmenu.PowerPoints.Cast"),
+                    default: true,
+                    callback: (event, button) => this._readPickerForm(button.form, modifiers, baseCost)
+                },
+                {
+                    action: "cancel",
+                    label: game.i18n.localize("Cancel")
+                }
+            ],
+            render: (event, dialog) => this._bindRunningTotal(dialog.element, baseCost, pool),
+            rejectClose: false
+        });
+
+        return result && typeof result === 'object' ? result : null;
+    }
+
+    /**
+     * Keeps the picker's total in sync with the chosen modifiers
+     * Cast is disabled while the total is more than the pool holds.
+     * @param {HTMLElement} element - Dialog element
+     * @param {number} baseCost - The power's base cost
+     * @param {Object|null} pool - The pool the power draws from
+     * @private
+     */
+    _bindRunningTotal(element, baseCost, pool) {
+        const totalElement = element.querySelector(".tokencontextmenu-pp-total");
+        const castButton = element.querySelector('button[data-action="cast"]');
+        const inputs = element.querySelectorAll("input[data-cost]");
+
+        const update = () => {
+            let total = baseCost;
+            inputs.forEach(input => {
+                const count = input.type === "checkbox" ? (input.checked ? 1 : 0) : (parseInt(input.value, 10) || 0);
+                total += count * Number(input.dataset.cost);
+            });
+            totalElement.textContent = `${total}`;
+
+            const affordable = !pool || total <= pool.value;
+            totalElement.classList.toggle("over-budget", !affordable);
+            if (castButton) castButton.disabled = !affordable;
+        };
+
+        inputs.forEach(input => input.addEventListener("input", update));
+        update();
+    }
+
+    /**
+     * Reads the chosen modifiers from the picker form
+     * @param {HTMLFormElement} form - Dialog form
+     * @param {Array<Object>} modifiers - Offered modifiers
+     * @param {number} baseCost - The power's base cost
+     * @returns {{modifiers: Array<Object>, total: number}} Chosen modifiers and total cost
+     * @private
+     */
+    _readPickerForm(form, modifiers, baseCost) {
+        const chosen = [];
+        for (const modifier of modifiers) {
+            const input = form.elements[modifier.id];
+            if (!input) continue;
+
+            const count = input.type === "checkbox"
+                ? (input.checked ? 1 : 0)
+                : Math.min(modifier.max, Math.max(0, parseInt(input.value, 10) || 0));
+            if (count > 0) {
+                chosen.push({ label: modifier.label, cost: modifier.cost, count });
+            }
+        }
+
+        const total = chosen.reduce((sum, modifier) => sum + modifier.cost * modifier.count, baseCost);
+        return { modifiers: chosen, total };
+    }
+
+    /**
+     * Formats chosen power modifiers for the power card
+     * @param {Array<{label: string, count: number}>} modifiers - Chosen power modifiers
+     * @returns {string} Comma-separated labels, with a count for repeated modifiers
+     */
+    formatModifiers(modifiers) {
+        return modifiers
+            .map(modifier => modifier.count > 1 ? `${modifier.label} ×${modifier.count}` : modifier.label)
+            .join(", ");
+    }
+
+    /**
+     * Deducts power points for a cast
+     * @param {Actor} actor - The caster
+     * @param {Item} power - The power
+     * @param {number} total - Total cost including modifiers
+     * @param {Array<Object>} [modifiers=[]] - Chosen power modifiers
+     * @returns {Promise<boolean>} True if paid (or nothing to pay)
+     */
+    async spendPowerPoints(actor, power, total, modifiers = []) {
+        const pool = this.getPoolForPower(actor, power);
+        if (!pool || total <= 0) return true;
+
+        if (pool.value < total) {
+            ui.notifications.warn(game.i18n.format("tokencontextmenu.Messages.NotEnoughPowerPoints", {
+                power: power.name,
+                cost: total,
+                value: pool.value
+            }));
+            return false;
+        }
+
+        debug(`Spending ${total} PP from ${pool.label} for ${power.name}`, { modifiers });
+
+        try {
+            await actor.update({ [`${pool.path}.value`]: pool.value - total });
+        } catch (error) {
+            debugWarn(`Failed to deduct power points for ${power.name}:`, error);
+            ui.notifications.error(`Failed to deduct power points for ${power.name}`);
+            return false;
+        }
+
+        return true;
+    }
+}
+
+// Export singleton instance following project pattern
+export const powerPointManager = new PowerPointManager();
\ No newline at end of file
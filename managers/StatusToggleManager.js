@@ -0,0 +1,98 @@
+/**
+ * @file Status toggle manager
+ * @description Provides the status row of the weapon menu (common SWADE conditions that can be
+ * toggled on the acting token) and the conditions that prevent using weapons and powers.
+ */
+
+import { debug, debugWarn } from "../utils/debug.js";
+import { STATUS_TOGGLES } from "../utils/constants.js";
+
+/**
+ * Handles status effect lookup and toggling
+ */
+class StatusToggleManager {
+    /**
+     * Gets the status effect definition for an ID
+     * @param {string} statusId - Status effect ID
+     * @returns {Object|undefined} The CONFIG.statusEffects entry
+     * @private
+     */
+    _getStatusEffect(statusId) {
+        return CONFIG.statusEffects.find(effect => effect.id === statusId);
+    }
+
+    /**
+     * Gets the localized name of a status effect
+     * @param {string} statusId - Status effect ID
+     * @returns {string} Localized name, or the ID if the system does not define it
+     */
+    getStatusName(statusId) {
+        const effect = this._getStatusEffect(statusId);
+        return effect ? game.i18n.localize(effect.name ?? effect.label) : statusId;
+    }
+
+    /**
+     * Checks if a status is active on an actor
+     * @param {Actor} actor - The actor
+     * @param {string} statusId - Status effect ID
+     * @returns {boolean} True if active
+     */
+    isActive(actor, statusId) {
+        return actor?.statuses?.has(statusId) ?? false;
+    }
+
+    /**
+     * Gets the status row entries for an actor
+     * Conditions the game system does not define are left out.
+     * @param {Actor} actor - The actor
+     * @returns {Array<{statusId: string, name: string, img: string, active: boolean}>} Toggle entries
+     */
+    getToggles(actor) {
+        return STATUS_TOGGLES.STATUS_IDS
+            .map(statusId => ({ statusId, effect: this._getStatusEffect(statusId) }))
+            .filter(({ effect }) => effect)
+            .map(({ statusId, effect }) => ({
+                statusId,
+                name: game.i18n.localize(effect.name ?? effect.label),
+                img: effect.img ?? effect.icon,
+                active: this.isActive(actor, statusId)
+            }));
+    }
+
+    /**
+     * Toggles a status effect on the token's actor
+     * @param {Token} token - The acting token
+     * @param {string} statusId - Status effect ID
+     * @returns {Promise<boolean>} True if toggled
+     */
+    async toggle(token, statusId) {
+        const actor = token?.actor;
+        if (!actor?.isOwner) {
+            ui.notifications.warn("You don't have permission to modify this token");
+            return false;
+        }
+
+        debug(`Toggling status ${statusId} on ${actor.name}`);
+
+        try {
+            await actor.toggleStatusEffect(statusId);
+            return true;
+        } catch (error) {
+            debugWarn(`Failed to toggle status ${statusId}:`, error);
+            ui.notifications.error(`Failed to toggle ${this.getStatusName(statusId)}`);
+            return false;
+        }
+    }
+
+    /**
+     * Gets the first active condition that prevents using weapons and powers
+     * @param {Actor} actor - The actor
+     * @returns {string|null} Status effect ID, or null if nothing blocks
+     */
+    getBlockingStatus(actor) {
+        return STATUS_TOGGLES.BLOCKING_STATUS_IDS.find(statusId => this.isActive(actor, statusId)) ?? null;
+    }
+}
+
+// Export singleton instance following project pattern
+export const statusToggleManager = new StatusToggleManager();
\ No newline at end of file
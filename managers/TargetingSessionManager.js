@@ -92,6 +92,8 @@ class TargetingSessionManager extends CleanupManager {
         if (!this.state.activeSession) return;
         
         const session = this.state.activeSession;
+        if (session.ending) return;
+        session.ending = true;
         debug(`Ending targeting session: ${session.id}`);
         
         // Run cleanup callback if requested
@@ -124,6 +126,65 @@ class TargetingSessionManager extends CleanupManager {
         return this.state.activeSession?.id === sessionId;
     }
 
+    /**
+     * Get the token IDs collected by the current session
+     * @returns {Set<string>} Target token IDs (empty when no session is active)
+     */
+    getSessionTargets() {
+        return this.state.activeSession?.targets ?? new Set();
+    }
+
+    /**
+     * Check if a token has been targeted during the current session
+     * @param {string} tokenId
+     * @returns {boolean}
+     */
+    hasSessionTarget(tokenId) {
+        return this.getSessionTargets().has(tokenId);
+    }
+
+    /**
+     * Add or remove a token from the current session's targets
+     * @param {string} tokenId - The token ID
+     * @param {boolean} targeted - Whether the token should be targeted
+     */
+    toggleSessionTarget(tokenId, targeted) {
+        const targets = this.state.activeSession?.targets;
+        if (!targets) return;
+
+        if (targeted) {
+            targets.add(tokenId);
+        } else {
+            targets.delete(tokenId);
+        }
+        debug(`Session targets updated`, { tokenId, targeted, count: targets.size });
+    }
+
+    /**
+     * Determine how many targets an item may collect in one targeting session
+     * Weapons use their Rate of Fire, powers use the configured power target count.
+     * @param {Item} item - The weapon or power
+     * @returns {Promise<number>} Maximum number of targets (at least 1)
+     */
+    async getMaxTargets(item) {
+        const { shouldUseMultiTargetSelection, getPowerTargetCount } = await import("../settings/settings.js");
+        const { TARGETING } = await import("../utils/constants.js");
+
+        if (!item || !shouldUseMultiTargetSelection()) {
+            return TARGETING.DEFAULT_MAX_TARGETS;
+        }
+
+        if (item.type === 'weapon') {
+            return Math.max(TARGETING.DEFAULT_MAX_TARGETS, parseInt(item.system?.rof) || TARGETING.DEFAULT_MAX_TARGETS);
+        }
+
+        if (item.type === 'power') {
+            return Math.max(TARGETING.DEFAULT_MAX_TARGETS, getPowerTargetCount());
+        }
+
+        return TARGETING.DEFAULT_MAX_TARGETS;
+    }
+
     /**
      * Get current session info
      * @returns {Object|null}
@@ -166,17 +227,126 @@ class TargetingSessionManager extends CleanupManager {
 
     // ============= Phase 2 Refactoring: Weapon Targeting Logic =============
 
+    /**
+     * Resolve the roll adapter from the "Roll System" setting, with automatic fallback
+     * @returns {Promise<Object|null>} The roll adapter, or null if no roll system is available
+     */
+    async getRollAdapter() {
+        const { rollAdapterRegistry } = await import("../integrations/RollAdapterRegistry.js");
+        const { getRollAdapterPreference } = await import("../settings/settings.js");
+
+        return rollAdapterRegistry.getAdapter(getRollAdapterPreference());
+    }
+
+    /**
+     * Create the roll card for a weapon or power through the active roll adapter
+     * @param {Actor} actor - The actor using the item
+     * @param {string} itemId - The ID of the weapon or power
+     * @param {Object} options - Additional options for the roll
+     * @returns {Promise<boolean>} True if the card was created
+     */
+    async createItemCard(actor, itemId, options = {}) {
+        const adapter = await this.getRollAdapter();
+        if (!adapter) {
+            ui.notifications.error(game.i18n.localize("tokencontextmenu.Messages.NoRollAdapter"));
+            return false;
+        }
+
+        const item = actor?.items.get(itemId);
+        if (item?.type === 'power') {
+            const message = await adapter.createPowerCard(actor, itemId, options);
+            if (!message) return false;
+
+            // Power points chosen in the picker are paid only once the card exists
+            if (options.powerPointCost !== undefined) {
+                const { powerPointManager } = await import("./PowerPointManager.js");
+                const paid = await powerPointManager.spendPowerPoints(
+                    actor, item, options.powerPointCost, options.powerModifiers ?? []
+                );
+                if (!paid) {
+                    // The pool changed since the picker; a card that wasn't paid for is removed
+                    await message.delete?.();
+                    return false;
+                }
+            }
+
+            // Record the cast so its duration is counted down in combat
+            const { maintainedPowerManager } = await import("./MaintainedPowerManager.js");
+            await maintainedPowerManager.recordCast(actor, item, {
+                targetIds: Array.from(game.user.targets).map(target => target.id)
+            });
+        } else {
+            const message = await adapter.createWeaponCard(actor, itemId, options);
+            if (!message) return false;
+        }
+
+        // Remember the use for the most recently used sort order
+        const { itemOrderManager } = await import("./ItemOrderManager.js");
+        await itemOrderManager.recordUse(actor, itemId);
+        return true;
+    }
+
+    /**
+     * Roll a skill through the active roll adapter
+     * Adapters without skill support fall back to the native SWADE skill roll.
+     * @param {Actor} actor - The actor rolling the skill
+     * @param {string} skillId - The ID of the skill item
+     * @param {Object} options - Additional options for the roll
+     * @returns {Promise<void>}
+     */
+    async rollSkill(actor, skillId, options = {}) {
+        const adapter = await this.getRollAdapter();
+        if (typeof adapter?.rollSkill === 'function') {
+            await adapter.rollSkill(actor, skillId, options);
+        } else {
+            await actor.rollSkill(skillId);
+        }
+
+        const { itemOrderManager } = await import("./ItemOrderManager.js");
+        await itemOrderManager.recordUse(actor, skillId);
+    }
+
+    /**
+     * Roll Soak through the active roll adapter
+     * @param {Actor} actor - The actor soaking damage
+     * @param {Object} options - Additional options for the roll
+     * @returns {Promise<boolean>} True if the roll was made
+     */
+    async rollSoak(actor, options = {}) {
+        const adapter = await this.getRollAdapter();
+        const result = typeof adapter?.rollSoak === 'function'
+            ? await adapter.rollSoak(actor, options)
+            : await actor.rollAttribute('vigor');
+        return !!result;
+    }
+
+    /**
+     * Roll Spirit to recover from Shaken through the active roll adapter
+     * @param {Actor} actor - The Shaken actor
+     * @param {Object} options - Additional options for the roll
+     * @returns {Promise<void>}
+     */
+    async rollUnshake(actor, options = {}) {
+        const adapter = await this.getRollAdapter();
+        if (typeof adapter?.rollUnshake === 'function') {
+            await adapter.rollUnshake(actor, options);
+        } else {
+            await actor.rollAttribute('spirit');
+        }
+    }
+
     /**
      * Begin a weapon roll targeting session (Phase 2 feature extraction)
      * @param {Token} token - The token making the attack
      * @param {string} weaponId - The ID of the weapon being used
      * @param {Function} hideMenuCallback - Callback to hide the menu
+     * @param {Object} [rollOptions] - Extra options passed to the roll adapter
+     * @param {Array<{label: string, value: number}>} [rollOptions.modifiers] - Situational roll modifiers
      * @returns {Promise<void>}
      */
-    async beginWeaponRoll(token, weaponId, hideMenuCallback) {
+    async beginWeaponRoll(token, weaponId, hideMenuCallback, rollOptions = {}) {
         // Import dependencies to avoid circular references
-        const { betterRollsAdapter } = await import("../integrations/BetterRollsAdapter.js");
-        const { shouldAutoRemoveTargets } = await import("../settings/settings.js");
+        const { shouldAutoRemoveTargets, shouldUseTemplatePlacement } = await import("../settings/settings.js");
         const { showTargetTooltip, setupTargetClickHandlers, emergencyCleanupTargeting } = await import("../utils/interactionLayerUtils.js");
 
         // Hide menu first to prevent interference
@@ -189,23 +359,36 @@ class TargetingSessionManager extends CleanupManager {
             return;
         }
 
+        const rollAdapter = await this.getRollAdapter();
+        if (!rollAdapter) {
+            ui.notifications.error(game.i18n.localize("tokencontextmenu.Messages.NoRollAdapter"));
+            return;
+        }
+
         // Ensure weapon data is up to date
         await weapon.prepareDerivedData?.();
 
         debug(`Beginning weapon roll for "${weapon.name}"`, {
             weaponId: weapon.id,
-            requiresTarget: betterRollsAdapter.requiresTarget(weapon)
+            rollAdapter: rollAdapter.label,
+            requiresTarget: rollAdapter.requiresTarget(weapon)
         });
 
         // Check if weapon requires a target
-        if (!betterRollsAdapter.requiresTarget(weapon)) {
+        if (!rollAdapter.requiresTarget(weapon)) {
             // Template/AOE weapons - create roll immediately
             if (game.user.targets.size > 0) {
                 debug(`Clearing ${game.user.targets.size} lingering targets for template weapon`);
                 game.user.targets.forEach(t => t.setTarget(false, {user: game.user}));
                 game.user.targets.clear();
             }
-            await betterRollsAdapter.createWeaponCard(token.actor, weaponId, { tokenId: token.id });
+
+            // Let the user place the template first when the item defines a shape
+            if (shouldUseTemplatePlacement() && await this.startTemplatePlacement(token, weaponId, rollOptions)) {
+                return;
+            }
+
+            await this.createItemCard(token.actor, weaponId, { ...rollOptions, tokenId: token.id });
             return;
         }
 
@@ -218,21 +401,74 @@ class TargetingSessionManager extends CleanupManager {
         // Check for existing target
         if (game.user.targets.size > 0) {
             // We have a target, create the card directly
-            await betterRollsAdapter.createWeaponCard(token.actor, weaponId, { tokenId: token.id });
+            await this.createItemCard(token.actor, weaponId, { ...rollOptions, tokenId: token.id });
             return;
         }
 
         // No target - need to start targeting session
-        await this.startWeaponTargeting(token, weaponId);
+        await this.startWeaponTargeting(token, weaponId, rollOptions);
+    }
+
+    /**
+     * Start a template placement session for an AOE weapon or power
+     * On confirm the MeasuredTemplate is created, covered tokens are targeted and the
+     * roll card is created. Cancelling leaves no template or targets behind.
+     * @param {Token} token - The token making the attack
+     * @param {string} weaponId - The ID of the weapon or power
+     * @param {Object} [rollOptions] - Extra options passed to the roll adapter
+     * @returns {Promise<boolean>} False if the item has no placeable template shape
+     */
+    async startTemplatePlacement(token, weaponId, rollOptions = {}) {
+        const { setupTemplatePlacementHandlers, emergencyCleanupTargeting } = await import("../utils/interactionLayerUtils.js");
+
+        emergencyCleanupTargeting();
+
+        const item = token.actor.items.get(weaponId);
+        let placementHandled = false;
+
+        const cleanup = await setupTemplatePlacementHandlers(
+            item,
+            // On placed callback
+            async (templateData, tokens) => {
+                if (placementHandled) return;
+                placementHandled = true;
+
+                try {
+                    await canvas.scene.createEmbeddedDocuments("MeasuredTemplate", [templateData]);
+                } catch (error) {
+                    debugError('Failed to create measured template:', error);
+                    return;
+                }
+
+                tokens.forEach((target, index) => {
+                    target.setTarget(true, {user: game.user, releaseOthers: index === 0, groupSelection: true});
+                });
+                debug(`Template placed for "${item.name}"`, { targets: tokens.length });
+
+                await this.createItemCard(token.actor, weaponId, { ...rollOptions, tokenId: token.id });
+            },
+            // On abort callback
+            (reason) => {
+                if (placementHandled) return;
+                placementHandled = true;
+
+                if (reason && !reason.includes('manually aborted')) {
+                    ui.notifications.info(reason);
+                }
+            }
+        );
+
+        return cleanup !== null;
     }
 
     /**
      * Start a weapon targeting session (Phase 2 feature extraction)
      * @param {Token} token - The token making the attack
      * @param {string} weaponId - The ID of the weapon
+     * @param {Object} [rollOptions] - Extra options passed to the roll adapter
      * @returns {Promise<void>}
      */
-    async startWeaponTargeting(token, weaponId) {
+    async startWeaponTargeting(token, weaponId, rollOptions = {}) {
         // Import dependencies
         const { showTargetTooltip, setupTargetClickHandlers, emergencyCleanupTargeting } = await import("../utils/interactionLayerUtils.js");
 
@@ -247,11 +483,17 @@ class TargetingSessionManager extends CleanupManager {
         // Show the target tooltip IMMEDIATELY
         showTargetTooltip(true);
 
+        // Determine how many targets this item may collect
+        const item = token.actor.items.get(weaponId);
+        const maxTargets = await this.getMaxTargets(item);
+
         // Store data for later
         const pendingData = {
             actorId: token.actor.id,
             weaponId: weaponId,
             tokenId: token.id,
+            maxTargets: maxTargets,
+            rollOptions: rollOptions,
             timestamp: Date.now()
         };
 
@@ -278,19 +520,29 @@ class TargetingSessionManager extends CleanupManager {
                 showTargetTooltip(false);
                 await this.completeWeaponTargeting(token, pendingData);
             },
-            // On abort callback
+            // On abort callback, also called when the session is ended from elsewhere
             async (reason) => {
                 if (targetHandled) return;
                 targetHandled = true;
 
                 showTargetTooltip(false);
-                await game.user.unsetFlag('tokencontextmenu', 'pendingWeaponRoll');
-                this.endSession();
+                const abortedSessionId = this.state.activeSession?.id;
+
+                // A newer targeting may already have stored its own pending roll
+                const storedData = game.user.getFlag('tokencontextmenu', 'pendingWeaponRoll');
+                if (storedData?.timestamp === pendingData.timestamp) {
+                    await game.user.unsetFlag('tokencontextmenu', 'pendingWeaponRoll');
+                }
+                // Sessions that are already ending called this from their cleanup
+                if (abortedSessionId && this.isCurrentSession(abortedSessionId) && !this.state.activeSession.ending) {
+                    this.endSession();
+                }
 
                 if (reason && !reason.includes('manually aborted')) {
                     ui.notifications.warn(reason);
                 }
-            }
+            },
+            { maxTargets, sourceToken: token, item }
         );
     }
 
@@ -301,7 +553,6 @@ class TargetingSessionManager extends CleanupManager {
      * @returns {Promise<void>}
      */
     async completeWeaponTargeting(token, pendingData) {
-        const { betterRollsAdapter } = await import("../integrations/BetterRollsAdapter.js");
 
         const storedData = await game.user.getFlag('tokencontextmenu', 'pendingWeaponRoll');
 
@@ -311,7 +562,7 @@ class TargetingSessionManager extends CleanupManager {
 
             const actor = token.actor;
             if (actor && game.user.targets.size > 0) {
-                await betterRollsAdapter.createWeaponCard(actor, storedData.weaponId, { tokenId: token.id });
+                await this.createItemCard(actor, storedData.weaponId, { ...storedData.rollOptions, tokenId: token.id });
             } else if (!game.user.targets.size) {
                 ui.notifications.warn("Target was lost. Please try again.");
             } else {
@@ -0,0 +1,164 @@
+/**
+ * @file Texture cache manager
+ * @description Module-wide LRU cache for menu icon textures. Loads are shared between the weapon
+ * menu and the ECT menu, broken image URLs resolve to one fallback icon, and the item images of
+ * a controlled token's actor are preloaded so the menu opens with its icons already drawn.
+ */
+
+import { CleanupManager } from "./CleanupManager.js";
+import { debug, debugWarn } from "../utils/debug.js";
+import { TEXTURE_CACHE } from "../utils/constants.js";
+
+/**
+ * Handles texture loading, caching and preloading
+ * The cache is a Map in least-recently-used order: hits move an entry to the end, and the
+ * first entries are dropped once the cache is full.
+ */
+class TextureCacheManager extends CleanupManager {
+    constructor() {
+        super();
+        this._textures = new Map();  // path -> PIXI.Texture, least recently used first
+        this._pending = new Map();   // path -> Promise<PIXI.Texture|null> for loads in flight
+        this.registerHook('controlToken', this._onControlToken);
+    }
+
+    /**
+     * Gets a loaded texture without loading it
+     * @param {string} path - Image path
+     * @returns {PIXI.Texture|null} The cached texture, or null if it is not loaded yet
+     */
+    getCached(path) {
+        const texture = this._textures.get(path);
+        if (!texture) return null;
+
+        if (texture.destroyed) {
+            this._textures.delete(path);
+            return null;
+        }
+
+        // Mark as most recently used
+        this._textures.delete(path);
+        this._textures.set(path, texture);
+        return texture;
+    }
+
+    /**
+     * Creates a sprite for an image right away
+     * Uses the cached texture when there is one; otherwise the sprite starts empty and gets
+     * the loaded texture, or the fallback icon for broken images, once the load finishes.
+     * @param {string} path - Image path
+     * @param {number} size - Sprite width and height, applied whenever the texture is set
+     * @returns {PIXI.Sprite} The sprite
+     */
+    createSprite(path, size) {
+        const sprite = new PIXI.Sprite();
+        const setTexture = texture => {
+            sprite.texture = texture;
+            sprite.width = size;
+            sprite.height = size;
+        };
+
+        const cached = this.getCached(path);
+        if (cached) {
+            setTexture(cached);
+            return sprite;
+        }
+
+        this.loadTexture(path).then(texture => {
+            if (texture && !sprite.destroyed) setTexture(texture);
+        });
+        return sprite;
+    }
+
+    /**
+     * Loads a texture through the cache
+     * Concurrent loads of the same path share one request. Broken images resolve to the
+     * fallback icon and are cached as such, so they are not requested again.
+     * @param {string} path - Image path
+     * @returns {Promise<PIXI.Texture|null>} The texture, or null if the fallback icon failed too
+     */
+    loadTexture(path) {
+        const cached = this.getCached(path);
+        if (cached) return Promise.resolve(cached);
+        if (this._pending.has(path)) return this._pending.get(path);
+
+        const promise = PIXI.Texture.fromURL(path)
+            .catch(error => {
+                debugWarn(`Failed to load texture ${path}, using fallback icon:`, error);
+                return path === TEXTURE_CACHE.FALLBACK_ICON ? null : this.loadTexture(TEXTURE_CACHE.FALLBACK_ICON);
+            })
+            .then(texture => {
+                this._pending.delete(path);
+                if (texture) this._store(path, texture);
+                return texture;
+            });
+
+        this._pending.set(path, promise);
+        return promise;
+    }
+
+    /**
+     * Loads several textures in the background
+     * @param {Iterable<string>} paths - Image paths
+     * @returns {Promise<void>}
+     */
+    async preload(paths) {
+        const missing = [...new Set(paths)].filter(path => path && !this.getCached(path));
+        if (!missing.length) return;
+
+        debug(`Preloading ${missing.length} menu textures`);
+        await Promise.all(missing.slice(0, TEXTURE_CACHE.MAX_SIZE).map(path => this.loadTexture(path)));
+    }
+
+    /**
+     * Preloads the images of the items an actor's menu can show
+     * @param {Actor} actor - The actor
+     * @returns {Promise<void>}
+     */
+    async preloadActor(actor) {
+        if (!actor) return;
+        const paths = actor.items
+            .filter(item => TEXTURE_CACHE.PRELOAD_ITEM_TYPES.includes(item.type))
+            .map(item => item.img);
+        await this.preload(paths);
+    }
+
+    /**
+     * Adds a texture, dropping the least recently used ones when the cache is full
+     * @param {string} path - Image path
+     * @param {PIXI.Texture} texture - Loaded texture
+     * @private
+     */
+    _store(path, texture) {
+        this._textures.delete(path);
+        this._textures.set(path, texture);
+
+        while (this._textures.size > TEXTURE_CACHE.MAX_SIZE) {
+            const oldest = this._textures.keys().next().value;
+            this._textures.delete(oldest);
+        }
+    }
+
+    /**
+     * Preloads the actor's item images when the user selects an owned token
+     * @param {Token} token - The token
+     * @param {boolean} controlled - Whether the token was controlled
+     * @private
+     */
+    _onControlToken(token, controlled) {
+        if (!controlled || !token.actor?.isOwner) return;
+        this.preloadActor(token.actor);
+    }
+
+    /**
+     * Clears the cache and removes the hooks
+     */
+    cleanup() {
+        this._textures.clear();
+        this._pending.clear();
+        super.cleanup();
+    }
+}
+
+// Export singleton instance following project pattern
+export const textureCacheManager = new TextureCacheManager();
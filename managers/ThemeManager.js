@@ -0,0 +1,235 @@
+/**
+ * @file Theme manager
+ * @description Resolves the colors of the active weapon menu theme and manages custom themes:
+ * creating, editing, deleting, importing and exporting them as JSON.
+ */
+
+import { weaponSystemCoordinator } from "./WeaponSystemCoordinator.js";
+import { debug, debugWarn } from "../utils/debug.js";
+import { COLORS, THEMES, HEX_COLOR } from "../utils/constants.js";
+import { getWeaponMenuThemeId, getCustomThemes } from "../settings/settings.js";
+
+/**
+ * Handles built-in and custom themes
+ * Custom themes live in the customThemes client setting keyed by theme ID.
+ */
+class ThemeManager {
+    /**
+     * Gets all available themes, built-in themes first
+     * @returns {Array<{id: string, name: string, builtIn: boolean, colors: Object}>} Themes
+     */
+    getThemes() {
+        const builtIn = Object.entries(THEMES.BUILT_IN).map(([id, theme]) => ({
+            id,
+            name: game.i18n.localize(`tokencontextmenu.Themes.${theme.nameKey}`),
+            builtIn: true,
+            colors: theme.colors
+        }));
+
+        const custom = Object.entries(getCustomThemes())
+            .map(([id, theme]) => ({ id, name: theme.name, builtIn: false, colors: theme.colors ?? {} }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return [...builtIn, ...custom];
+    }
+
+    /**
+     * Gets a theme by ID
+     * @param {string} themeId - Theme ID
+     * @returns {Object|undefined} The theme
+     */
+    getTheme(themeId) {
+        return this.getThemes().find(theme => theme.id === themeId);
+    }
+
+    /**
+     * Gets the ID of the active theme
+     * Falls back to the default theme if the chosen custom theme was deleted.
+     * @returns {string} Theme ID
+     */
+    getActiveThemeId() {
+        const themeId = getWeaponMenuThemeId();
+        return this.getTheme(themeId) ? themeId : THEMES.DEFAULT_ID;
+    }
+
+    /**
+     * Gets the resolved colors of a theme
+     * @param {string} [themeId] - Theme ID, defaults to the active theme
+     * @returns {Object} COLORS with the theme's overrides applied
+     */
+    getColors(themeId = this.getActiveThemeId()) {
+        return { ...COLORS, ...this.getTheme(themeId)?.colors };
+    }
+
+    /**
+     * Makes a theme the active one
+     * @param {string} themeId - Theme ID
+     * @returns {Promise<void>}
+     */
+    async setActiveTheme(themeId) {
+        debug(`Activating theme ${themeId}`);
+        await game.settings.set("tokencontextmenu", "weaponMenuTheme", themeId);
+        this._refreshOpenMenu();
+    }
+
+    /**
+     * Creates a custom theme from another theme's colors
+     * @param {string} name - Theme name
+     * @param {string} [baseThemeId] - Theme to copy, defaults to the active theme
+     * @returns {Promise<string|null>} New theme ID, or null if the name is empty
+     */
+    async createTheme(name, baseThemeId = this.getActiveThemeId()) {
+        return this.saveTheme(null, name, this.getColors(baseThemeId));
+    }
+
+    /**
+     * Creates or updates a custom theme
+     * @param {string|null} themeId - Custom theme ID, or null to create one
+     * @param {string} name - Theme name
+     * @param {Object} colors - Theme colors (numbers, or "#rrggbb" strings for colors)
+     * @returns {Promise<string|null>} Theme ID, or null if the name is empty
+     */
+    async saveTheme(themeId, name, colors) {
+        const trimmed = `${name ?? ''}`.trim().slice(0, THEMES.MAX_NAME_LENGTH);
+        if (!trimmed) {
+            ui.notifications.warn(game.i18n.localize("tokencontextmenu.Themes.NameRequired"));
+            return null;
+        }
+
+        const id = themeId ?? `${THEMES.CUSTOM_ID_PREFIX}${foundry.utils.randomID()}`;
+        const themes = { ...getCustomThemes(), [id]: { name: trimmed, colors: this.normalizeColors(colors) } };
+
+        debug(`Saving theme ${trimmed}`, { id });
+        await game.settings.set("tokencontextmenu", "customThemes", themes);
+        if (id === this.getActiveThemeId()) this._refreshOpenMenu();
+        return id;
+    }
+
+    /**
+     * Deletes a custom theme
+     * The default theme becomes active if the deleted theme was active.
+     * @param {string} themeId - Custom theme ID
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteTheme(themeId) {
+        const themes = { ...getCustomThemes() };
+        if (!themes[themeId]) return false;
+
+        const wasActive = themeId === this.getActiveThemeId();
+        delete themes[themeId];
+        await game.settings.set("tokencontextmenu", "customThemes", themes);
+        if (wasActive) await this.setActiveTheme(THEMES.DEFAULT_ID);
+        return true;
+    }
+
+    /**
+     * Keeps only known theme keys with valid values
+     * Colors may be numbers or "#rrggbb" strings; opacities are clamped to 0-1.
+     * @param {Object} colors - Raw theme colors
+     * @returns {Object} Colors as numbers
+     */
+    normalizeColors(colors) {
+        const normalized = {};
+        if (!colors || typeof colors !== 'object') return normalized;
+
+        for (const key of THEMES.COLOR_KEYS) {
+            const color = this._parseColor(colors[key]);
+            if (color !== null) normalized[key] = color;
+        }
+        for (const key of THEMES.ALPHA_KEYS) {
+            const alpha = Number(colors[key]);
+            if (colors[key] !== undefined && colors[key] !== '' && Number.isFinite(alpha)) {
+                normalized[key] = Math.min(1, Math.max(0, alpha));
+            }
+        }
+        return normalized;
+    }
+
+    /**
+     * Parses a theme color
+     * @param {number|string} value - Color number or "#rrggbb" string
+     * @returns {number|null} Color number, or null if invalid
+     * @private
+     */
+    _parseColor(value) {
+        if (Number.isInteger(value) && value >= 0 && value <= HEX_COLOR.WHITE) return value;
+        const match = typeof value === 'string' && value.trim().match(/^#?([0-9a-f]{6})$/i);
+        return match ? parseInt(match[1], 16) : null;
+    }
+
+    /**
+     * Formats a color number as a "#rrggbb" string
+     * @param {number} color - Color number
+     * @returns {string} Hex color string
+     */
+    toHex(color) {
+        return `#${color.toString(16).padStart(HEX_COLOR.VALIDATION_LENGTH, '0')}`;
+    }
+
+    /**
+     * Serializes a theme as JSON with hex color strings
+     * @param {string} themeId - Theme ID
+     * @returns {string|null} Theme JSON, or null if the theme does not exist
+     */
+    serializeTheme(themeId) {
+        const theme = this.getTheme(themeId);
+        if (!theme) return null;
+
+        const colors = this.getColors(themeId);
+        const exported = {};
+        THEMES.COLOR_KEYS.forEach(key => exported[key] = this.toHex(colors[key]));
+        THEMES.ALPHA_KEYS.forEach(key => exported[key] = colors[key]);
+
+        return JSON.stringify({ name: theme.name, colors: exported }, null, 2);
+    }
+
+    /**
+     * Downloads a theme as a JSON file
+     * @param {string} themeId - Theme ID
+     */
+    exportTheme(themeId) {
+        const json = this.serializeTheme(themeId);
+        if (!json) return;
+
+        const fileName = `tokencontextmenu-theme-${themeId}.json`;
+        foundry.utils.saveDataToFile(json, "application/json", fileName);
+    }
+
+    /**
+     * Imports a theme from JSON as a new custom theme
+     * @param {string} json - Theme JSON ({ name, colors })
+     * @returns {Promise<string|null>} New theme ID, or null if the JSON is not a theme
+     */
+    async importTheme(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            debugWarn("Failed to parse theme JSON:", error);
+            data = null;
+        }
+
+        const colors = this.normalizeColors(data?.colors);
+        if (typeof data?.name !== 'string' || !Object.keys(colors).length) {
+            ui.notifications.error(game.i18n.localize("tokencontextmenu.Themes.InvalidTheme"));
+            return null;
+        }
+
+        const themeId = await this.saveTheme(null, data.name, colors);
+        if (themeId) {
+            ui.notifications.info(game.i18n.format("tokencontextmenu.Themes.Imported", { name: data.name }));
+        }
+        return themeId;
+    }
+
+    /**
+     * Rebuilds the open weapon menu so it picks up new colors
+     * @private
+     */
+    _refreshOpenMenu() {
+        weaponSystemCoordinator.getMenuApp()?.refresh();
+    }
+}
+
+// Export singleton instance following project pattern
+export const themeManager = new ThemeManager();
@@ -5,7 +5,8 @@
 
 import { CleanupManager } from "./CleanupManager.js";
 import { debug, debugWarn } from "../utils/debug.js";
-import { Z_INDEX, EQUIP_STATUS, TOOLTIP } from "../utils/constants.js";
+import { Z_INDEX, EQUIP_STATUS, TOOLTIP, STATUS_TOGGLES } from "../utils/constants.js";
+import { consumableManager } from "./ConsumableManager.js";
 
 /**
  * Manages tooltips for the weapon menu
@@ -118,6 +119,10 @@ class WeaponMenuTooltipManager extends CleanupManager {
         if (this._hasAmmo(weapon)) {
             headerContent += ` (${weapon.system.currentShots}/${weapon.system.shots})`;
         }
+        // Add remaining quantity for consumables
+        else if (consumableManager.isConsumable(weapon)) {
+            headerContent += ` (×${consumableManager.getQuantity(weapon)})`;
+        }
         
         // Add equipment status as subtitle for weapons
         let equipmentStatusHtml = '';
@@ -131,6 +136,18 @@ class WeaponMenuTooltipManager extends CleanupManager {
             const favoriteStatus = game.i18n.localize(`tokencontextmenu.PowerStatus.${favoriteKey}`);
             equipmentStatusHtml = `<div class="tooltip-equipment-status">${favoriteStatus}</div>`;
         }
+        // Add pin status as subtitle for skills
+        else if (weapon.type === "skill") {
+            const pinKey = metadata?.isUnfavorited ? 'Unpinned' : 'Pinned';
+            const pinStatus = game.i18n.localize(`tokencontextmenu.SkillStatus.${pinKey}`);
+            equipmentStatusHtml = `<div class="tooltip-equipment-status">${pinStatus}</div>`;
+        }
+        // Add active state as subtitle for status toggles
+        else if (weapon.type === STATUS_TOGGLES.ENTRY_TYPE) {
+            const stateKey = metadata?.statusActive ? 'Active' : 'Inactive';
+            const state = game.i18n.localize(`tokencontextmenu.StatusToggles.${stateKey}`);
+            equipmentStatusHtml = `<div class="tooltip-equipment-status">${state}</div>`;
+        }
 
         // Build tooltip HTML
         let tooltipHtml = '';
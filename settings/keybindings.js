@@ -0,0 +1,99 @@
+/**
+ * @file Keybinding registration for the weapon menu
+ * @description Registers remappable keyboard controls through game.keybindings: opening the
+ * menu for the controlled token, moving the focus ring, using or editing the focused item
+ * and firing items by number.
+ */
+
+import { weaponSystemCoordinator } from "../managers/WeaponSystemCoordinator.js";
+import { modifierWheelManager } from "../managers/ModifierWheelManager.js";
+import { ectMenuManager } from "../managers/ECTMenuManager.js";
+import { KEYBOARD_NAV } from "../utils/constants.js";
+import { debug } from "../utils/debug.js";
+
+/**
+ * Gets the open menu if it should receive keyboard input
+ * Sub-menus (modifier wheel, ECT menu) own the keyboard while they are open.
+ * @returns {WeaponMenuApplication|null} The menu application
+ */
+function getKeyboardMenu() {
+    const menuApp = weaponSystemCoordinator.getMenuApp();
+    if (!menuApp || menuApp.stateMachine?.getState() !== 'OPEN') return null;
+    if (modifierWheelManager.isOpen() || ectMenuManager.isOpen()) return null;
+    return menuApp;
+}
+
+/**
+ * Registers a binding that only acts while the menu is open
+ * Returning false when the menu is closed lets core bindings on the same key
+ * (token movement, macro hotbar) run as usual.
+ * @param {string} action - Binding action name
+ * @param {string} labelKey - Localization key suffix under tokencontextmenu.Keybindings
+ * @param {Array<Object>} editable - Default key combinations
+ * @param {Function} handler - Called with the menu application
+ */
+function registerMenuBinding(action, labelKey, editable, handler) {
+    game.keybindings.register("tokencontextmenu", action, {
+        name: game.i18n.localize(`tokencontextmenu.Keybindings.${labelKey}`),
+        hint: game.i18n.localize(`tokencontextmenu.Keybindings.${labelKey}Hint`),
+        editable,
+        onDown: () => {
+            const menuApp = getKeyboardMenu();
+            if (!menuApp) return false;
+            handler(menuApp);
+            return true;
+        },
+        precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY
+    });
+}
+
+/**
+ * Registers all keybindings (must run during init)
+ */
+export function registerKeybindings() {
+    game.keybindings.register("tokencontextmenu", "openMenu", {
+        name: game.i18n.localize("tokencontextmenu.Keybindings.OpenMenu"),
+        hint: game.i18n.localize("tokencontextmenu.Keybindings.OpenMenuHint"),
+        editable: [{ key: KEYBOARD_NAV.OPEN_MENU_KEY }],
+        onDown: () => {
+            const token = canvas.tokens?.controlled[0];
+            if (!token?.actor?.isOwner) return false;
+
+            const toggleMenu = async () => {
+                if (weaponSystemCoordinator.isMenuOpen() && weaponSystemCoordinator.getMenuToken() === token) {
+                    const { closeWeaponMenu } = await import("../utils/weaponMenuCloser.js");
+                    await closeWeaponMenu({ reason: 'keybinding' });
+                } else {
+                    const { showWeaponMenuUnderToken } = await import("../utils/weaponMenuDisplay.js");
+                    await showWeaponMenuUnderToken(token);
+                }
+            };
+            toggleMenu();
+            return true;
+        }
+    });
+
+    registerMenuBinding("focusUp", "FocusUp", [{ key: "ArrowUp" }], menuApp => menuApp.moveFocus(0, -1));
+    registerMenuBinding("focusDown", "FocusDown", [{ key: "ArrowDown" }], menuApp => menuApp.moveFocus(0, 1));
+    registerMenuBinding("focusLeft", "FocusLeft", [{ key: "ArrowLeft" }], menuApp => menuApp.moveFocus(-1, 0));
+    registerMenuBinding("focusRight", "FocusRight", [{ key: "ArrowRight" }], menuApp => menuApp.moveFocus(1, 0));
+    registerMenuBinding("useFocused", "UseFocused", [{ key: "Enter" }], menuApp => menuApp.useFocusedItem());
+    registerMenuBinding("editFocused", "EditFocused", [{ key: KEYBOARD_NAV.CONTEXT_KEY }], menuApp => menuApp.editFocusedItem());
+
+    for (let slot = 1; slot <= KEYBOARD_NAV.QUICK_SLOTS; slot++) {
+        game.keybindings.register("tokencontextmenu", `quickSlot${slot}`, {
+            name: game.i18n.format("tokencontextmenu.Keybindings.QuickSlot", { slot }),
+            hint: game.i18n.localize("tokencontextmenu.Keybindings.QuickSlotHint"),
+            editable: [{ key: `Digit${slot}` }],
+            onDown: () => {
+                const menuApp = getKeyboardMenu();
+                if (!menuApp) return false;
+                menuApp.useItemAt(slot - 1);
+                return true;
+            },
+            precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY
+        });
+    }
+
+    debug("Keybindings registered");
+}
\ No newline at end of file
@@ -4,7 +4,8 @@
  * Settings are client-scoped (per-user) to allow individual preferences.
  */
 import { debug } from "../utils/debug.js";
-import { EQUIPMENT_STATE_COLORS, EQUIPMENT_ZOOM, EQUIPMENT_BLUR, COLORS } from "../utils/constants.js";
+import { EQUIPMENT_STATE_COLORS, EQUIPMENT_ZOOM, EQUIPMENT_BLUR, COLORS, TARGETING, ROLL_ADAPTERS, MODIFIER_WHEEL, WEAPON_MENU_LAYOUT, MENU_ANCHOR, MENU_RENDER_MODE, SCREEN_SPACE, THEMES, MENU_SORT_MODE } from "../utils/constants.js";
+import { ThemeConfigApplication } from "../applications/ThemeConfigApplication.js";
 
 export function registerSettings() {
     // Debug setting - this should show up as last entry in the settings window
@@ -27,6 +28,85 @@ game.settings.register("tokencontextmenu", "autoRemoveTargets", {
         default: true       // Default to automatically removing targets
     });
 
+    // Roll system used for weapon and power cards
+    game.settings.register("tokencontextmenu", "rollAdapter", {
+        name: game.i18n.localize("tokencontextmenu.Settings.RollAdapter"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.RollAdapterHint"),
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            [ROLL_ADAPTERS.AUTO]: game.i18n.localize("tokencontextmenu.Settings.RollAdapterAuto"),
+            [ROLL_ADAPTERS.BETTER_ROLLS]: game.i18n.localize("tokencontextmenu.Settings.RollAdapterBetterRolls"),
+            [ROLL_ADAPTERS.SWADE]: game.i18n.localize("tokencontextmenu.Settings.RollAdapterSwade")
+        },
+        default: ROLL_ADAPTERS.AUTO,
+        requiresReload: false
+    });
+
+    // Modifier key that opens the pre-roll modifier wheel
+    game.settings.register("tokencontextmenu", "modifierWheelKey", {
+        name: game.i18n.localize("tokencontextmenu.Settings.ModifierWheelKey"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.ModifierWheelKeyHint"),
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            [MODIFIER_WHEEL.OPEN_KEYS.NONE]: game.i18n.localize("tokencontextmenu.Settings.ModifierWheelKeyNone"),
+            [MODIFIER_WHEEL.OPEN_KEYS.SHIFT]: game.i18n.localize("tokencontextmenu.Settings.ModifierWheelKeyShift"),
+            [MODIFIER_WHEEL.OPEN_KEYS.CTRL]: game.i18n.localize("tokencontextmenu.Settings.ModifierWheelKeyCtrl"),
+            [MODIFIER_WHEEL.OPEN_KEYS.ALT]: game.i18n.localize("tokencontextmenu.Settings.ModifierWheelKeyAlt")
+        },
+        default: MODIFIER_WHEEL.OPEN_KEYS.SHIFT,
+        requiresReload: false
+    });
+
+    // Multi-target selection for weapons with ROF > 1 and multi-target powers
+    game.settings.register("tokencontextmenu", "multiTargetSelection", {
+        name: game.i18n.localize("tokencontextmenu.Settings.MultiTargetSelection"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.MultiTargetSelectionHint"),
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "showRangePreview", {
+        name: game.i18n.localize("tokencontextmenu.Settings.ShowRangePreview"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.ShowRangePreviewHint"),
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "templatePlacement", {
+        name: game.i18n.localize("tokencontextmenu.Settings.TemplatePlacement"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.TemplatePlacementHint"),
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "powerTargetCount", {
+        name: game.i18n.localize("tokencontextmenu.Settings.PowerTargetCount"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.PowerTargetCountHint"),
+        scope: "client",
+        config: true,
+        type: Number,
+        default: TARGETING.DEFAULT_MAX_TARGETS,
+        range: {
+            min: TARGETING.MIN_POWER_TARGETS,
+            max: TARGETING.MAX_POWER_TARGETS,
+            step: 1
+        },
+        requiresReload: false
+    });
+
     // Add the new setting for weapon menu on token selection
     game.settings.register("tokencontextmenu", "showWeaponMenuOnSelection", {
         name: game.i18n.localize("tokencontextmenu.Settings.ShowWeaponMenuOnSelection"),
@@ -59,6 +139,37 @@ game.settings.register("tokencontextmenu", "autoRemoveTargets", {
         requiresReload: false
     });
 
+    game.settings.register("tokencontextmenu", "weaponMenuLayout", {
+        name: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuLayout"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuLayoutHint"),
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            [WEAPON_MENU_LAYOUT.GRID]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuLayoutGrid"),
+            [WEAPON_MENU_LAYOUT.RING]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuLayoutRing")
+        },
+        default: WEAPON_MENU_LAYOUT.GRID,
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "weaponMenuAnchor", {
+        name: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuAnchor"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuAnchorHint"),
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            [MENU_ANCHOR.BELOW]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuAnchorBelow"),
+            [MENU_ANCHOR.ABOVE]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuAnchorAbove"),
+            [MENU_ANCHOR.LEFT]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuAnchorLeft"),
+            [MENU_ANCHOR.RIGHT]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuAnchorRight"),
+            [MENU_ANCHOR.AUTO]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuAnchorAuto")
+        },
+        default: MENU_ANCHOR.BELOW,
+        requiresReload: false
+    });
+
     game.settings.register("tokencontextmenu", "weaponMenuItemsPerRow", {
         name: game.i18n.localize("tokencontextmenu.Settings.WeaponItemsPerRow"),
         hint: game.i18n.localize("tokencontextmenu.Settings.WeaponItemsPerRowHint"),
@@ -89,6 +200,77 @@ game.settings.register("tokencontextmenu", "autoRemoveTargets", {
         requiresReload: false
     });
 
+    game.settings.register("tokencontextmenu", "weaponMenuRenderMode", {
+        name: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuRenderMode"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuRenderModeHint"),
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            [MENU_RENDER_MODE.WORLD]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuRenderModeWorld"),
+            [MENU_RENDER_MODE.SCREEN]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuRenderModeScreen")
+        },
+        default: MENU_RENDER_MODE.WORLD,
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "weaponMenuScreenIconSize", {
+        name: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuScreenIconSize"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuScreenIconSizeHint"),
+        scope: "client",
+        config: true,
+        type: Number,
+        default: SCREEN_SPACE.DEFAULT_ICON_SIZE,
+        range: {
+            min: SCREEN_SPACE.MIN_ICON_SIZE,
+            max: SCREEN_SPACE.MAX_ICON_SIZE,
+            step: SCREEN_SPACE.ICON_SIZE_STEP
+        },
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "weaponMenuSortMode", {
+        name: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuSortMode"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuSortModeHint"),
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            [MENU_SORT_MODE.DEFAULT]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuSortModeDefault"),
+            [MENU_SORT_MODE.ALPHABETICAL]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuSortModeAlphabetical"),
+            [MENU_SORT_MODE.RECENT]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuSortModeRecent"),
+            [MENU_SORT_MODE.MANUAL]: game.i18n.localize("tokencontextmenu.Settings.WeaponMenuSortModeManual")
+        },
+        default: MENU_SORT_MODE.DEFAULT,
+        requiresReload: false
+    });
+
+    // Theme picker and editor
+    game.settings.registerMenu("tokencontextmenu", "themeConfig", {
+        name: game.i18n.localize("tokencontextmenu.Settings.ThemeConfig"),
+        label: game.i18n.localize("tokencontextmenu.Settings.ThemeConfigLabel"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.ThemeConfigHint"),
+        icon: "fas fa-palette",
+        type: ThemeConfigApplication,
+        restricted: false
+    });
+
+    // Active theme, managed through the theme menu
+    game.settings.register("tokencontextmenu", "weaponMenuTheme", {
+        scope: "client",
+        config: false,
+        type: String,
+        default: THEMES.DEFAULT_ID
+    });
+
+    // User-created themes keyed by theme ID
+    game.settings.register("tokencontextmenu", "customThemes", {
+        scope: "client",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
     // Equipment badges display setting
     game.settings.register("tokencontextmenu", "showEquipmentBadges", {
         name: game.i18n.localize("tokencontextmenu.Settings.ShowEquipmentBadges"),
@@ -100,6 +282,66 @@ game.settings.register("tokencontextmenu", "autoRemoveTargets", {
         requiresReload: false
     });
 
+    game.settings.register("tokencontextmenu", "showSkillsSection", {
+        name: game.i18n.localize("tokencontextmenu.Settings.ShowSkillsSection"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.ShowSkillsSectionHint"),
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "powerPointTracking", {
+        name: game.i18n.localize("tokencontextmenu.Settings.PowerPointTracking"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.PowerPointTrackingHint"),
+        scope: "world",      // Game rule shared by every client
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "trackMaintainedPowers", {
+        name: game.i18n.localize("tokencontextmenu.Settings.TrackMaintainedPowers"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.TrackMaintainedPowersHint"),
+        scope: "world",      // Game rule shared by every client
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "showStatusToggles", {
+        name: game.i18n.localize("tokencontextmenu.Settings.ShowStatusToggles"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.ShowStatusTogglesHint"),
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "showResourceStrip", {
+        name: game.i18n.localize("tokencontextmenu.Settings.ShowResourceStrip"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.ShowResourceStripHint"),
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
+    game.settings.register("tokencontextmenu", "showGearSection", {
+        name: game.i18n.localize("tokencontextmenu.Settings.ShowGearSection"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.ShowGearSectionHint"),
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
     // Equipment badge color setting
     game.settings.register("tokencontextmenu", "equipmentBadgeColor", {
         name: game.i18n.localize("tokencontextmenu.Settings.EquipmentBadgeColor"),
@@ -268,6 +510,16 @@ game.settings.register("tokencontextmenu", "autoRemoveTargets", {
         requiresReload: false
     });
 
+    game.settings.register("tokencontextmenu", "ammoInventory", {
+        name: game.i18n.localize("tokencontextmenu.Settings.AmmoInventory"),
+        hint: game.i18n.localize("tokencontextmenu.Settings.AmmoInventoryHint"),
+        scope: "world",      // Game rule shared by every client
+        config: true,
+        type: Boolean,
+        default: false,
+        requiresReload: false
+    });
+
     // ECT Menu Layout option
     game.settings.register("tokencontextmenu", "ectMenuLayout", {
         name: game.i18n.localize("tokencontextmenu.Settings.ECTMenuLayout"),
@@ -310,6 +562,60 @@ export function shouldAutoRemoveTargets() {
     return game.settings.get("tokencontextmenu", "autoRemoveTargets");
 }
 
+/**
+ * Check if multi-target selection is enabled
+ * @returns {boolean} True if items may collect more than one target
+ */
+export function shouldUseMultiTargetSelection() {
+    if (typeof game === 'undefined' || !game.ready) return true;
+    return game.settings.get("tokencontextmenu", "multiTargetSelection");
+}
+
+/**
+ * Get the preferred roll adapter
+ * @returns {string} Adapter ID from ROLL_ADAPTERS
+ */
+export function getRollAdapterPreference() {
+    if (typeof game === 'undefined' || !game.ready) return ROLL_ADAPTERS.AUTO;
+    return game.settings.get("tokencontextmenu", "rollAdapter");
+}
+
+/**
+ * Get the modifier key that opens the pre-roll modifier wheel
+ * @returns {string} Key from MODIFIER_WHEEL.OPEN_KEYS ("none" disables the wheel)
+ */
+export function getModifierWheelKey() {
+    if (typeof game === 'undefined' || !game.ready) return MODIFIER_WHEEL.OPEN_KEYS.SHIFT;
+    return game.settings.get("tokencontextmenu", "modifierWheelKey");
+}
+
+/**
+ * Check if the range band preview should be shown while targeting
+ * @returns {boolean} True if the range preview is enabled
+ */
+export function shouldShowRangePreview() {
+    if (typeof game === 'undefined' || !game.ready) return true;
+    return game.settings.get("tokencontextmenu", "showRangePreview");
+}
+
+/**
+ * Check if template weapons and powers should enter the template placement workflow
+ * @returns {boolean} True if template placement is enabled
+ */
+export function shouldUseTemplatePlacement() {
+    if (typeof game === 'undefined' || !game.ready) return true;
+    return game.settings.get("tokencontextmenu", "templatePlacement");
+}
+
+/**
+ * Get the number of targets collected when casting a power
+ * @returns {number} Target count (1-10)
+ */
+export function getPowerTargetCount() {
+    if (typeof game === 'undefined' || !game.ready) return TARGETING.DEFAULT_MAX_TARGETS;
+    return game.settings.get("tokencontextmenu", "powerTargetCount");
+}
+
 /**
  * Check if weapon menu should show automatically on token selection
  * @returns {boolean} True if auto-show is enabled
@@ -319,6 +625,24 @@ export function shouldShowWeaponMenuOnSelection() {
     return game.settings.get("tokencontextmenu", "showWeaponMenuOnSelection");
 }
 
+/**
+ * Gets the weapon menu layout
+ * @returns {string} WEAPON_MENU_LAYOUT value: 'grid' or 'ring'
+ */
+export function getWeaponMenuLayout() {
+    if (typeof game === 'undefined' || !game.ready) return WEAPON_MENU_LAYOUT.GRID;
+    return game.settings.get("tokencontextmenu", "weaponMenuLayout");
+}
+
+/**
+ * Gets where the weapon menu is anchored relative to the token
+ * @returns {string} MENU_ANCHOR value: 'below', 'above', 'left', 'right' or 'auto'
+ */
+export function getWeaponMenuAnchor() {
+    if (typeof game === 'undefined' || !game.ready) return MENU_ANCHOR.BELOW;
+    return game.settings.get("tokencontextmenu", "weaponMenuAnchor");
+}
+
 /**
  * Get the number of weapon items to display per row
  * @returns {number} Items per row (2-8)
@@ -346,6 +670,51 @@ export function getWeaponMenuIconScale() {
     return game.settings.get("tokencontextmenu", "weaponMenuIconScale");
 }
 
+/**
+ * Gets how the weapon menu is rendered
+ * @returns {string} MENU_RENDER_MODE value: 'world' or 'screen'
+ */
+export function getWeaponMenuRenderMode() {
+    if (typeof game === 'undefined' || !game.ready) return MENU_RENDER_MODE.WORLD;
+    return game.settings.get("tokencontextmenu", "weaponMenuRenderMode");
+}
+
+/**
+ * Get the weapon menu icon size used in screen-space rendering mode
+ * @returns {number} Icon size in screen pixels (24-96)
+ */
+export function getWeaponMenuScreenIconSize() {
+    if (typeof game === 'undefined' || !game.ready) return SCREEN_SPACE.DEFAULT_ICON_SIZE;
+    return game.settings.get("tokencontextmenu", "weaponMenuScreenIconSize");
+}
+
+/**
+ * Gets how the menu items are ordered
+ * @returns {string} MENU_SORT_MODE value: 'default', 'alphabetical', 'recent' or 'manual'
+ */
+export function getWeaponMenuSortMode() {
+    if (typeof game === 'undefined' || !game.ready) return MENU_SORT_MODE.DEFAULT;
+    return game.settings.get("tokencontextmenu", "weaponMenuSortMode");
+}
+
+/**
+ * Get the ID of the chosen weapon menu theme
+ * @returns {string} Theme ID (built-in key or custom theme ID)
+ */
+export function getWeaponMenuThemeId() {
+    if (typeof game === 'undefined' || !game.ready) return THEMES.DEFAULT_ID;
+    return game.settings.get("tokencontextmenu", "weaponMenuTheme");
+}
+
+/**
+ * Get the user-created themes
+ * @returns {Object<string, {name: string, colors: Object}>} Custom themes keyed by theme ID
+ */
+export function getCustomThemes() {
+    if (typeof game === 'undefined' || !game.ready) return {};
+    return game.settings.get("tokencontextmenu", "customThemes") ?? {};
+}
+
 /**
  * Check if weapon menu should reopen after dragging tokens
  * @returns {boolean} True if reopen after drag is enabled
@@ -383,6 +752,60 @@ export function shouldShowEquipmentBadges() {
     return game.settings.get("tokencontextmenu", "showEquipmentBadges");
 }
 
+/**
+ * Check if the Skills section should be shown
+ * @returns {boolean} True if pinned skills are listed in the menu
+ */
+export function shouldShowSkillsSection() {
+    if (typeof game === 'undefined' || !game.ready) return true;
+    return game.settings.get("tokencontextmenu", "showSkillsSection");
+}
+
+/**
+ * Check if the menu should track power points
+ * @returns {boolean} True if PP bars, affordability and the modifier picker are enabled
+ */
+export function shouldTrackPowerPoints() {
+    if (typeof game === 'undefined' || !game.ready) return true;
+    return game.settings.get("tokencontextmenu", "powerPointTracking");
+}
+
+/**
+ * Check if maintained powers should be tracked
+ * @returns {boolean} True if cast powers are recorded, counted down and shown around the menu
+ */
+export function shouldTrackMaintainedPowers() {
+    if (typeof game === 'undefined' || !game.ready) return true;
+    return game.settings.get("tokencontextmenu", "trackMaintainedPowers");
+}
+
+/**
+ * Check if the status toggle row should be shown
+ * @returns {boolean} True if common conditions can be toggled from the menu
+ */
+export function shouldShowStatusToggles() {
+    if (typeof game === 'undefined' || !game.ready) return true;
+    return game.settings.get("tokencontextmenu", "showStatusToggles");
+}
+
+/**
+ * Check if the actor resource strip should be shown
+ * @returns {boolean} True if the bennies, Soak and unshake buttons are shown
+ */
+export function shouldShowResourceStrip() {
+    if (typeof game === 'undefined' || !game.ready) return true;
+    return game.settings.get("tokencontextmenu", "showResourceStrip");
+}
+
+/**
+ * Check if the consumable gear section should be shown
+ * @returns {boolean} True if usable consumables are listed in the menu
+ */
+export function shouldShowGearSection() {
+    if (typeof game === 'undefined' || !game.ready) return true;
+    return game.settings.get("tokencontextmenu", "showGearSection");
+}
+
 /**
  * Get the equipment badge color
  * @returns {string} Hex color string for badge tinting
@@ -517,6 +940,17 @@ export function getAlwaysShowReloadButton() {
     return game.settings.get("tokencontextmenu", "alwaysShowReloadButton");
 }
 
+/**
+ * Checks if reloads should draw rounds from ammo gear items
+ * @returns {boolean} True if ammo inventory tracking is enabled
+ */
+export function shouldTrackAmmoInventory() {
+    if (typeof game === 'undefined' || !game.ready) {
+        return false;
+    }
+    return game.settings.get("tokencontextmenu", "ammoInventory");
+}
+
 /**
  * Gets the ECT menu layout preference
  * @returns {string} The layout type: 'list' or 'circular'
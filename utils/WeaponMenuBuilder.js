@@ -4,10 +4,15 @@
  */
 
 import { debug, debugWarn } from "./debug.js";
-import { COLORS, SIZES, UI, EQUIP_STATUS, POWER_STATUS, UI_ANIMATION, BADGE, RELOAD_BUTTON, EXPAND_BUTTON, GRAPHICS, MATH, CONTAINER, HEX_COLOR } from "./constants.js";
-import { getWeaponMenuIconScale, getWeaponMenuItemsPerRow, getEquipmentBadgeColor, getEquipmentBadgeBgColor, getReloadButtonColor, getReloadButtonBgColor, getAlwaysShowReloadButton } from "../settings/settings.js";
+import { COLORS, SIZES, UI, EQUIP_STATUS, POWER_STATUS, UI_ANIMATION, BADGE, RELOAD_BUTTON, EXPAND_BUTTON, GRAPHICS, MATH, CONTAINER, HEX_COLOR, LOADOUTS, MENU_EXTENSIONS, CONSUMABLES, POWER_POINTS, MAINTAINED_POWERS, STATUS_TOGGLES, RESOURCES, WEAPON_MENU_LAYOUT, RING_LAYOUT, MENU_ANCHOR, MENU_RENDER_MODE, WEAPON_MENU_ANIMATION, EQUIPMENT_FILTER } from "./constants.js";
+import { getWeaponMenuIconScale, getWeaponMenuItemsPerRow, getWeaponMenuRenderMode, getWeaponMenuScreenIconSize, getEquipmentBadgeColor, getEquipmentBadgeBgColor, getReloadButtonColor, getReloadButtonBgColor, getAlwaysShowReloadButton, shouldTrackAmmoInventory, shouldTrackPowerPoints } from "../settings/settings.js";
+import { getSpareAmmoCount } from "./ammoUtils.js";
 import { getEquipmentStateColor } from "./weaponMenuDisplay.js";
 import { equipmentModeHandler } from "../managers/EquipmentModeHandler.js";
+import { consumableManager } from "../managers/ConsumableManager.js";
+import { powerPointManager } from "../managers/PowerPointManager.js";
+import { themeManager } from "../managers/ThemeManager.js";
+import { textureCacheManager } from "../managers/TextureCacheManager.js";
 
 /**
  * Builds PIXI menu structures for weapon menus
@@ -20,6 +25,7 @@ export class WeaponMenuBuilder {
         this.spriteSize = 0;
         this.fontSize = 0;
         this.itemsPerRow = 4;
+        this.colors = COLORS;
     }
 
     /**
@@ -28,20 +34,39 @@ export class WeaponMenuBuilder {
      * @param {Array} weapons - Array of weapon/power items
      * @param {Map} expandButtons - Map to store expand button references
      * @param {Object} options - Build options
-     * @returns {Object} Built elements { weaponContainers, background }
+     * @param {string} [options.layout] - WEAPON_MENU_LAYOUT value (grid by default)
+     * @param {number} [options.ringInnerRadius] - Ring layout: radius of the token the rings go around
+     * @param {Array<{id: string, name: string, active: boolean}>} [options.loadouts] - Loadout presets
+     *        shown as a button bar below the items (equipment mode only)
+     * @param {string} [options.saveLoadoutLabel] - Label of the "save loadout" button
+     * @param {Array<{label: string, value: number, max: number}>} [options.powerPointPools] - Power
+     *        point pools shown as bars below the items
+     * @param {Array<{action: string, label: string, disabled: boolean}>} [options.resourceButtons] - Actor
+     *        resource strip buttons (bennies, Soak, unshake) shown below the power point bars
+     * @param {Array<{id: string, name: string, img: string, remaining: number}>} [options.maintainedPowers] -
+     *        Maintained powers shown as a ring of icons around the menu
+     * @param {boolean} [options.reconcile] - Keep the item containers of the current content: existing
+     *        items are reused (tweened to their new slot and patched if their state changed) and only new
+     *        items, or items whose type, image or style changed, are created
+     * @returns {Object} Built elements { weaponContainers, loadoutButtons, resourceButtons, maintainedIcons, background }
      */
     buildMenu(container, weapons, expandButtons, options = {}) {
         // Validate inputs
         if (!container || !canvas?.grid?.size) {
             debugWarn('Invalid container or canvas for menu build');
-            return { weaponContainers: [], background: null };
+            return { weaponContainers: [], loadoutButtons: [], resourceButtons: [], maintainedIcons: [], background: null };
         }
 
-        // Clear existing content
-        this._clearContainer(container);
-
-        // Calculate sizes
+        // Calculate sizes and read the active theme
         this._calculateSizes();
+        this.colors = themeManager.getColors();
+        this._styleKey = this._getStyleKey();
+
+        // Clear existing content, setting the item containers aside for reuse
+        this._previousItems = options.reconcile ? this._detachItemContainers(container) : new Map();
+        this._countCreated = 0;
+        this._countPatched = 0;
+        this._clearContainer(container);
 
         // Parse weapon sections
         const { sections, expandButtonItems } = this._parseWeaponSections(weapons);
@@ -49,11 +74,93 @@ export class WeaponMenuBuilder {
         // Calculate menu dimensions
         const dimensions = this._calculateMenuDimensions(sections, expandButtonItems);
 
+        // The ring layout puts the items around the token; the panels below start under the rings
+        const ring = options.layout === WEAPON_MENU_LAYOUT.RING
+            ? this._layoutRing(sections, options.ringInnerRadius)
+            : null;
+        if (ring) {
+            dimensions.height = ring.panelTop;
+        }
+
+        // Lay out the loadout bar below the items, growing the menu to fit it
+        const loadoutLayout = options.loadouts
+            ? this._layoutLoadoutBar(options.loadouts, options.saveLoadoutLabel, dimensions.width)
+            : null;
+        const resourceLayout = options.resourceButtons?.length
+            ? this._flowButtonRow(options.resourceButtons, dimensions.width)
+            : null;
+        const contentHeight = dimensions.height;
+        const powerPointHeight = options.powerPointPools?.length
+            ? options.powerPointPools.length * this.baseIconSize * POWER_POINTS.ROW_HEIGHT_RATIO
+            : 0;
+        const resourceHeight = resourceLayout ? resourceLayout.height : 0;
+        dimensions.height += powerPointHeight + resourceHeight;
+        if (loadoutLayout) {
+            dimensions.height += loadoutLayout.height;
+        }
+
         // Create background
-        const background = this._createBackground(dimensions.width, dimensions.height);
+        const background = ring
+            ? this._createRingBackground(ring, dimensions.width, dimensions.height)
+            : this._createBackground(dimensions.width, dimensions.height);
         container.addChild(background);
 
         // Build menu content
+        const weaponContainers = ring
+            ? this._buildRingItems(container, ring, expandButtonItems, expandButtons, options)
+            : this._buildGridItems(container, sections, expandButtonItems, expandButtons, dimensions, options);
+
+        // Items that left the menu or changed their type, image or style were not reused
+        const reused = options.reconcile ? weaponContainers.length - this._countCreated : 0;
+        this._previousItems.forEach(item => this._destroyItemContainer(item));
+        this._previousItems = new Map();
+
+        // Add power point bars
+        options.powerPointPools?.forEach((pool, index) => {
+            const rowY = contentHeight + index * this.baseIconSize * POWER_POINTS.ROW_HEIGHT_RATIO;
+            container.addChild(this._createPowerPointBar(pool, dimensions.width, rowY));
+        });
+
+        // Add resource strip
+        const resourceButtons = (resourceLayout?.buttons || []).map(layout => {
+            const button = this._createResourceButton(layout, contentHeight + powerPointHeight);
+            container.addChild(button);
+            return button;
+        });
+
+        // Add loadout buttons
+        const loadoutButtons = [];
+        if (loadoutLayout) {
+            loadoutLayout.buttons.forEach(layout => {
+                const button = this._createLoadoutButton(layout, contentHeight + powerPointHeight + resourceHeight);
+                container.addChild(button);
+                loadoutButtons.push(button);
+            });
+        }
+
+        // Add maintained power ring
+        const maintainedIcons = (options.maintainedPowers || []).map((entry, index, entries) => {
+            const icon = this._createMaintainedIcon(entry, index, entries.length, ring ? ring.bounds : dimensions);
+            container.addChild(icon);
+            return icon;
+        });
+
+        debug(`Menu built with ${weaponContainers.length} items`, { reused, patched: this._countPatched });
+        return { weaponContainers, loadoutButtons, resourceButtons, maintainedIcons, background };
+    }
+
+    /**
+     * Lays the items out in rows of itemsPerRow below the token
+     * @param {PIXI.Container} container - The menu container
+     * @param {Array<Array>} sections - Item sections
+     * @param {Array} expandButtonItems - Expand button entries
+     * @param {Map} expandButtons - Map to store expand button references
+     * @param {{width: number, height: number}} dimensions - Menu dimensions
+     * @param {Object} options - Build options
+     * @returns {PIXI.Container[]} Item containers in menu order
+     * @private
+     */
+    _buildGridItems(container, sections, expandButtonItems, expandButtons, dimensions, options) {
         const weaponContainers = [];
         let yOffset = 0;
         let expandButtonIndex = 0;
@@ -108,8 +215,336 @@ export class WeaponMenuBuilder {
             expandButtonIndex++;
         }
 
-        debug(`Menu built with ${weaponContainers.length} items`);
-        return { weaponContainers, background };
+        return weaponContainers;
+    }
+
+    /**
+     * Places the items on concentric rings around the token
+     * Sections sit in separate arcs (one empty step between them), centered above the token.
+     * Items that do not fit on a ring continue on the next one, leaving the bottom free for the
+     * expand button.
+     * @param {Array<Array>} sections - Item sections
+     * @param {number} [tokenRadius] - Radius of the token the rings go around
+     * @returns {Object} { placements, innerRadius, outerRadius, panelTop, bounds }
+     * @private
+     */
+    _layoutRing(sections, tokenRadius = this.baseIconSize / MATH.CENTER_DIVISOR) {
+        // One slot per item, with an empty slot between sections
+        let slots = [];
+        sections.forEach((section, index) => {
+            if (index > 0) slots.push(null);
+            slots.push(...section);
+        });
+
+        const innerRadius = tokenRadius + this.baseIconSize * RING_LAYOUT.GAP_RATIO + this.iconRadius;
+        const usableArc = 360 - RING_LAYOUT.BOTTOM_GAP;
+        const placements = [];
+        let radius = innerRadius;
+        let ringIndex = 0;
+
+        while (slots.length > 0) {
+            radius = innerRadius + ringIndex * this.baseIconSize * RING_LAYOUT.RING_SPACING_RATIO;
+
+            // Step at least far enough that neighbouring icons don't overlap
+            const minStep = MATH.DIMENSION_MULTIPLIER * Math.asin(Math.min(1, this.baseIconSize / (MATH.DIMENSION_MULTIPLIER * radius))) / MATH.DEG_TO_RAD;
+            const step = Math.max(RING_LAYOUT.ANGLE_STEP, minStep);
+            const capacity = Math.floor(usableArc / step) + 1;
+
+            const ringSlots = slots.slice(0, capacity);
+            while (ringSlots[ringSlots.length - 1] === null) ringSlots.pop();
+            const startAngle = RING_LAYOUT.CENTER_ANGLE - ((ringSlots.length - 1) * step) / MATH.CENTER_DIVISOR;
+
+            ringSlots.forEach((item, index) => {
+                if (!item) return;
+                const radians = (startAngle + index * step) * MATH.DEG_TO_RAD;
+                placements.push({
+                    item,
+                    x: Math.cos(radians) * radius,
+                    y: Math.sin(radians) * radius
+                });
+            });
+
+            // Rings never start with a section gap
+            slots = slots.slice(capacity);
+            while (slots[0] === null) slots.shift();
+            ringIndex++;
+        }
+
+        const edge = radius + this.iconRadius + this.baseIconSize * RING_LAYOUT.BAND_PADDING_RATIO;
+        return {
+            placements,
+            innerRadius,
+            outerRadius: radius,
+            panelTop: edge + this.baseIconSize * RING_LAYOUT.GAP_RATIO,
+            bounds: { width: edge * MATH.DIMENSION_MULTIPLIER, height: edge * MATH.DIMENSION_MULTIPLIER, centerY: 0 }
+        };
+    }
+
+    /**
+     * Creates the ring layout's items and expand buttons
+     * @param {PIXI.Container} container - The menu container
+     * @param {Object} ring - Ring layout from _layoutRing()
+     * @param {Array} expandButtonItems - Expand button entries
+     * @param {Map} expandButtons - Map to store expand button references
+     * @param {Object} options - Build options
+     * @returns {PIXI.Container[]} Item containers in menu order
+     * @private
+     */
+    _buildRingItems(container, ring, expandButtonItems, expandButtons, options) {
+        const weaponContainers = ring.placements.map(({ item, x, y }) => {
+            const weaponContainer = this._placeItem(item, x, y, options);
+            container.addChild(weaponContainer);
+            return weaponContainer;
+        });
+
+        // Expand buttons sit side by side at the bottom of the inner ring
+        expandButtonItems.forEach((expandButton, index) => {
+            const buttonContainer = this._createExpandButtonBase(expandButton);
+            buttonContainer.x = (index - (expandButtonItems.length - 1) / MATH.CENTER_DIVISOR) * this.iconRadius;
+            buttonContainer.y = ring.innerRadius;
+            container.addChild(buttonContainer);
+            expandButtons.set(expandButton.section, buttonContainer);
+        });
+
+        return weaponContainers;
+    }
+
+    /**
+     * Creates the ring layout background: a band around the token plus the panel below it
+     * @param {Object} ring - Ring layout from _layoutRing()
+     * @param {number} panelWidth - Width of the panel below the rings
+     * @param {number} totalHeight - Bottom of the panel
+     * @returns {PIXI.Graphics}
+     * @private
+     */
+    _createRingBackground(ring, panelWidth, totalHeight) {
+        const padding = this.baseIconSize * RING_LAYOUT.BAND_PADDING_RATIO;
+        const background = new PIXI.Graphics();
+        background.beginFill(this.colors.MENU_BACKGROUND, this.colors.MENU_BACKGROUND_ALPHA);
+        background.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, this.colors.MENU_BORDER);
+        background.drawCircle(0, 0, ring.outerRadius + this.iconRadius + padding);
+        background.beginHole();
+        background.drawCircle(0, 0, Math.max(0, ring.innerRadius - this.iconRadius - padding));
+        background.endHole();
+        background.endFill();
+
+        // Panel for power points, resources and loadouts
+        if (totalHeight > ring.panelTop) {
+            background.beginFill(this.colors.MENU_BACKGROUND, this.colors.MENU_BACKGROUND_ALPHA);
+            background.drawRoundedRect(-panelWidth / MATH.CENTER_DIVISOR, ring.panelTop, panelWidth,
+                                       totalHeight - ring.panelTop, UI.MENU_CORNER_RADIUS);
+            background.endFill();
+        }
+        return background;
+    }
+
+    /**
+     * Computes where to place a built menu relative to its token
+     * The ring layout stays centered on the token. In auto mode the first side whose menu fits
+     * inside the visible area (viewport clipped to the scene) wins; if none fits, the menu is
+     * shifted to stay as visible as possible. The container's scale is applied to its bounds so
+     * counter-scaled screen-space menus are placed by their on-canvas size.
+     * @param {PIXI.Container} container - The built menu container
+     * @param {Token} token - The menu token
+     * @param {string} anchor - MENU_ANCHOR value
+     * @param {string} [layout] - WEAPON_MENU_LAYOUT value
+     * @returns {{x: number, y: number}} Container position in canvas coordinates
+     */
+    getAnchoredPosition(container, token, anchor, layout) {
+        const local = container.getLocalBounds();
+        const scale = container.scale.x;
+        const bounds = {
+            left: local.left * scale,
+            right: local.right * scale,
+            top: local.top * scale,
+            bottom: local.bottom * scale
+        };
+        const centerX = token.x + token.w / MATH.CENTER_DIVISOR;
+        const centerY = token.y + token.h / MATH.CENTER_DIVISOR;
+
+        if (layout === WEAPON_MENU_LAYOUT.RING) {
+            const position = { x: centerX, y: centerY };
+            return anchor === MENU_ANCHOR.AUTO ? this._shiftIntoView(position, bounds) : position;
+        }
+
+        const sideY = centerY - (bounds.top + bounds.bottom) / MATH.CENTER_DIVISOR;
+        const positions = {
+            [MENU_ANCHOR.BELOW]: { x: centerX, y: token.y + token.h + UI.MENU_Y_OFFSET - bounds.top },
+            [MENU_ANCHOR.ABOVE]: { x: centerX, y: token.y - UI.MENU_Y_OFFSET - bounds.bottom },
+            [MENU_ANCHOR.LEFT]: { x: token.x - UI.MENU_Y_OFFSET - bounds.right, y: sideY },
+            [MENU_ANCHOR.RIGHT]: { x: token.x + token.w + UI.MENU_Y_OFFSET - bounds.left, y: sideY }
+        };
+
+        if (anchor !== MENU_ANCHOR.AUTO) {
+            return positions[anchor] ?? positions[MENU_ANCHOR.BELOW];
+        }
+
+        const visible = this._getVisibleRect();
+        const fitting = MENU_ANCHOR.AUTO_ORDER.find(side => {
+            const position = positions[side];
+            return position.x + bounds.left >= visible.left &&
+                   position.x + bounds.right <= visible.right &&
+                   position.y + bounds.top >= visible.top &&
+                   position.y + bounds.bottom <= visible.bottom;
+        });
+
+        return fitting ? positions[fitting] : this._shiftIntoView(positions[MENU_ANCHOR.BELOW], bounds);
+    }
+
+    /**
+     * Gets the visible canvas area: the viewport clipped to the scene, minus edge padding
+     * @returns {{left: number, right: number, top: number, bottom: number}} Rect in canvas coordinates
+     * @private
+     */
+    _getVisibleRect() {
+        const scene = canvas.dimensions.sceneRect;
+        const screen = canvas.app.renderer.screen;
+        const topLeft = canvas.tokens.toLocal(new PIXI.Point(screen.left, screen.top));
+        const bottomRight = canvas.tokens.toLocal(new PIXI.Point(screen.right, screen.bottom));
+
+        return {
+            left: Math.max(scene.left, topLeft.x) + MENU_ANCHOR.EDGE_PADDING,
+            right: Math.min(scene.right, bottomRight.x) - MENU_ANCHOR.EDGE_PADDING,
+            top: Math.max(scene.top, topLeft.y) + MENU_ANCHOR.EDGE_PADDING,
+            bottom: Math.min(scene.bottom, bottomRight.y) - MENU_ANCHOR.EDGE_PADDING
+        };
+    }
+
+    /**
+     * Shifts a menu position so its bounds stay inside the visible area
+     * When the menu is larger than the area, its top-left corner is kept visible.
+     * @param {{x: number, y: number}} position - Proposed container position
+     * @param {{left: number, right: number, top: number, bottom: number}} bounds - Container bounds, scaled
+     * @returns {{x: number, y: number}} Shifted position
+     * @private
+     */
+    _shiftIntoView(position, bounds) {
+        const visible = this._getVisibleRect();
+        let { x, y } = position;
+
+        if (x + bounds.right > visible.right) x = visible.right - bounds.right;
+        if (x + bounds.left < visible.left) x = visible.left - bounds.left;
+        if (y + bounds.bottom > visible.bottom) y = visible.bottom - bounds.bottom;
+        if (y + bounds.top < visible.top) y = visible.top - bounds.top;
+
+        return { x, y };
+    }
+
+    /**
+     * Builds a key of everything that styles all items alike (size, theme, badge and reload colors)
+     * @returns {string} Style key
+     * @private
+     */
+    _getStyleKey() {
+        return JSON.stringify([
+            this.baseIconSize,
+            this.colors,
+            getEquipmentBadgeColor(),
+            getEquipmentBadgeBgColor(),
+            getReloadButtonColor(),
+            getReloadButtonBgColor(),
+            getAlwaysShowReloadButton()
+        ]);
+    }
+
+    /**
+     * Builds a key of everything an item's container shows
+     * Two builds producing the same signature for an item draw the same icon, so its container
+     * can be kept.
+     * @param {Object} weapon - Menu item
+     * @param {Object} options - Build options
+     * @returns {string} Item signature
+     * @private
+     */
+    _getItemSignature(weapon, options) {
+        const system = weapon.system ?? {};
+        const spareAmmo = weapon.type === "weapon" && shouldTrackAmmoInventory()
+            ? getSpareAmmoCount(weapon.actor, weapon)
+            : null;
+
+        return JSON.stringify([
+            this._styleKey,
+            weapon.type,
+            weapon.name,
+            weapon.img,
+            system.equipStatus,
+            system.shots,
+            system.currentShots,
+            system.quantity,
+            options.itemMetadata?.get(weapon.id) ?? null,
+            !!options.equipmentMode,
+            this._needsReload(weapon),
+            this._isWeaponEmpty(weapon) || consumableManager.isEmpty(weapon),
+            spareAmmo,
+            getEquipmentStateColor(weapon)
+        ]);
+    }
+
+    /**
+     * Takes the item containers out of a container so the next build can reuse them
+     * Their listeners are removed; the application wires them again after the build.
+     * @param {PIXI.Container} container - The menu container
+     * @returns {Map<string, PIXI.Container>} Item containers keyed by item ID
+     * @private
+     */
+    _detachItemContainers(container) {
+        const items = new Map();
+        [...container.children].forEach(child => {
+            if (!child.weapon || !child._signature || child.destroyed) return;
+            container.removeChild(child);
+            child.removeAllListeners();
+            items.set(child.weapon.id, child);
+        });
+        return items;
+    }
+
+    /**
+     * Destroys an item container that was not reused
+     * @param {PIXI.Container} item - The item container
+     * @private
+     */
+    _destroyItemContainer(item) {
+        if (item.destroyed) return;
+        CanvasAnimation.terminateAnimation(this._getMoveAnimationName(item));
+        item.removeAllListeners();
+        item.destroy();
+    }
+
+    /**
+     * Tweens a kept item container to its new slot
+     * @param {PIXI.Container} item - The item container
+     * @param {number} x - Target X
+     * @param {number} y - Target Y
+     * @private
+     */
+    _moveItem(item, x, y) {
+        const animationName = this._getMoveAnimationName(item);
+        CanvasAnimation.terminateAnimation(animationName);
+        if (item.x === x && item.y === y) return;
+
+        CanvasAnimation.animate(
+            [
+                { parent: item, attribute: 'x', to: x },
+                { parent: item, attribute: 'y', to: y }
+            ],
+            {
+                name: animationName,
+                duration: WEAPON_MENU_ANIMATION.MOVE_DURATION,
+                ontick: () => {
+                    if (item.destroyed) CanvasAnimation.terminateAnimation(animationName);
+                }
+            }
+        );
+    }
+
+    /**
+     * Gets the name of an item container's move animation
+     * @param {PIXI.Container} item - The item container
+     * @returns {string} Animation name
+     * @private
+     */
+    _getMoveAnimationName(item) {
+        return `tokencontextmenu-item-move-${item.weapon.id}`;
     }
 
     /**
@@ -137,9 +572,12 @@ export class WeaponMenuBuilder {
      * @private
      */
     _calculateSizes() {
-        const gridSize = canvas.grid.size;
-        const iconScale = getWeaponMenuIconScale();
-        this.baseIconSize = gridSize * iconScale;
+        // Screen mode sizes in pixels; the application counter-scales the container against the zoom
+        if (getWeaponMenuRenderMode() === MENU_RENDER_MODE.SCREEN) {
+            this.baseIconSize = getWeaponMenuScreenIconSize();
+        } else {
+            this.baseIconSize = canvas.grid.size * getWeaponMenuIconScale();
+        }
         this.iconRadius = this.baseIconSize * SIZES.ICON_RADIUS_RATIO;
         this.spriteSize = this.baseIconSize * SIZES.SPRITE_SIZE_RATIO;
         this.fontSize = this.baseIconSize * SIZES.FONT_SIZE_RATIO;
@@ -206,8 +644,8 @@ export class WeaponMenuBuilder {
      */
     _createBackground(width, height) {
         const background = new PIXI.Graphics();
-        background.beginFill(COLORS.MENU_BACKGROUND, COLORS.MENU_BACKGROUND_ALPHA);
-        background.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, COLORS.MENU_BORDER);
+        background.beginFill(this.colors.MENU_BACKGROUND, this.colors.MENU_BACKGROUND_ALPHA);
+        background.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, this.colors.MENU_BORDER);
         background.drawRoundedRect(-width/MATH.CENTER_DIVISOR, 0, width, height, UI.MENU_CORNER_RADIUS);
         background.endFill();
         return background;
@@ -231,22 +669,99 @@ export class WeaponMenuBuilder {
         const x = startX + (col * this.baseIconSize) + (this.baseIconSize / MATH.CENTER_DIVISOR);
         const y = (row * this.baseIconSize) + (this.baseIconSize / MATH.CENTER_DIVISOR) + yOffset;
 
-        const weaponContainer = new PIXI.Container();
+        return this._placeItem(weapon, x, y, options);
+    }
+
+    /**
+     * Builds a key of the parts of an item's container that can't be patched in place
+     * @param {Object} weapon - Menu item
+     * @returns {string} Item structure key
+     * @private
+     */
+    _getItemStructureKey(weapon) {
+        return JSON.stringify([this._styleKey, weapon.type, weapon.img]);
+    }
+
+    /**
+     * Puts an item at its slot, reusing its previous container when its type, image and style
+     * are unchanged
+     * A reused container keeps its sprite and tweens to the new slot; badges, tint and ammo
+     * text are patched in place when anything else it shows changed.
+     * @param {Object} weapon - Menu item
+     * @param {number} x - Slot center X
+     * @param {number} y - Slot center Y
+     * @param {Object} options - Build options
+     * @returns {PIXI.Container} The item container
+     * @private
+     */
+    _placeItem(weapon, x, y, options) {
+        const signature = this._getItemSignature(weapon, options);
+        const structureKey = this._getItemStructureKey(weapon);
+        const previous = this._previousItems.get(weapon.id);
+        if (previous && previous._structureKey === structureKey) {
+            this._previousItems.delete(weapon.id);
+            if (previous._signature !== signature) {
+                this._updateItemContainer(previous, weapon, options);
+                previous._signature = signature;
+            }
+            previous.weapon = weapon;
+            this._moveItem(previous, x, y);
+            return previous;
+        }
+
+        const weaponContainer = this._createItemContainer(weapon, options);
+        weaponContainer._signature = signature;
+        weaponContainer._structureKey = structureKey;
         weaponContainer.x = x;
         weaponContainer.y = y;
+        this._countCreated++;
+        return weaponContainer;
+    }
+
+    /**
+     * Creates an item container with its background, sprite, badges and reload button
+     * @param {Object} weapon - Menu item
+     * @param {Object} options - Build options
+     * @returns {PIXI.Container} The item container, positioned by the caller
+     * @private
+     */
+    _createItemContainer(weapon, options) {
+        const weaponContainer = new PIXI.Container();
         weaponContainer.interactive = true;
         weaponContainer.eventMode = 'static';
         weaponContainer.cursor = 'pointer';
-        weaponContainer.weapon = weapon;
-        weaponContainer.equipmentMode = options.equipmentMode || false;
 
         // Create icon background
         const iconBg = this._createIconBackground(weapon, options.itemMetadata);
         weaponContainer.addChild(iconBg);
 
-        // Load sprite or create fallback
+        this._setItemState(weaponContainer, weapon, options);
+        this._updateFilterHighlight(weaponContainer, options.itemMetadata?.get(weapon.id));
+
+        // Load sprite or create fallback; cached sprites are added right away and need the state above
         this._loadWeaponSprite(weapon, weaponContainer, options.itemMetadata);
-        
+
+        // Consumables show their remaining quantity
+        if (consumableManager.isConsumable(weapon)) {
+            weaponContainer.addChild(this._createQuantityBadge(consumableManager.getQuantity(weapon)));
+        }
+
+        return weaponContainer;
+    }
+
+    /**
+     * Stores the badge, reload and empty state of an item on its container
+     * The badge and reload button are added once the icon is drawn.
+     * @param {PIXI.Container} weaponContainer - The item container
+     * @param {Object} weapon - Menu item
+     * @param {Object} options - Build options
+     * @private
+     */
+    _setItemState(weaponContainer, weapon, options) {
+        weaponContainer.weapon = weapon;
+        weaponContainer.equipmentMode = options.equipmentMode || false;
+        delete weaponContainer._badgeInfo;
+
         // Add equipment status badge if in equipment mode and it's a weapon
         // Store badge info for later addition after sprite loads
         if (options.itemMetadata) {
@@ -261,8 +776,8 @@ export class WeaponMenuBuilder {
                     iconRadius: this.iconRadius
                 };
             }
-            // Handle power badges
-            else if (weapon.type === "power" && metadata?.showPowerBadge) {
+            // Handle power and skill badges (favorite / pinned star)
+            else if ((weapon.type === "power" || weapon.type === "skill") && metadata?.showPowerBadge) {
                 weaponContainer._badgeInfo = {
                     type: 'power',
                     power: weapon,
@@ -270,19 +785,112 @@ export class WeaponMenuBuilder {
                     iconRadius: this.iconRadius
                 };
             }
+            // Handle active status badges
+            else if (weapon.type === STATUS_TOGGLES.ENTRY_TYPE && metadata?.statusActive) {
+                weaponContainer._badgeInfo = {
+                    type: 'status',
+                    iconRadius: this.iconRadius
+                };
+            }
         }
 
         // Store reload flag for later button creation
-        if (this._needsReload(weapon)) {
-            weaponContainer._needsReload = true;
-        }
+        weaponContainer._needsReload = this._needsReload(weapon);
 
         // Store empty state for later use in event handlers
-        if (this._isWeaponEmpty(weapon)) {
-            weaponContainer._isEmpty = true;
+        weaponContainer._isEmpty = this._isWeaponEmpty(weapon) || consumableManager.isEmpty(weapon);
+    }
+
+    /**
+     * Patches a reused item container to a changed item
+     * Redraws the background, filter highlight, sprite tint, badge, reload button with its ammo text and the
+     * quantity badge; the sprite itself is kept.
+     * @param {PIXI.Container} weaponContainer - The item container
+     * @param {Object} weapon - Menu item
+     * @param {Object} options - Build options
+     * @private
+     */
+    _updateItemContainer(weaponContainer, weapon, options) {
+        const metadata = options.itemMetadata?.get(weapon.id);
+        this._setItemState(weaponContainer, weapon, options);
+
+        const iconBg = weaponContainer.getChildByName('background');
+        if (iconBg) {
+            this._drawIconBackground(iconBg, weapon, metadata);
         }
+        this._updateFilterHighlight(weaponContainer, metadata);
 
-        return weaponContainer;
+        const sprite = weaponContainer.getChildByName('sprite');
+        if (sprite) {
+            this._applySpriteState(sprite, weaponContainer, metadata);
+        }
+
+        const fallbackText = weaponContainer.getChildByName('fallback-text');
+        if (fallbackText) {
+            fallbackText.text = weapon.name.charAt(0);
+        }
+
+        weaponContainer.getChildByName('item-badge')?.destroy({ children: true });
+        weaponContainer._reloadButton?.destroy({ children: true });
+        weaponContainer._reloadButton = null;
+        weaponContainer.getChildByName('quantity-badge')?.destroy();
+
+        // Icons still loading add the badge and reload button when they are drawn
+        if (weaponContainer._iconDrawn) {
+            this._addBadgeAndReloadButton(weaponContainer);
+        }
+
+        if (consumableManager.isConsumable(weapon)) {
+            weaponContainer.addChild(this._createQuantityBadge(consumableManager.getQuantity(weapon)));
+        }
+
+        this._countPatched++;
+    }
+
+    /**
+     * Adds or removes the border marking an item that matches the equipment filter
+     * The border sits right above the icon background, under the sprite and badges.
+     * @param {PIXI.Container} weaponContainer - The item container
+     * @param {Object} [metadata] - Item metadata
+     * @private
+     */
+    _updateFilterHighlight(weaponContainer, metadata) {
+        weaponContainer.getChildByName('filter-highlight')?.destroy();
+        if (!metadata?.isFilterMatch) return;
+
+        const highlight = new PIXI.Graphics();
+        highlight.name = 'filter-highlight';
+        highlight.lineStyle(EQUIPMENT_FILTER.HIGHLIGHT_WIDTH, EQUIPMENT_FILTER.HIGHLIGHT_COLOR, EQUIPMENT_FILTER.HIGHLIGHT_ALPHA);
+        highlight.drawRoundedRect(-this.iconRadius, -this.iconRadius,
+                                  this.iconRadius * MATH.DIMENSION_MULTIPLIER, this.iconRadius * MATH.DIMENSION_MULTIPLIER,
+                                  UI.ICON_CORNER_RADIUS);
+
+        const background = weaponContainer.getChildByName('background');
+        weaponContainer.addChildAt(highlight, background ? weaponContainer.getChildIndex(background) + 1 : 0);
+    }
+
+    /**
+     * Gets the theme colors of an item icon
+     * Carried, unfavorited and stored items use the desaturated carried colors.
+     * @param {Object} weapon - Menu item
+     * @param {Object} [metadata] - Item metadata
+     * @param {boolean} [hovered=false] - Whether to use the hover colors
+     * @returns {{background: number, border: number}} Icon colors
+     */
+    getIconColors(weapon, metadata, hovered = false) {
+        const isCarriedOrUnfavorited = metadata?.isCarried || metadata?.isUnfavorited || metadata?.isStored;
+        const group = isCarriedOrUnfavorited ? 'CARRIED' :
+                      weapon.type === MENU_EXTENSIONS.ENTRY_TYPE ? 'CUSTOM_ENTRY' :
+                      weapon.type === STATUS_TOGGLES.ENTRY_TYPE ? 'STATUS' :
+                      weapon.type === "skill" ? 'SKILL' :
+                      weapon.type === "gear" || weapon.type === "consumable" ? 'GEAR' :
+                      (weapon.type === "power" ? 'POWER' : 'WEAPON');
+        const prefix = hovered ? `${group}_HOVER` : group;
+
+        return {
+            background: this.colors[`${prefix}_BACKGROUND`],
+            border: this.colors[`${prefix}_BORDER`]
+        };
     }
 
     /**
@@ -294,25 +902,31 @@ export class WeaponMenuBuilder {
      */
     _createIconBackground(weapon, itemMetadata) {
         const iconBg = new PIXI.Graphics();
-        const metadata = itemMetadata?.get(weapon.id);
-        const isCarriedOrUnfavorited = metadata?.isCarried || metadata?.isUnfavorited || metadata?.isStored;
+        this._drawIconBackground(iconBg, weapon, itemMetadata?.get(weapon.id));
 
-        const bgColor = isCarriedOrUnfavorited ? COLORS.CARRIED_BACKGROUND :
-                       (weapon.type === "power" ? COLORS.POWER_BACKGROUND : COLORS.WEAPON_BACKGROUND);
-        const borderColor = isCarriedOrUnfavorited ? COLORS.CARRIED_BORDER : 
-                          (weapon.type === "power" ? COLORS.POWER_BORDER : COLORS.WEAPON_BORDER);
+        // Store reference for hover effects
+        iconBg.name = 'background';
+        
+        return iconBg;
+    }
 
+    /**
+     * Draws an icon background in the item's colors
+     * @param {PIXI.Graphics} iconBg - Background graphics, cleared first
+     * @param {Object} weapon - Menu item
+     * @param {Object} [metadata] - Item metadata
+     * @private
+     */
+    _drawIconBackground(iconBg, weapon, metadata) {
+        const { background: bgColor, border: borderColor } = this.getIconColors(weapon, metadata);
+
+        iconBg.clear();
         iconBg.beginFill(bgColor);
         iconBg.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, borderColor);
         iconBg.drawRoundedRect(-this.iconRadius, -this.iconRadius, 
                                this.iconRadius * MATH.DIMENSION_MULTIPLIER, this.iconRadius * MATH.DIMENSION_MULTIPLIER, 
                                UI.ICON_CORNER_RADIUS);
         iconBg.endFill();
-
-        // Store reference for hover effects
-        iconBg.name = 'background';
-        
-        return iconBg;
     }
 
     /**
@@ -327,6 +941,16 @@ export class WeaponMenuBuilder {
         // Create reload button with visibility based on settings
         const reloadButton = this._createReloadButton(iconRadius);
         reloadButton.visible = getAlwaysShowReloadButton(); // Show based on user setting
+
+        // Show spare rounds below the button when reloads draw from inventory
+        if (shouldTrackAmmoInventory()) {
+            const weapon = weaponContainer.weapon;
+            const spare = getSpareAmmoCount(weapon?.actor, weapon);
+            if (spare !== null) {
+                reloadButton.addChild(this._createSpareAmmoLabel(spare, iconRadius));
+            }
+        }
+
         weaponContainer._reloadButton = reloadButton;
         weaponContainer.addChild(reloadButton);
         
@@ -362,105 +986,151 @@ export class WeaponMenuBuilder {
     _loadWeaponSprite(weapon, container, itemMetadata) {
         if (!weapon.img) {
             this._createFallbackText(weapon, container);
-            
-            // Add badge for items with no image
-            if (container._badgeInfo) {
-                const badge = container._badgeInfo.type === 'power' ?
-                    this._createPowerStatusBadge(
-                        container._badgeInfo.isFavorited,
-                        container._badgeInfo.iconRadius,
-                        container._badgeInfo.power
-                    ) :
-                    this._createEquipStatusBadge(
-                        container._badgeInfo.equipStatus, 
-                        container._badgeInfo.iconRadius,
-                        container._badgeInfo.weapon
-                    );
-                container.addChild(badge);
-                delete container._badgeInfo;  // Clean up
-            }
-            
-            // Add reload button after badge
-            this._addReloadButton(container, this.iconRadius);
+            this._addBadgeAndReloadButton(container);
             return;
         }
 
-        PIXI.Texture.fromURL(weapon.img).then(texture => {
-            const sprite = new PIXI.Sprite(texture);
-            sprite.width = this.spriteSize;
-            sprite.height = this.spriteSize;
-            sprite.anchor.set(GRAPHICS.CENTER_ANCHOR);
-
-            // Create mask
-            const spriteMask = new PIXI.Graphics();
-            spriteMask.beginFill(COLORS.SPRITE_MASK);
-            spriteMask.drawRoundedRect(-this.spriteSize/MATH.CENTER_DIVISOR, -this.spriteSize/MATH.CENTER_DIVISOR, 
-                                       this.spriteSize, this.spriteSize, 
-                                       UI.ICON_CORNER_RADIUS);
-            spriteMask.endFill();
-            sprite.mask = spriteMask;
-
-            // Apply transparency for carried/unfavorited items
-            const metadata = itemMetadata?.get(weapon.id);
-            if (metadata?.isCarried || metadata?.isUnfavorited || metadata?.isStored) {
-                sprite.alpha = UI_ANIMATION.CARRIED_SPRITE_ALPHA;
-            }
+        // Preloaded icons are drawn right away so rebuilds don't flicker
+        const cached = textureCacheManager.getCached(weapon.img);
+        if (cached) {
+            this._addWeaponSprite(weapon, container, itemMetadata, cached);
+            return;
+        }
 
-            // Apply grey tint and reduced opacity for empty weapons (but NOT in equipment mode)
-            // Equipment mode is for inventory management, not usage, so empty weapons should appear normal
-            if (container._isEmpty && !container.equipmentMode) {
-                sprite.tint = COLORS.EMPTY_WEAPON_TINT;
-                sprite.alpha = COLORS.EMPTY_WEAPON_ALPHA;
+        textureCacheManager.loadTexture(weapon.img).then(texture => {
+            if (container.destroyed) return;
+            if (texture) {
+                this._addWeaponSprite(weapon, container, itemMetadata, texture);
+                return;
             }
 
-            container.addChild(spriteMask);
-            container.addChild(sprite);
-            
-            // Add badge after sprite is loaded (if needed)
-            if (container._badgeInfo) {
-                const badge = container._badgeInfo.type === 'power' ?
-                    this._createPowerStatusBadge(
-                        container._badgeInfo.isFavorited,
-                        container._badgeInfo.iconRadius,
-                        container._badgeInfo.power
-                    ) :
-                    this._createEquipStatusBadge(
-                        container._badgeInfo.equipStatus, 
-                        container._badgeInfo.iconRadius,
-                        container._badgeInfo.weapon
-                    );
-                container.addChild(badge);
-                delete container._badgeInfo;  // Clean up
-            }
-            
-            // Add reload button after sprite and badge
-            this._addReloadButton(container, this.iconRadius);
-        }).catch(error => {
-            debugWarn(`Failed to load weapon texture for ${weapon.name}:`, error);
             this._createFallbackText(weapon, container);
-            
-            // Add badge even on fallback
-            if (container._badgeInfo) {
-                const badge = container._badgeInfo.type === 'power' ?
-                    this._createPowerStatusBadge(
-                        container._badgeInfo.isFavorited,
-                        container._badgeInfo.iconRadius,
-                        container._badgeInfo.power
-                    ) :
-                    this._createEquipStatusBadge(
-                        container._badgeInfo.equipStatus, 
-                        container._badgeInfo.iconRadius,
-                        container._badgeInfo.weapon
-                    );
-                container.addChild(badge);
-                delete container._badgeInfo;  // Clean up
-            }
-            
-            // Add reload button after fallback and badge
-            this._addReloadButton(container, this.iconRadius);
+            this._addBadgeAndReloadButton(container);
         });
     }
 
+    /**
+     * Adds the masked item sprite, then the badge and reload button
+     * @param {Object} weapon
+     * @param {PIXI.Container} container
+     * @param {Map} itemMetadata
+     * @param {PIXI.Texture} texture - Loaded item texture
+     * @private
+     */
+    _addWeaponSprite(weapon, container, itemMetadata, texture) {
+        const sprite = new PIXI.Sprite(texture);
+        sprite.width = this.spriteSize;
+        sprite.height = this.spriteSize;
+        sprite.anchor.set(GRAPHICS.CENTER_ANCHOR);
+        sprite.name = 'sprite';
+
+        // Create mask
+        const spriteMask = new PIXI.Graphics();
+        spriteMask.beginFill(COLORS.SPRITE_MASK);
+        spriteMask.drawRoundedRect(-this.spriteSize/MATH.CENTER_DIVISOR, -this.spriteSize/MATH.CENTER_DIVISOR, 
+                                   this.spriteSize, this.spriteSize, 
+                                   UI.ICON_CORNER_RADIUS);
+        spriteMask.endFill();
+        sprite.mask = spriteMask;
+        this._applySpriteState(sprite, container, itemMetadata?.get(weapon.id));
+
+        container.addChild(spriteMask);
+        container.addChild(sprite);
+        this._addBadgeAndReloadButton(container);
+    }
+
+    /**
+     * Sets an item sprite's tint and transparency from the item state
+     * @param {PIXI.Sprite} sprite - The item sprite
+     * @param {PIXI.Container} container - The item container
+     * @param {Object} [metadata] - Item metadata
+     * @private
+     */
+    _applySpriteState(sprite, container, metadata) {
+        sprite.tint = COLORS.SPRITE_TINT;
+        sprite.alpha = UI_ANIMATION.SPRITE_ALPHA;
+
+        // Apply transparency for carried/unfavorited items
+        if (metadata?.isCarried || metadata?.isUnfavorited || metadata?.isStored) {
+            sprite.alpha = UI_ANIMATION.CARRIED_SPRITE_ALPHA;
+        }
+
+        // Apply grey tint and reduced opacity for empty weapons (but NOT in equipment mode)
+        // Equipment mode is for inventory management, not usage, so empty weapons should appear normal
+        if (container._isEmpty && !container.equipmentMode) {
+            sprite.tint = this.colors.EMPTY_WEAPON_TINT;
+            sprite.alpha = this.colors.EMPTY_WEAPON_ALPHA;
+        }
+    }
+
+    /**
+     * Adds the badge and reload button once the item's sprite or fallback text is drawn
+     * @param {PIXI.Container} container - The item container
+     * @private
+     */
+    _addBadgeAndReloadButton(container) {
+        container._iconDrawn = true;
+
+        if (container._badgeInfo) {
+            const badge = this._createBadgeFromInfo(container._badgeInfo);
+            badge.name = 'item-badge';
+            container.addChild(badge);
+            delete container._badgeInfo;  // Clean up
+        }
+
+        // Add reload button after sprite and badge
+        this._addReloadButton(container, this.iconRadius);
+    }
+
+    /**
+     * Creates the badge described by a container's badge info
+     * @param {Object} badgeInfo - Badge info stored on the weapon container
+     * @returns {PIXI.Container} The badge container
+     * @private
+     */
+    _createBadgeFromInfo(badgeInfo) {
+        if (badgeInfo.type === 'power') {
+            return this._createPowerStatusBadge(badgeInfo.isFavorited, badgeInfo.iconRadius, badgeInfo.power);
+        }
+        if (badgeInfo.type === 'status') {
+            return this._createActiveStatusBadge(badgeInfo.iconRadius);
+        }
+        return this._createEquipStatusBadge(badgeInfo.equipStatus, badgeInfo.iconRadius, badgeInfo.weapon);
+    }
+
+    /**
+     * Creates the badge marking an active condition in the status row
+     * Uses the equipment badge colors so it matches the other badges.
+     * @param {number} iconRadius - Radius of the icon for positioning
+     * @returns {PIXI.Container} The badge container
+     * @private
+     */
+    _createActiveStatusBadge(iconRadius) {
+        const badge = new PIXI.Container();
+        const badgeRadius = iconRadius * BADGE.SIZE_RATIO;
+
+        // Position badge at top-right corner (overlapping icon edge)
+        badge.x = iconRadius - badgeRadius * BADGE.POSITION_OFFSET_RATIO;
+        badge.y = -iconRadius + badgeRadius * BADGE.POSITION_OFFSET_RATIO;
+
+        const bgTint = parseInt(getEquipmentBadgeBgColor().replace("#", ""), MATH.HEX_PARSE_BASE);
+        const bg = new PIXI.Graphics();
+        bg.beginFill(bgTint, BADGE.BG_ALPHA);
+        bg.drawCircle(0, 0, badgeRadius * BADGE.CIRCLE_SIZE_MULTIPLIER);
+        bg.endFill();
+        badge.addChild(bg);
+
+        const icon = new PIXI.Sprite(PIXI.Texture.from(STATUS_TOGGLES.ACTIVE_BADGE_ICON));
+        const iconSize = badgeRadius * BADGE.ICON_SIZE_MULTIPLIER;
+        icon.width = iconSize;
+        icon.height = iconSize;
+        icon.anchor.set(GRAPHICS.CENTER_ANCHOR);
+        icon.tint = parseInt(getEquipmentBadgeColor().replace("#", ""), MATH.HEX_PARSE_BASE);
+        badge.addChild(icon);
+
+        return badge;
+    }
+
     /**
      * Creates an equipment status badge for weapons
      * @param {number} equipStatus - The equipment status value
@@ -656,6 +1326,11 @@ export class WeaponMenuBuilder {
      * @private
      */
     _isWeaponEmpty(weapon) {
+        // Powers count as empty when the caster cannot pay their base cost
+        if (weapon?.type === "power") {
+            return shouldTrackPowerPoints() && !powerPointManager.canAfford(weapon.actor, weapon);
+        }
+
         if (!weapon || weapon.type !== "weapon") {
             return false;
         }
@@ -765,13 +1440,59 @@ export class WeaponMenuBuilder {
         return button;
     }
 
+    /**
+     * Creates the spare ammo count shown under the reload button
+     * @param {number} spare - Rounds left in the actor's ammo gear
+     * @param {number} iconRadius - The icon radius for sizing
+     * @returns {PIXI.Text} The label
+     * @private
+     */
+    _createSpareAmmoLabel(spare, iconRadius) {
+        const buttonRadius = iconRadius * RELOAD_BUTTON.SIZE_RATIO;
+        const label = new PIXI.Text(`${spare}`, {
+            fontFamily: 'Arial',
+            fontSize: buttonRadius * RELOAD_BUTTON.SPARE_FONT_SIZE_MULTIPLIER,
+            fill: spare > 0 ? this.colors.COUNT_TEXT : this.colors.COUNT_EMPTY_TEXT,
+            fontWeight: 'bold',
+            stroke: RELOAD_BUTTON.SPARE_STROKE_COLOR,
+            strokeThickness: RELOAD_BUTTON.SPARE_STROKE_THICKNESS
+        });
+        label.name = 'spare-ammo';
+        label.anchor.set(GRAPHICS.CENTER_ANCHOR, 0);
+        label.y = buttonRadius * RELOAD_BUTTON.CIRCLE_SIZE_MULTIPLIER;
+        return label;
+    }
+
+    /**
+     * Creates the quantity badge of a consumable (bottom-right corner)
+     * @param {number} quantity - Remaining quantity
+     * @returns {PIXI.Text} The badge
+     * @private
+     */
+    _createQuantityBadge(quantity) {
+        const badge = new PIXI.Text(`${quantity}`, {
+            fontFamily: 'Arial',
+            fontSize: this.iconRadius * CONSUMABLES.QUANTITY_FONT_RATIO,
+            fill: quantity > 0 ? this.colors.COUNT_TEXT : this.colors.COUNT_EMPTY_TEXT,
+            fontWeight: 'bold',
+            stroke: CONSUMABLES.QUANTITY_STROKE_COLOR,
+            strokeThickness: CONSUMABLES.QUANTITY_STROKE_THICKNESS
+        });
+        badge.name = 'quantity-badge';
+        badge.anchor.set(1, 1);
+        badge.x = this.iconRadius * CONSUMABLES.QUANTITY_OFFSET_RATIO;
+        badge.y = this.iconRadius * CONSUMABLES.QUANTITY_OFFSET_RATIO;
+        return badge;
+    }
+
     _createFallbackText(weapon, container) {
         const fallbackText = new PIXI.Text(weapon.name.charAt(0), {
             fontSize: this.fontSize,
-            fill: COLORS.TEXT_FILL,
+            fill: this.colors.TEXT_FILL,
             align: 'center'
         });
         fallbackText.anchor.set(GRAPHICS.CENTER_ANCHOR);
+        fallbackText.name = 'fallback-text';
         container.addChild(fallbackText);
     }
 
@@ -854,7 +1575,7 @@ export class WeaponMenuBuilder {
         const pipeWidth = EXPAND_BUTTON.PIPE_WIDTH;
         const pipeAlpha = expandButton.expanded ? UI_ANIMATION.EXPAND_BUTTON.NORMAL_ALPHA_EXPANDED : UI_ANIMATION.EXPAND_BUTTON.NORMAL_ALPHA_COLLAPSED;
 
-        pipe.beginFill(COLORS.EXPAND_BUTTON_TEXT, pipeAlpha);
+        pipe.beginFill(this.colors.EXPAND_BUTTON_TEXT, pipeAlpha);
         pipe.drawRect(-pipeWidth/MATH.CENTER_DIVISOR, -pipeHeight/MATH.CENTER_DIVISOR, pipeWidth, pipeHeight);
         pipe.endFill();
         container.addChild(pipe);
@@ -871,6 +1592,268 @@ export class WeaponMenuBuilder {
         return container;
     }
 
+    /**
+     * Creates one power point pool row: label with value/max above a fill bar
+     * @param {{label: string, value: number, max: number}} pool - The pool
+     * @param {number} menuWidth - Menu width
+     * @param {number} y - Row top
+     * @returns {PIXI.Container} The row container
+     * @private
+     */
+    _createPowerPointBar(pool, menuWidth, y) {
+        const row = new PIXI.Container();
+        row.name = `power-points-${pool.key}`;
+        row.y = y;
+
+        const padding = this.baseIconSize * POWER_POINTS.PADDING_RATIO;
+        const barWidth = menuWidth - padding * MATH.DIMENSION_MULTIPLIER;
+        const barHeight = this.baseIconSize * POWER_POINTS.BAR_HEIGHT_RATIO;
+        const rowHeight = this.baseIconSize * POWER_POINTS.ROW_HEIGHT_RATIO;
+        const left = -menuWidth / MATH.CENTER_DIVISOR + padding;
+
+        const label = new PIXI.Text(`${pool.label} ${pool.value}/${pool.max}`, {
+            fontFamily: 'Arial',
+            fontSize: this.baseIconSize * POWER_POINTS.FONT_SIZE_RATIO,
+            fill: this.colors.TEXT_FILL
+        });
+        label.x = left;
+        row.addChild(label);
+
+        const ratio = pool.max > 0 ? Math.min(1, Math.max(0, pool.value / pool.max)) : 0;
+        const bar = new PIXI.Graphics();
+        const barY = rowHeight - barHeight - padding / MATH.CENTER_DIVISOR;
+        bar.beginFill(POWER_POINTS.BAR_BACKGROUND);
+        bar.drawRoundedRect(left, barY, barWidth, barHeight, barHeight / MATH.CENTER_DIVISOR);
+        bar.endFill();
+        if (ratio > 0) {
+            bar.beginFill(ratio <= POWER_POINTS.LOW_RATIO ? POWER_POINTS.BAR_LOW_FILL : POWER_POINTS.BAR_FILL);
+            bar.drawRoundedRect(left, barY, barWidth * ratio, barHeight, barHeight / MATH.CENTER_DIVISOR);
+            bar.endFill();
+        }
+        row.addChild(bar);
+
+        return row;
+    }
+
+    /**
+     * Creates one maintained power icon on the ring around the menu
+     * Icons sit on an ellipse just outside the menu, spread from START_ANGLE.
+     * @param {{id: string, name: string, img: string, remaining: number}} entry - Maintained power
+     * @param {number} index - Icon index
+     * @param {number} count - Total icons on the ring
+     * @param {{width: number, height: number, centerY: number}} dimensions - Menu dimensions; centerY
+     *        defaults to half the height
+     * @returns {PIXI.Container} The icon container
+     * @private
+     */
+    _createMaintainedIcon(entry, index, count, dimensions) {
+        const size = this.baseIconSize * MAINTAINED_POWERS.ICON_SIZE_RATIO;
+        const radius = size / MATH.CENTER_DIVISOR;
+        const gap = this.baseIconSize * MAINTAINED_POWERS.RING_GAP_RATIO;
+        const step = Math.min(MAINTAINED_POWERS.ANGLE_STEP, (Math.PI * MATH.DIMENSION_MULTIPLIER) / count);
+        const angle = MAINTAINED_POWERS.START_ANGLE + (index - (count - 1) / MATH.CENTER_DIVISOR) * step;
+
+        const icon = new PIXI.Container();
+        icon.name = `maintained-${entry.id}`;
+        icon.maintainedId = entry.id;
+        icon.x = Math.cos(angle) * (dimensions.width / MATH.CENTER_DIVISOR + gap + radius);
+        icon.y = (dimensions.centerY ?? dimensions.height / MATH.CENTER_DIVISOR) +
+                 Math.sin(angle) * (dimensions.height / MATH.CENTER_DIVISOR + gap + radius);
+        icon.eventMode = 'static';
+        icon.cursor = 'pointer';
+
+        const ring = new PIXI.Graphics();
+        icon.addChild(ring);
+        icon.defaultBorder = entry.remaining <= MAINTAINED_POWERS.REMINDER_ROUNDS
+            ? MAINTAINED_POWERS.EXPIRING_BORDER
+            : MAINTAINED_POWERS.BORDER;
+        icon.drawButton = (borderColor) => {
+            ring.clear();
+            ring.beginFill(MAINTAINED_POWERS.BACKGROUND);
+            ring.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, borderColor);
+            ring.drawCircle(0, 0, radius);
+            ring.endFill();
+        };
+        icon.drawButton(icon.defaultBorder);
+
+        if (entry.img) {
+            const sprite = textureCacheManager.createSprite(entry.img, size * SIZES.SPRITE_SIZE_RATIO);
+            sprite.anchor.set(GRAPHICS.CENTER_ANCHOR);
+            icon.addChild(sprite);
+        }
+
+        const rounds = new PIXI.Text(`${entry.remaining}`, {
+            fontFamily: 'Arial',
+            fontSize: this.baseIconSize * MAINTAINED_POWERS.FONT_SIZE_RATIO,
+            fill: this.colors.TEXT_FILL,
+            stroke: MAINTAINED_POWERS.TEXT_STROKE,
+            strokeThickness: MAINTAINED_POWERS.TEXT_STROKE_THICKNESS
+        });
+        rounds.anchor.set(1, 1);
+        rounds.x = radius;
+        rounds.y = radius;
+        icon.addChild(rounds);
+
+        return icon;
+    }
+
+    /**
+     * Flows loadout buttons into rows that fit the menu width
+     * @param {Array<{id: string, name: string, active: boolean}>} loadouts - Loadout presets
+     * @param {string} saveLabel - Label of the "save loadout" button
+     * @param {number} menuWidth - Menu width
+     * @returns {Object} { buttons: Array<Object>, height: number } with positions relative to the bar
+     * @private
+     */
+    _layoutLoadoutBar(loadouts, saveLabel, menuWidth) {
+        return this._flowButtonRow([
+            ...loadouts.map(loadout => ({ loadoutId: loadout.id, label: loadout.name, active: loadout.active })),
+            { loadoutId: null, label: saveLabel || '+', isSave: true }
+        ], menuWidth);
+    }
+
+    /**
+     * Flows labelled buttons into rows that fit the menu width
+     * Shared by the loadout bar and the resource strip.
+     * @param {Array<{label: string}>} entries - Button entries, copied into the layouts
+     * @param {number} menuWidth - Menu width
+     * @returns {Object} { buttons: Array<Object>, height: number } with positions relative to the row
+     * @private
+     */
+    _flowButtonRow(entries, menuWidth) {
+        const buttonHeight = this.baseIconSize * LOADOUTS.BUTTON_HEIGHT_RATIO;
+        const padding = this.baseIconSize * LOADOUTS.PADDING_RATIO;
+        const gap = this.baseIconSize * LOADOUTS.GAP_RATIO;
+        const style = this._getLoadoutTextStyle();
+        const maxRowWidth = menuWidth - gap * MATH.DIMENSION_MULTIPLIER;
+
+        const buttons = [];
+        let x = 0;
+        let row = 0;
+        entries.forEach(entry => {
+            const textWidth = PIXI.TextMetrics.measureText(entry.label, style).width;
+            const width = Math.min(textWidth + padding * MATH.DIMENSION_MULTIPLIER, maxRowWidth);
+
+            // Wrap to the next row when the button does not fit
+            if (x > 0 && x + width > maxRowWidth) {
+                x = 0;
+                row++;
+            }
+
+            buttons.push({
+                ...entry,
+                x: -menuWidth / MATH.CENTER_DIVISOR + gap + x,
+                y: gap + row * (buttonHeight + gap),
+                width,
+                height: buttonHeight
+            });
+            x += width + gap;
+        });
+
+        return {
+            buttons,
+            height: gap + (row + 1) * (buttonHeight + gap)
+        };
+    }
+
+    /**
+     * Gets the text style for loadout button labels
+     * @returns {Object} PIXI text style
+     * @private
+     */
+    _getLoadoutTextStyle() {
+        return {
+            fontFamily: 'Arial',
+            fontSize: this.baseIconSize * LOADOUTS.FONT_SIZE_RATIO,
+            fill: this.colors.TEXT_FILL
+        };
+    }
+
+    /**
+     * Creates a loadout preset button
+     * @param {Object} layout - Button layout from _layoutLoadoutBar()
+     * @param {number} barY - Y position of the loadout bar
+     * @returns {PIXI.Container} The button container
+     * @private
+     */
+    _createLoadoutButton(layout, barY) {
+        const container = new PIXI.Container();
+        container.name = layout.isSave ? 'loadout-save-button' : `loadout-button-${layout.loadoutId}`;
+        container.x = layout.x;
+        container.y = barY + layout.y;
+        container.interactive = true;
+        container.eventMode = 'static';
+        container.cursor = 'pointer';
+        container.loadoutId = layout.loadoutId;
+        container.isSaveButton = !!layout.isSave;
+        container.isActiveLoadout = !!layout.active;
+
+        const background = new PIXI.Graphics();
+        container.addChild(background);
+        container.buttonGraphics = background;
+
+        // Redraws the button so hover can swap the border color
+        container.drawButton = (borderColor) => {
+            background.clear();
+            background.beginFill(layout.isSave ? LOADOUTS.SAVE_BACKGROUND : LOADOUTS.BUTTON_BACKGROUND);
+            background.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, borderColor);
+            background.drawRoundedRect(0, 0, layout.width, layout.height, UI.ICON_CORNER_RADIUS);
+            background.endFill();
+        };
+        container.defaultBorder = layout.active ? LOADOUTS.ACTIVE_BORDER : LOADOUTS.BUTTON_BORDER;
+        container.drawButton(container.defaultBorder);
+
+        const label = new PIXI.Text(layout.label, this._getLoadoutTextStyle());
+        label.anchor.set(GRAPHICS.CENTER_ANCHOR);
+        label.x = layout.width / MATH.CENTER_DIVISOR;
+        label.y = layout.height / MATH.CENTER_DIVISOR;
+        container.addChild(label);
+
+        return container;
+    }
+
+    /**
+     * Creates a resource strip button
+     * Disabled buttons stay visible but faded so the strip keeps its layout.
+     * @param {Object} layout - Button layout from _flowButtonRow()
+     * @param {number} barY - Y position of the resource strip
+     * @returns {PIXI.Container} The button container
+     * @private
+     */
+    _createResourceButton(layout, barY) {
+        const container = new PIXI.Container();
+        container.name = `resource-button-${layout.action}`;
+        container.x = layout.x;
+        container.y = barY + layout.y;
+        container.eventMode = 'static';
+        container.cursor = layout.disabled ? 'default' : 'pointer';
+        container.resourceAction = layout.action;
+        container.isDisabled = !!layout.disabled;
+        container.alpha = layout.disabled ? RESOURCES.DISABLED_ALPHA : 1;
+
+        const background = new PIXI.Graphics();
+        container.addChild(background);
+
+        // Redraws the button so hover can swap the border color
+        container.drawButton = (borderColor) => {
+            background.clear();
+            background.beginFill(RESOURCES.BUTTON_BACKGROUND);
+            background.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, borderColor);
+            background.drawRoundedRect(0, 0, layout.width, layout.height, UI.ICON_CORNER_RADIUS);
+            background.endFill();
+        };
+        container.defaultBorder = RESOURCES.BUTTON_BORDER;
+        container.drawButton(container.defaultBorder);
+
+        const label = new PIXI.Text(layout.label, this._getLoadoutTextStyle());
+        label.anchor.set(GRAPHICS.CENTER_ANCHOR);
+        label.x = layout.width / MATH.CENTER_DIVISOR;
+        label.y = layout.height / MATH.CENTER_DIVISOR;
+        container.addChild(label);
+
+        return container;
+    }
+
     /**
      * Creates a separator line
      * @param {number} menuWidth
@@ -886,7 +1869,7 @@ export class WeaponMenuBuilder {
         const separatorLine = new PIXI.Graphics();
         const separatorHeight = this.baseIconSize * SIZES.SEPARATOR_HEIGHT_RATIO;
         
-        separatorLine.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, COLORS.SEPARATOR_LINE, COLORS.SEPARATOR_LINE_ALPHA);
+        separatorLine.lineStyle(GRAPHICS.DEFAULT_LINE_WIDTH, this.colors.SEPARATOR_LINE, this.colors.SEPARATOR_LINE_ALPHA);
         separatorLine.moveTo(-menuWidth/MATH.CENTER_DIVISOR + UI.SEPARATOR_MARGIN, separatorHeight / MATH.CENTER_DIVISOR);
         separatorLine.lineTo(menuWidth/MATH.CENTER_DIVISOR - UI.SEPARATOR_MARGIN, separatorHeight / MATH.CENTER_DIVISOR);
         separatorContainer.addChild(separatorLine);
@@ -0,0 +1,52 @@
+/**
+ * @file Ammunition inventory utilities
+ * @description Finds the gear items that supply ammunition for a weapon so reloads can
+ * draw rounds from the actor's inventory
+ */
+
+/**
+ * Gets the ammunition name a weapon loads
+ * @param {Item} weapon - The weapon
+ * @returns {string} Trimmed system.ammo value (empty if the weapon names no ammo)
+ */
+export function getWeaponAmmoName(weapon) {
+    const ammo = weapon?.system?.ammo;
+    return typeof ammo === 'string' ? ammo.trim() : '';
+}
+
+/**
+ * Finds the gear items that match a weapon's ammunition
+ * A gear item matches when its name contains the weapon's ammo name, so "Arrows" also
+ * finds "Fire Arrows" and each becomes a separate ammo type to choose from.
+ * @param {Actor} actor - The actor carrying the ammo
+ * @param {Item} weapon - The weapon being reloaded
+ * @returns {Item[]} Matching gear items, exact name matches first
+ */
+export function findAmmoItems(actor, weapon) {
+    const ammoName = getWeaponAmmoName(weapon).toLowerCase();
+    if (!actor || !ammoName) return [];
+
+    return actor.items
+        .filter(item => item.type === "gear" &&
+                        item.system?.quantity !== undefined &&
+                        item.name.toLowerCase().includes(ammoName))
+        .sort((a, b) => {
+            const aExact = a.name.toLowerCase() === ammoName;
+            const bExact = b.name.toLowerCase() === ammoName;
+            if (aExact !== bExact) return aExact ? -1 : 1;
+            return a.name.localeCompare(b.name);
+        });
+}
+
+/**
+ * Counts the spare rounds available for a weapon
+ * @param {Actor} actor - The actor carrying the ammo
+ * @param {Item} weapon - The weapon
+ * @returns {number|null} Total quantity across matching gear, or null if the weapon names no ammo
+ */
+export function getSpareAmmoCount(actor, weapon) {
+    if (!getWeaponAmmoName(weapon)) return null;
+
+    return findAmmoItems(actor, weapon)
+        .reduce((total, item) => total + Math.max(0, Number(item.system.quantity) || 0), 0);
+}
\ No newline at end of file
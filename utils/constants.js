@@ -11,6 +11,7 @@ export const TIMING = {
     MENU_RENDER_HOOK_DELAY: 50,              // Delay before calling weaponMenuRendered hook
     MENU_CLICK_DEBOUNCE: 75,                 // Debounce for click detection
     MENU_SELECTION_CLEAR: 100,               // Delay to clear selection processing
+    MENU_LIVE_REFRESH_DEBOUNCE: 150,         // Debounce for rebuilding the menu after actor/item changes
     
     // Selection processing
     SELECTION_TIMEOUT: 500,                  // Timeout for selection processing
@@ -28,6 +29,7 @@ export const TIMING = {
  */
 export const Z_INDEX = {
     TOOLTIP: 100000,
+    FILTER_BAR: 99999,
 };
 
 /**
@@ -43,6 +45,52 @@ export const TOOLTIP = {
     EDGE_PADDING: 10,                        // Minimum distance from viewport edges
 };
 
+/**
+ * Targeting session constants
+ */
+export const TARGETING = {
+    DEFAULT_MAX_TARGETS: 1,                  // Single target unless the item allows more
+    MIN_POWER_TARGETS: 1,                    // Minimum configurable target count for powers
+    MAX_POWER_TARGETS: 10,                   // Maximum configurable target count for powers
+    CONFIRM_KEY: 'Enter'                     // Key that confirms a multi-target selection
+};
+
+/**
+ * SWADE range bands and their attack penalties
+ */
+export const RANGE_BANDS = {
+    SHORT: { key: 'Short', penalty: 0 },
+    MEDIUM: { key: 'Medium', penalty: -2 },
+    LONG: { key: 'Long', penalty: -4 },
+    EXTREME: { key: 'Extreme', penalty: -8 },
+    EXTREME_MULTIPLIER: 4                    // Extreme range reaches 4x the long range
+};
+
+/**
+ * Roll adapter IDs used by the roll adapter registry and the "Roll System" setting
+ */
+export const ROLL_ADAPTERS = {
+    AUTO: 'auto',                            // First available adapter
+    BETTER_ROLLS: 'betterrolls',             // Better Rolls 2 cards
+    SWADE: 'swade'                           // Native SWADE item cards
+};
+
+/**
+ * Template placement constants
+ * Shape sizes are in grid squares (SWADE inches) and converted to scene units on placement.
+ */
+export const TEMPLATE_PLACEMENT = {
+    SHAPE_ORDER: ['cone', 'stream', 'small', 'medium', 'large'],  // Order of system.templates keys
+    SHAPES: {
+        cone: { key: 'Cone', t: 'cone', distance: 9, angle: 53.13 },
+        stream: { key: 'Stream', t: 'ray', distance: 12, width: 1 },
+        small: { key: 'Small', t: 'circle', distance: 1 },
+        medium: { key: 'Medium', t: 'circle', distance: 2 },
+        large: { key: 'Large', t: 'circle', distance: 3 }
+    },
+    ROTATION_STEP: 15                        // Degrees rotated per mouse wheel tick
+};
+
 /**
  * Size constants relative to grid size
  */
@@ -53,6 +101,80 @@ export const SIZES = {
     SEPARATOR_HEIGHT_RATIO: 0.1              // Separator height as ratio of base size
 };
 
+/**
+ * Weapon menu layouts
+ */
+export const WEAPON_MENU_LAYOUT = {
+    GRID: 'grid',                            // Rows of items below the token
+    RING: 'ring'                             // Concentric rings around the token
+};
+
+/**
+ * Weapon menu rendering modes
+ */
+export const MENU_RENDER_MODE = {
+    WORLD: 'world',                          // Sized from the grid, scales with canvas zoom (default)
+    SCREEN: 'screen'                         // Fixed pixel size on screen regardless of zoom
+};
+
+/**
+ * Screen-space rendering mode sizes
+ */
+export const SCREEN_SPACE = {
+    DEFAULT_ICON_SIZE: 48,                   // Default icon size in screen pixels
+    MIN_ICON_SIZE: 24,                       // Smallest icon size setting
+    MAX_ICON_SIZE: 96,                       // Largest icon size setting
+    ICON_SIZE_STEP: 4                        // Icon size setting step
+};
+
+/**
+ * Menu item sort orders
+ */
+export const MENU_SORT_MODE = {
+    DEFAULT: 'default',                      // Weapons by equip status and type, everything else by name
+    ALPHABETICAL: 'alphabetical',            // By name
+    RECENT: 'recent',                        // Most recently used first
+    MANUAL: 'manual'                         // User-defined order, rearranged by dragging icons
+};
+
+/**
+ * Per-actor item order storage and drag-to-reorder
+ */
+export const ITEM_ORDER = {
+    FLAG_SCOPE: 'tokencontextmenu',          // Actor flag scope
+    ORDER_FLAG_KEY: 'itemOrder',             // Actor flag holding the manual order as item IDs
+    RECENT_FLAG_KEY: 'recentItems',          // Actor flag holding item IDs, most recently used first
+    MAX_RECENT_ITEMS: 50,                    // Used items remembered per actor
+    DRAG_ALPHA: 0.7,                         // Opacity of an icon while it is dragged
+    DROP_RADIUS_RATIO: 1                     // Max distance to a drop target as ratio of the icon size
+};
+
+/**
+ * Weapon menu anchoring relative to the token
+ */
+export const MENU_ANCHOR = {
+    BELOW: 'below',                          // Below the token (default)
+    ABOVE: 'above',                          // Above the token
+    LEFT: 'left',                            // Left of the token, vertically centered
+    RIGHT: 'right',                          // Right of the token, vertically centered
+    AUTO: 'auto',                            // First side that fits, shifted into view if none does
+    AUTO_ORDER: ['below', 'above', 'right', 'left'], // Sides tried in auto mode
+    EDGE_PADDING: 10                         // Minimum distance from the visible edge in auto mode
+};
+
+/**
+ * Ring layout constants
+ * Angles are in degrees (0 = right, 90 = below), sizes relative to the base icon size.
+ */
+export const RING_LAYOUT = {
+    CENTER_ANGLE: 270,                       // Rings are centered above the token
+    ANGLE_STEP: 35,                          // Preferred degrees between items (same as the ECT circular menu)
+    BOTTOM_GAP: 60,                          // Degrees kept free at the bottom for the expand button
+    GAP_RATIO: 0.15,                         // Gap between the token and the inner ring
+    RING_SPACING_RATIO: 1.05,                // Distance between concentric rings
+    BAND_PADDING_RATIO: 0.1                  // Background padding around the icons
+};
+
 /**
  * Color constants for UI elements (PIXI hex format)
  */
@@ -74,6 +196,30 @@ export const COLORS = {
     POWER_HOVER_BACKGROUND: 0x4a4a7a,        // Power hover background
     POWER_HOVER_BORDER: 0x6a6aaa,            // Power hover border
     
+    // Consumable gear icon colors
+    GEAR_BACKGROUND: 0x22333d,               // Consumable icon background
+    GEAR_BORDER: 0x4a6a7a,                   // Consumable icon border
+    GEAR_HOVER_BACKGROUND: 0x4a6a7a,         // Consumable hover background
+    GEAR_HOVER_BORDER: 0x6a9aaa,             // Consumable hover border
+    
+    // Skill icon colors
+    SKILL_BACKGROUND: 0x3d3322,              // Skill icon background
+    SKILL_BORDER: 0x7a6a4a,                  // Skill icon border
+    SKILL_HOVER_BACKGROUND: 0x7a6a4a,        // Skill hover background
+    SKILL_HOVER_BORDER: 0xaa9a6a,            // Skill hover border
+    
+    // Status toggle icon colors
+    STATUS_BACKGROUND: 0x3d2226,             // Status toggle icon background
+    STATUS_BORDER: 0x7a4a52,                 // Status toggle icon border
+    STATUS_HOVER_BACKGROUND: 0x7a4a52,       // Status toggle hover background
+    STATUS_HOVER_BORDER: 0xaa6a75,           // Status toggle hover border
+    
+    // Custom entry colors (module API)
+    CUSTOM_ENTRY_BACKGROUND: 0x2d3d33,       // Custom entry icon background
+    CUSTOM_ENTRY_BORDER: 0x4a7a5a,           // Custom entry icon border
+    CUSTOM_ENTRY_HOVER_BACKGROUND: 0x4a7a5a, // Custom entry hover background
+    CUSTOM_ENTRY_HOVER_BORDER: 0x6aaa7a,     // Custom entry hover border
+    
     // Carried/Unfavorited items (very desaturated)
     CARRIED_BACKGROUND: 0x0d0d0d,            // Almost black background for carried/unfavorited
     CARRIED_BORDER: 0x333333,                // Very dark gray border for carried weapons and unfavorited powers
@@ -84,12 +230,25 @@ export const COLORS = {
     EXPAND_BUTTON_BORDER: 0x666666,          // Expand button border
     EXPAND_BUTTON_TEXT: 0x666666,            // Darker gray for pipe color
     
+    // ECT context menu
+    ECT_CIRCLE_BORDER: 0x666666,             // Subtle gray border of the ECT menu circles
+    
     // Other UI elements
     SEPARATOR_LINE: 0x444444,                // Separator line color
     SEPARATOR_LINE_ALPHA: 0.6,               // Separator line opacity
     SPRITE_MASK: 0xffffff,                   // Sprite mask color
+    SPRITE_TINT: 0xffffff,                   // Untinted sprite
     TEXT_FILL: 0xffffff,                     // Text color
     
+    // Menu notice (short messages above the menu)
+    NOTICE_BACKGROUND: 0x000000,             // Notice background color
+    NOTICE_BACKGROUND_ALPHA: 0.8,            // Notice background opacity
+    NOTICE_TEXT: 0xffcc66,                   // Notice text color
+    
+    // Count labels (spare ammo, consumable quantity)
+    COUNT_TEXT: 0xffffff,                    // Count color while some are left
+    COUNT_EMPTY_TEXT: 0xff5555,              // Count color at zero
+    
     // Equipment badge colors
     EQUIPMENT_BADGE_DEFAULT: 0x000000,       // Default equipment badge color (black)
     EQUIPMENT_BADGE_BG_DEFAULT: 0x972824,    // Default equipment badge background (darker red)
@@ -100,6 +259,146 @@ export const COLORS = {
     EMPTY_WEAPON_TINT: 0x808080,            // Grey tint for empty weapons
     EMPTY_WEAPON_ALPHA: 0.5,                // 50% opacity for empty weapons
 };
+
+/**
+ * Weapon menu themes
+ * A theme overrides any subset of the themeable COLORS keys; missing keys fall back to COLORS,
+ * which is the Dark theme. Custom themes are stored in the customThemes client setting.
+ */
+export const THEMES = {
+    DEFAULT_ID: 'dark',                      // Theme used when none is chosen or the chosen one is gone
+    CUSTOM_ID_PREFIX: 'custom-',             // ID prefix of user-created themes
+    MAX_NAME_LENGTH: 32,                     // Maximum theme name length
+
+    // Themeable COLORS keys
+    COLOR_KEYS: [
+        'MENU_BACKGROUND', 'MENU_BORDER',
+        'WEAPON_BACKGROUND', 'WEAPON_BORDER', 'WEAPON_HOVER_BACKGROUND', 'WEAPON_HOVER_BORDER',
+        'POWER_BACKGROUND', 'POWER_BORDER', 'POWER_HOVER_BACKGROUND', 'POWER_HOVER_BORDER',
+        'GEAR_BACKGROUND', 'GEAR_BORDER', 'GEAR_HOVER_BACKGROUND', 'GEAR_HOVER_BORDER',
+        'SKILL_BACKGROUND', 'SKILL_BORDER', 'SKILL_HOVER_BACKGROUND', 'SKILL_HOVER_BORDER',
+        'STATUS_BACKGROUND', 'STATUS_BORDER', 'STATUS_HOVER_BACKGROUND', 'STATUS_HOVER_BORDER',
+        'CUSTOM_ENTRY_BACKGROUND', 'CUSTOM_ENTRY_BORDER', 'CUSTOM_ENTRY_HOVER_BACKGROUND', 'CUSTOM_ENTRY_HOVER_BORDER',
+        'CARRIED_BACKGROUND', 'CARRIED_BORDER', 'CARRIED_HOVER_BACKGROUND', 'CARRIED_HOVER_BORDER',
+        'EXPAND_BUTTON_TEXT', 'ECT_CIRCLE_BORDER', 'SEPARATOR_LINE', 'TEXT_FILL', 'EMPTY_WEAPON_TINT',
+        'NOTICE_BACKGROUND', 'NOTICE_TEXT', 'COUNT_TEXT', 'COUNT_EMPTY_TEXT'
+    ],
+
+    // Themeable COLORS opacity keys (0-1)
+    ALPHA_KEYS: ['MENU_BACKGROUND_ALPHA', 'SEPARATOR_LINE_ALPHA', 'EMPTY_WEAPON_ALPHA', 'NOTICE_BACKGROUND_ALPHA'],
+
+    // Built-in themes, names are localized from tokencontextmenu.Themes.<key>
+    BUILT_IN: {
+        dark: {
+            nameKey: 'Dark',
+            colors: {}
+        },
+        highContrast: {
+            nameKey: 'HighContrast',
+            colors: {
+                MENU_BACKGROUND: 0x000000,
+                MENU_BACKGROUND_ALPHA: 0.9,
+                MENU_BORDER: 0xffffff,
+                WEAPON_BACKGROUND: 0x000000,
+                WEAPON_BORDER: 0xffffff,
+                WEAPON_HOVER_BACKGROUND: 0x333333,
+                WEAPON_HOVER_BORDER: 0xffff00,
+                POWER_BACKGROUND: 0x00004d,
+                POWER_BORDER: 0x00ffff,
+                POWER_HOVER_BACKGROUND: 0x000099,
+                POWER_HOVER_BORDER: 0xffff00,
+                GEAR_BACKGROUND: 0x003300,
+                GEAR_BORDER: 0x00ff00,
+                GEAR_HOVER_BACKGROUND: 0x006600,
+                GEAR_HOVER_BORDER: 0xffff00,
+                SKILL_BACKGROUND: 0x332200,
+                SKILL_BORDER: 0xffaa00,
+                SKILL_HOVER_BACKGROUND: 0x664400,
+                SKILL_HOVER_BORDER: 0xffff00,
+                STATUS_BACKGROUND: 0x330000,
+                STATUS_BORDER: 0xff3333,
+                STATUS_HOVER_BACKGROUND: 0x660000,
+                STATUS_HOVER_BORDER: 0xffff00,
+                CUSTOM_ENTRY_BACKGROUND: 0x1a0033,
+                CUSTOM_ENTRY_BORDER: 0xcc66ff,
+                CUSTOM_ENTRY_HOVER_BACKGROUND: 0x330066,
+                CUSTOM_ENTRY_HOVER_BORDER: 0xffff00,
+                CARRIED_BACKGROUND: 0x000000,
+                CARRIED_BORDER: 0x999999,
+                CARRIED_HOVER_BACKGROUND: 0x222222,
+                CARRIED_HOVER_BORDER: 0xffffff,
+                EXPAND_BUTTON_TEXT: 0xffffff,
+                ECT_CIRCLE_BORDER: 0xffffff,
+                SEPARATOR_LINE: 0xffffff,
+                SEPARATOR_LINE_ALPHA: 1,
+                TEXT_FILL: 0xffffff,
+                EMPTY_WEAPON_ALPHA: 0.6,
+                NOTICE_BACKGROUND: 0x000000,
+                NOTICE_BACKGROUND_ALPHA: 1,
+                NOTICE_TEXT: 0xffff00,
+                COUNT_TEXT: 0xffffff,
+                COUNT_EMPTY_TEXT: 0xff3333
+            }
+        },
+        parchment: {
+            nameKey: 'Parchment',
+            colors: {
+                MENU_BACKGROUND: 0xf1e3c6,
+                MENU_BACKGROUND_ALPHA: 0.92,
+                MENU_BORDER: 0x8b6b3d,
+                WEAPON_BACKGROUND: 0xe6d3ac,
+                WEAPON_BORDER: 0x8b6b3d,
+                WEAPON_HOVER_BACKGROUND: 0xf5e8c8,
+                WEAPON_HOVER_BORDER: 0x5a3e1b,
+                POWER_BACKGROUND: 0xd9cbe3,
+                POWER_BORDER: 0x6b4f8b,
+                POWER_HOVER_BACKGROUND: 0xe8dcf0,
+                POWER_HOVER_BORDER: 0x4a2f6b,
+                GEAR_BACKGROUND: 0xcfe0d8,
+                GEAR_BORDER: 0x4f7a6b,
+                GEAR_HOVER_BACKGROUND: 0xdfeee6,
+                GEAR_HOVER_BORDER: 0x2f5a4b,
+                SKILL_BACKGROUND: 0xead6b0,
+                SKILL_BORDER: 0x9a7a3a,
+                SKILL_HOVER_BACKGROUND: 0xf5e6c6,
+                SKILL_HOVER_BORDER: 0x6a4a1a,
+                STATUS_BACKGROUND: 0xe8c8c0,
+                STATUS_BORDER: 0x8b3d3d,
+                STATUS_HOVER_BACKGROUND: 0xf3dad3,
+                STATUS_HOVER_BORDER: 0x6b1d1d,
+                CUSTOM_ENTRY_BACKGROUND: 0xd3e3c8,
+                CUSTOM_ENTRY_BORDER: 0x5a7a3d,
+                CUSTOM_ENTRY_HOVER_BACKGROUND: 0xe3f0d8,
+                CUSTOM_ENTRY_HOVER_BORDER: 0x3a5a1d,
+                CARRIED_BACKGROUND: 0xc8bca4,
+                CARRIED_BORDER: 0xa08f70,
+                CARRIED_HOVER_BACKGROUND: 0xd6cbb4,
+                CARRIED_HOVER_BORDER: 0x7a6a4a,
+                EXPAND_BUTTON_TEXT: 0x5a3e1b,
+                ECT_CIRCLE_BORDER: 0x8b6b3d,
+                SEPARATOR_LINE: 0x8b6b3d,
+                SEPARATOR_LINE_ALPHA: 0.6,
+                TEXT_FILL: 0x3b2a14,
+                EMPTY_WEAPON_TINT: 0x808080,
+                EMPTY_WEAPON_ALPHA: 0.5,
+                NOTICE_BACKGROUND: 0xf1e3c6,
+                NOTICE_BACKGROUND_ALPHA: 0.95,
+                NOTICE_TEXT: 0x5a3e1b,
+                COUNT_TEXT: 0xfff3d6,
+                COUNT_EMPTY_TEXT: 0xd9542b
+            }
+        }
+    }
+};
+/**
+ * Shared menu icon texture cache
+ */
+export const TEXTURE_CACHE = {
+    MAX_SIZE: 200,                           // Cached textures before the least recently used are dropped
+    FALLBACK_ICON: 'icons/svg/item-bag.svg', // Core icon shown for broken image URLs
+    PRELOAD_ITEM_TYPES: ['weapon', 'power', 'skill', 'gear', 'consumable'] // Item types whose images are preloaded
+};
+
 // ECT Context Menu constants
 export const ECT_MENU = {
     // Grid-relative scaling ratios (multiply by canvas.grid.size)
@@ -115,13 +414,11 @@ export const ECT_MENU = {
     ICON_SIZE: 20,                           // Icon dimensions in pixels (increased for circles)
     CIRCLE_RADIUS: 10,                       // Circle radius (28px diameter)
     CIRCLE_BORDER_WIDTH: 3,                  // Circle border width
-    CIRCLE_BORDER_COLOR: 0x666666,           // Subtle gray border
     CIRCLE_SPACING: 6,                       // Gap between circles (for list layout)
     ICON_MASK_RADIUS: 10,                    // Mask radius for circular icon (same as circle radius - no padding)
     EDIT_ICON_PATH: 'modules/tokencontextmenu/icons/equipment/edit.webp', // Path to edit icon
     POSITION_OFFSET: 10,                     // Pixels offset from weapon icon
     EDGE_PADDING: 10,                        // Padding from canvas edges
-    MAX_TEXTURE_CACHE_SIZE: 20,              // Maximum cached textures before FIFO eviction
 
     // Layout options
     LAYOUTS: {
@@ -160,6 +457,48 @@ export const ECT_MENU = {
     }
 };;
 
+/**
+ * Pre-roll modifier wheel constants
+ * The wheel reuses ECT_MENU.ANIMATION for its open animation.
+ */
+export const MODIFIER_WHEEL = {
+    // Grid-relative scaling ratios (multiply by canvas.grid.size and icon scale)
+    ITEM_RADIUS_RATIO: 0.2,                  // Wheel item radius as ratio of grid size
+    RADIUS_OFFSET_RATIO: 0.55,               // Distance from weapon center to wheel items
+    FONT_SIZE_RATIO: 0.09,                   // Label font size as ratio of grid size
+    BORDER_WIDTH_RATIO: 0.02,                // Item border width as ratio of grid size
+    EDGE_PADDING_RATIO: 0.1,                 // Edge padding as ratio of grid size
+
+    // Colors
+    ITEM_BACKGROUND: 0x1a1a1a,               // Wheel item background
+    ITEM_BACKGROUND_ALPHA: 0.85,             // Wheel item background opacity
+    ITEM_BORDER: 0x666666,                   // Inactive item border
+    ACTIVE_BORDER: 0x4caf50,                 // Border of active (toggled on) items
+    CONFIRM_BORDER: 0xffffff,                // Border of the roll button
+
+    // Modifier-click keys that open the wheel
+    OPEN_KEYS: {
+        NONE: 'none',                        // Wheel disabled
+        SHIFT: 'shift',
+        CTRL: 'ctrl',
+        ALT: 'alt'
+    },
+
+    // SWADE situational modifiers
+    AIM_BONUS: 2,                            // Aim: +2 to the attack
+    WILD_ATTACK_BONUS: 2,                    // Wild Attack: +2 to the attack
+    UNSTABLE_PLATFORM_PENALTY: -2,           // Unstable Platform: -2 to the attack
+    CALLED_SHOT_ORDER: [null, 'limb', 'head', 'item'],  // Called Shot cycle order
+    CALLED_SHOT_PENALTIES: {
+        limb: -2,                            // Arm or leg
+        head: -4,                            // Head or vitals
+        item: -4                             // Held or small item
+    },
+    MULTI_ACTION_PENALTY: -2,                // Penalty per additional action
+    MAX_ACTIONS: 3,                          // Maximum actions per turn
+    FREE_MODIFIER_LIMIT: 10                  // Free modifier range (+/-)
+};
+
 /**
  * Weapon menu animation constants
  */
@@ -168,7 +507,8 @@ export const WEAPON_MENU_ANIMATION = {
     DURATION: 150,                            // Animation duration in ms
     INITIAL_ALPHA: 0,                         // Starting opacity
     FINAL_ALPHA: 1,                           // Final opacity
-    EASING: 'easeOutQuad'                     // Easing function name
+    EASING: 'easeOutQuad',                    // Easing function name
+    MOVE_DURATION: 120                        // Tween of kept items moving to a new slot when the menu updates (ms)
 };
 
 /**
@@ -181,6 +521,169 @@ export const UI = {
     SEPARATOR_MARGIN: 10,                    // Horizontal margin for separator lines
 };
 
+/**
+ * Power point constants
+ * Bar sizes are relative to the weapon menu base icon size.
+ */
+export const POWER_POINTS = {
+    GENERAL_KEY: 'general',                  // Pool key used when a power has no arcane background
+
+    // Pool bars
+    ROW_HEIGHT_RATIO: 0.22,                  // Height of one pool row
+    BAR_HEIGHT_RATIO: 0.07,                  // Height of the fill bar
+    FONT_SIZE_RATIO: 0.13,                   // Label font size
+    PADDING_RATIO: 0.08,                     // Horizontal padding inside the menu
+    BAR_BACKGROUND: 0x1a1a2e,                // Empty part of the bar
+    BAR_FILL: 0x4a6aff,                      // Filled part of the bar
+    BAR_LOW_FILL: 0xff5555,                  // Fill when at or below LOW_RATIO
+    LOW_RATIO: 0.25,                         // Fraction of max counted as low
+
+    // Core SWADE power modifiers offered when a power defines none
+    CORE_MODIFIERS: [
+        { id: 'additionalRecipients', key: 'AdditionalRecipients', cost: 1, max: 5 },
+        { id: 'armorPiercing', key: 'ArmorPiercing', cost: 1, max: 3 },
+        { id: 'heavyWeapon', key: 'HeavyWeapon', cost: 2, max: 1 },
+        { id: 'hinderHurry', key: 'HinderHurry', cost: 1, max: 1 },
+        { id: 'lingeringDamage', key: 'LingeringDamage', cost: 2, max: 1 },
+        { id: 'range', key: 'Range', cost: 1, max: 2 },
+        { id: 'selective', key: 'Selective', cost: 1, max: 1 }
+    ]
+};
+
+/**
+ * Consumable gear section constants
+ * Quantity badge sizes are relative to the icon radius.
+ */
+export const CONSUMABLES = {
+    QUANTITY_FONT_RATIO: 0.45,               // Quantity font size as ratio of icon radius
+    QUANTITY_OFFSET_RATIO: 0.9,              // Badge offset from icon center (bottom-right corner)
+    QUANTITY_STROKE_COLOR: 0x000000,         // Outline for readability over icons
+    QUANTITY_STROKE_THICKNESS: 3             // Outline thickness
+};
+
+/**
+ * Skills section constants
+ */
+export const SKILLS = {
+    FLAG_SCOPE: 'tokencontextmenu',          // Skill item flag scope
+    PIN_FLAG: 'pinned'                       // Flag marking a skill as pinned to the menu
+};
+
+/**
+ * Status toggle row constants
+ */
+export const STATUS_TOGGLES = {
+    ENTRY_TYPE: 'statusToggle',              // Item type of status row entries
+    ENTRY_ID_PREFIX: 'status-',              // Prefix of status row entry IDs
+    // SWADE conditions offered in the status row (in display order)
+    STATUS_IDS: ['shaken', 'distracted', 'vulnerable', 'prone', 'defending', 'entangled', 'bound'],
+    // Conditions that prevent using weapons and powers
+    BLOCKING_STATUS_IDS: ['stunned', 'bound'],
+    ACTIVE_BADGE_ICON: 'modules/tokencontextmenu/icons/equipment/star-solid.png' // Badge on active conditions
+};
+
+/**
+ * Maintained power constants
+ * Ring sizes are relative to the weapon menu base icon size.
+ */
+export const MAINTAINED_POWERS = {
+    FLAG_SCOPE: 'tokencontextmenu',          // Actor flag scope
+    FLAG_KEY: 'maintainedPowers',            // Actor flag holding maintained power entries
+    ROUNDS_PER_MINUTE: 10,                   // SWADE rounds per minute
+    ROUNDS_PER_HOUR: 600,                    // SWADE rounds per hour
+    REMINDER_ROUNDS: 1,                      // Remaining rounds at which the reminder is whispered
+
+    // Icon ring
+    ICON_SIZE_RATIO: 0.4,                    // Ring icon diameter
+    RING_GAP_RATIO: 0.15,                    // Gap between the menu edge and the ring
+    ANGLE_STEP: 0.5,                         // Radians between ring icons
+    START_ANGLE: 0,                          // Radians of the first icon (0 = right of the menu)
+    FONT_SIZE_RATIO: 0.16,                   // Remaining rounds font size
+    BACKGROUND: 0x2a1a3d,                    // Ring icon background
+    BORDER: 0x8a5aff,                        // Ring icon border
+    EXPIRING_BORDER: 0xff5555,               // Border when at or below REMINDER_ROUNDS
+    HOVER_BORDER: 0xFFFFFF,                  // Border on hover
+    TEXT_STROKE: 0x000000,                   // Remaining rounds outline
+    TEXT_STROKE_THICKNESS: 3                 // Remaining rounds outline thickness
+};
+
+/**
+ * Keyboard navigation constants
+ * Default keys are KeyboardEvent.code values; users can remap them in Configure Controls.
+ */
+export const KEYBOARD_NAV = {
+    OPEN_MENU_KEY: 'KeyV',                   // Default key to open the menu for the controlled token
+    CONTEXT_KEY: 'KeyE',                     // Default key to open the ECT/edit menu of the focused item
+    QUICK_SLOTS: 9,                          // Number keys 1-9 fire the Nth item
+    CROSS_AXIS_WEIGHT: 2,                    // Penalty for off-axis distance when moving focus
+
+    // Focus ring
+    FOCUS_RING_COLOR: 0xffcc00,              // Focus ring color
+    FOCUS_RING_WIDTH: 3,                     // Focus ring line width
+    FOCUS_RING_PADDING_RATIO: 0.12           // Gap between icon and ring as ratio of icon radius
+};
+
+/**
+ * Module API and custom menu extension constants
+ */
+export const MENU_EXTENSIONS = {
+    API_VERSION: 1,                          // Bumped on breaking changes to game.modules.get(...).api
+    ENTRY_TYPE: 'customEntry',               // Menu item type of custom entries
+    ENTRY_ID_PREFIX: 'custom-',              // Prefix of custom entry menu item IDs
+    DEFAULT_SECTION: 'custom',               // Built-in section for entries without a section
+    DEFAULT_ORDER: 100                       // Sort order for sections and entries without one
+};
+
+/**
+ * Loadout preset constants
+ * Layout ratios are relative to the weapon menu base icon size.
+ */
+export const LOADOUTS = {
+    FLAG_SCOPE: 'tokencontextmenu',          // Actor flag scope
+    FLAG_KEY: 'loadouts',                    // Actor flag key holding presets by ID
+    MAX_NAME_LENGTH: 24,                     // Maximum preset name length
+
+    // Loadout bar layout
+    BUTTON_HEIGHT_RATIO: 0.35,               // Button height as ratio of base icon size
+    FONT_SIZE_RATIO: 0.18,                   // Label font size as ratio of base icon size
+    PADDING_RATIO: 0.12,                     // Horizontal label padding as ratio of base icon size
+    GAP_RATIO: 0.08,                         // Gap between buttons as ratio of base icon size
+
+    // Colors
+    BUTTON_BACKGROUND: 0x333333,             // Preset button background
+    SAVE_BACKGROUND: 0x1f3a24,               // "Save loadout" button background
+    BUTTON_BORDER: 0x666666,                 // Button border
+    BUTTON_HOVER_BORDER: 0xcccccc,           // Button border on hover
+    ACTIVE_BORDER: 0x4caf50                  // Border of the preset matching the current equipment
+};
+
+/**
+ * Actor resource strip constants (bennies, Soak, unshake)
+ * Buttons share the loadout bar layout ratios.
+ */
+export const RESOURCES = {
+    ACTIONS: {
+        SPEND_BENNY: 'spendBenny',           // Spend one benny
+        SOAK: 'soak',                        // Spend a benny and roll Vigor
+        UNSHAKE: 'unshake'                   // Roll Spirit to recover from Shaken
+    },
+    BUTTON_BACKGROUND: 0x3d3322,             // Button background
+    BUTTON_BORDER: 0x7a6a4a,                 // Button border
+    BUTTON_HOVER_BORDER: 0xcccccc,           // Button border on hover
+    DISABLED_ALPHA: 0.4                      // Opacity of buttons that can't be used right now
+};
+
+/**
+ * In-menu notice constants (short messages shown above the weapon menu)
+ */
+export const MENU_NOTICE = {
+    DURATION: 3500,                          // Time the notice stays visible in ms
+    FONT_SIZE: 13,                           // Notice font size
+    PADDING: 6,                              // Padding around the notice text
+    OFFSET: 6,                               // Gap between notice and menu top
+    MAX_WIDTH: 260                           // Word wrap width
+};
+
 /**
  * Weapon sorting priority constants
  */
@@ -212,6 +715,26 @@ export const WEAPON_PRIORITY = {
     OTHER: 100                // Other items
 };
 
+/**
+ * Equipment mode filter bar constants
+ * Chips filter by the same trait classification the equipment mode sorting uses.
+ */
+export const EQUIPMENT_FILTER = {
+    CHIPS: [
+        { id: 'melee', labelKey: 'Melee', typeGroup: WEAPON_PRIORITY.WEAPON_TYPE_GROUP.MELEE },
+        { id: 'ranged', labelKey: 'Ranged', typeGroup: WEAPON_PRIORITY.WEAPON_TYPE_GROUP.RANGED },
+        { id: 'thrown', labelKey: 'Thrown', typeGroup: WEAPON_PRIORITY.WEAPON_TYPE_GROUP.THROWN },
+        { id: 'powers', labelKey: 'Powers', itemType: 'power' }
+    ],
+    INPUT_DEBOUNCE: 120,                     // Delay after the last keystroke before the menu is filtered (ms)
+    MAX_QUERY_LENGTH: 64,                    // Maximum filter text length
+    OFFSET: 6,                               // Gap between the menu and the filter bar (px)
+    EDGE_PADDING: 10,                        // Minimum distance from the window edges (px)
+    HIGHLIGHT_COLOR: 0x4fc3f7,               // Border of items matching an active filter
+    HIGHLIGHT_WIDTH: 3,                      // Match border line width
+    HIGHLIGHT_ALPHA: 0.9                     // Match border opacity
+};
+
 // Grid size constants
 export const GRID = {
     DEFAULT_SIZE: 64                 // Default grid size fallback (matches EQUIPMENT_ZOOM.REFERENCE_GRID_SIZE)
@@ -246,6 +769,14 @@ export const EQUIP_STATUS = {
     MAIN_HAND: 4,
     TWO_HANDED: 5,
     
+    // Hand slots occupied by each equipped status
+    HANDS: {
+        2: ['off'],                          // Off-hand
+        4: ['main'],                         // Main hand
+        5: ['main', 'off']                   // Two-handed
+    },
+    SHIELD_EQUIPPED_MIN: 2,                  // Shields at or above this status occupy the off hand
+
     // Font Awesome icons for each status
     ICONS: {
         0: 'fas fa-archive',      // Stored in backpack/storage
@@ -305,6 +836,7 @@ export const UI_ANIMATION = {
     },
     
     // Sprite transparency
+    SPRITE_ALPHA: 1,             // Opaque sprite
     CARRIED_SPRITE_ALPHA: 0.5,   // Transparency for carried/unfavorited items
 };
 
@@ -352,6 +884,11 @@ export const RELOAD_BUTTON = {
     FADE_IN_DURATION: 200,      // Fade in duration in ms
     FADE_OUT_DURATION: 100,     // Fade out duration in ms
     
+    // Spare ammo count (ammo inventory tracking)
+    SPARE_FONT_SIZE_MULTIPLIER: 1.6,  // Font size relative to button radius
+    SPARE_STROKE_COLOR: 0x000000,  // Outline for readability over icons
+    SPARE_STROKE_THICKNESS: 3,  // Outline thickness
+    
     // Icon path
     ICON_PATH: 'modules/tokencontextmenu/icons/equipment/reload.svg'
 };
@@ -6,7 +6,10 @@
 import { weaponSystemCoordinator } from "../managers/WeaponSystemCoordinator.js";
 import { targetingSessionManager } from "../managers/TargetingSessionManager.js";
 import { debugWarn } from "./debug.js";
-import { WEAPON_PRIORITY, TOOLTIP } from "./constants.js";
+import { WEAPON_PRIORITY, TOOLTIP, TARGETING, TEMPLATE_PLACEMENT } from "./constants.js";
+import { getRangePreview } from "./rangeUtils.js";
+import { getItemTemplateShapes, getTemplateShapeLabel, buildTemplateData, getTokensInTemplate } from "./templateUtils.js";
+import { shouldShowRangePreview } from "../settings/settings.js";
 
 // Global interaction layer management
 let globalInteractionLayer = null;
@@ -23,7 +26,7 @@ export function showTargetTooltip(show = true) {
             const tooltip = document.createElement('div');
             tooltip.id = 'cursor-tooltip';
             tooltip.className = 'tokencontextmenu-tooltip';
-            tooltip.textContent = 'Select Target';
+            tooltip.textContent = game.i18n.localize("tokencontextmenu.Targeting.SelectTarget") || 'Select Target';
             document.body.appendChild(tooltip);
 
             _tooltipMouseHandler = (e) => {
@@ -41,6 +44,28 @@ export function showTargetTooltip(show = true) {
     }
 }
 
+/**
+ * Updates the text of the cursor-follow targeting tooltip
+ * @param {string} text - The text to display
+ */
+export function updateTargetTooltip(text) {
+    const tooltip = document.getElementById('cursor-tooltip');
+    if (tooltip) {
+        tooltip.textContent = text;
+    }
+}
+
+/**
+ * Formats the running target counter shown during multi-target selection
+ * @param {number} count - Number of targets selected so far
+ * @param {number} max - Maximum number of targets
+ * @returns {string} Localized counter text (e.g. "2/3 targets")
+ */
+function formatTargetCount(count, max) {
+    return game.i18n.format("tokencontextmenu.Targeting.TargetCount", { count, max }) ||
+        `${count}/${max} targets`;
+}
+
 /**
  * Hide the tooltip and clean up event listeners
  */
@@ -156,26 +181,33 @@ export function getWeaponSortPriority(item) {
 
         const basePriority = equipStatusMap[item.system.equipStatus] ?? WEAPON_PRIORITY.DEFAULT;
 
-        // Get the weapon's trait (skill used) to determine weapon type
-        const trait = item.system?.actions?.trait?.toLowerCase() || "";
-        
-        // Determine weapon type group based on skill/trait
-        let typeGroup = WEAPON_PRIORITY.WEAPON_TYPE_GROUP.MELEE; // Default to melee
-        
-        if (trait.includes("fighting")) {
-            typeGroup = WEAPON_PRIORITY.WEAPON_TYPE_GROUP.MELEE;
-        } else if (trait.includes("shooting")) {
-            typeGroup = WEAPON_PRIORITY.WEAPON_TYPE_GROUP.RANGED;
-        } else if (trait.includes("athletics") || trait.includes("throwing")) {
-            typeGroup = WEAPON_PRIORITY.WEAPON_TYPE_GROUP.THROWN;
-        }
-        
-        return typeGroup + basePriority;
+        return getWeaponTraitGroup(item) + basePriority;
     }
 
     return WEAPON_PRIORITY.OTHER;
 }
 
+/**
+ * Classifies a weapon as melee, ranged or thrown by the trait (skill) it uses
+ * Shared by the menu sorting and the equipment mode quick filters.
+ * @param {Item} weapon - The weapon item
+ * @returns {number} A WEAPON_PRIORITY.WEAPON_TYPE_GROUP value (melee for weapons without a clear trait)
+ */
+export function getWeaponTraitGroup(weapon) {
+    const trait = weapon.system?.actions?.trait?.toLowerCase() || "";
+
+    if (trait.includes("fighting")) {
+        return WEAPON_PRIORITY.WEAPON_TYPE_GROUP.MELEE;
+    } else if (trait.includes("shooting")) {
+        return WEAPON_PRIORITY.WEAPON_TYPE_GROUP.RANGED;
+    } else if (trait.includes("athletics") || trait.includes("throwing")) {
+        return WEAPON_PRIORITY.WEAPON_TYPE_GROUP.THROWN;
+    }
+
+    // Default to melee for weapons without a clear trait
+    return WEAPON_PRIORITY.WEAPON_TYPE_GROUP.MELEE;
+}
+
 /**
  * Gets the sort priority for items in equipment mode
  * Ignores equipment/favorite status to maintain consistent positioning
@@ -196,26 +228,28 @@ export function getItemSortPriorityEquipmentMode(item) {
             return WEAPON_PRIORITY.WEAPON_TYPE_GROUP.SPECIAL;
         }
 
-        // Get the weapon's trait (skill used) to determine weapon type
-        const trait = item.system?.actions?.trait?.toLowerCase() || "";
-        
-        // Determine weapon type group based on skill/trait
         // Return type group only, no equipment status consideration
-        if (trait.includes("fighting")) {
-            return WEAPON_PRIORITY.WEAPON_TYPE_GROUP.MELEE;
-        } else if (trait.includes("shooting")) {
-            return WEAPON_PRIORITY.WEAPON_TYPE_GROUP.RANGED;
-        } else if (trait.includes("athletics") || trait.includes("throwing")) {
-            return WEAPON_PRIORITY.WEAPON_TYPE_GROUP.THROWN;
-        }
-        
-        // Default to melee for weapons without a clear trait
-        return WEAPON_PRIORITY.WEAPON_TYPE_GROUP.MELEE;
+        return getWeaponTraitGroup(item);
     }
 
     return WEAPON_PRIORITY.OTHER;
 }
 
+/**
+ * Finds the token at a canvas position using its current bounds
+ * @param {number} x - Canvas X coordinate
+ * @param {number} y - Canvas Y coordinate
+ * @returns {Token|undefined} The token under the point
+ */
+function findTokenAtPoint(x, y) {
+    return canvas.tokens.placeables.find(token => {
+        return x >= token.x && 
+               x <= (token.x + token.w) && 
+               y >= token.y && 
+               y <= (token.y + token.h);
+    });
+}
+
 /**
  * Sets up click handlers for target selection with enhanced state coordination
  * 
@@ -223,12 +257,27 @@ export function getItemSortPriorityEquipmentMode(item) {
  * when tokens move during targeting (common in multiplayer games).
  * Checks current token positions on every mouse move/click for accurate detection.
  * 
+ * When maxTargets is greater than 1, left-clicks toggle targets until the user
+ * confirms with Enter or right-click. Right-click with no targets selected and
+ * Escape still cancel the session.
+ * 
+ * When a source token and item are provided, hovering a token appends the distance,
+ * range band and penalty to the tooltip. Tokens beyond extreme range cannot be selected.
+ * 
  * @param {Object} pendingData - The pending weapon roll data
  * @param {Function} onTargetSelected - Callback when target is selected
  * @param {Function} onAbort - Callback when targeting is aborted
+ * @param {Object} [options] - Targeting options
+ * @param {number} [options.maxTargets=1] - Maximum number of targets to collect
+ * @param {Token} [options.sourceToken] - The attacking token, used for range preview
+ * @param {Item} [options.item] - The weapon or power being used, used for range preview
  * @returns {Function} Cleanup function
  */
-export function setupTargetClickHandlers(pendingData, onTargetSelected, onAbort) {
+export function setupTargetClickHandlers(pendingData, onTargetSelected, onAbort, options = {}) {
+    const { maxTargets = TARGETING.DEFAULT_MAX_TARGETS, sourceToken = null, item = null } = options;
+    const isMultiTarget = maxTargets > 1;
+    const showRange = !!sourceToken && shouldShowRangePreview();
+
     if (targetingSessionManager.isActive()) {
         debugWarn('Targeting already active, aborting previous session');
         targetingSessionManager.endSession();
@@ -236,7 +285,15 @@ export function setupTargetClickHandlers(pendingData, onTargetSelected, onAbort)
 
     const sessionId = Date.now() + Math.random();
 
+    let baseTooltipText = isMultiTarget
+        ? formatTargetCount(0, maxTargets)
+        : (game.i18n.localize("tokencontextmenu.Targeting.SelectTarget") || 'Select Target');
+    let hoveredPreview = null;
+
     showTargetTooltip(true);
+    if (isMultiTarget) {
+        updateTargetTooltip(baseTooltipText);
+    }
 
     const interactionLayer = getGlobalInteractionLayer();
     interactionLayer.removeAllListeners();
@@ -246,6 +303,16 @@ export function setupTargetClickHandlers(pendingData, onTargetSelected, onAbort)
 
     let hoveredToken = null;
     let isFinishing = false;
+    let endedBy = null;  // 'confirm' or 'abort' once the session has an outcome
+
+    const refreshTooltip = () => {
+        updateTargetTooltip(hoveredPreview ? `${baseTooltipText} — ${hoveredPreview.text}` : baseTooltipText);
+    };
+
+    const isOutOfRange = (token) => {
+        if (!showRange || !token || token === sourceToken) return false;
+        return !!getRangePreview(sourceToken, token, item)?.outOfRange;
+    };
 
     const handlePointerMove = (event) => {
         if (!targetingSessionManager.isCurrentSession(sessionId)) {
@@ -258,15 +325,16 @@ export function setupTargetClickHandlers(pendingData, onTargetSelected, onAbort)
         const y = point.y;
 
         // Find token using direct position checks (always current)
-        const targetedToken = canvas.tokens.placeables.find(token => {
-            return x >= token.x && 
-                   x <= (token.x + token.w) && 
-                   y >= token.y && 
-                   y <= (token.y + token.h);
-        })
+        const targetedToken = findTokenAtPoint(x, y);
+
+        // Range is re-measured on every move since either token may have moved
+        hoveredPreview = showRange && targetedToken && targetedToken !== sourceToken
+            ? getRangePreview(sourceToken, targetedToken, item)
+            : null;
 
         // Set cursor on both canvas view and interaction layer for v13
-        const cursorStyle = targetedToken ? 'pointer' : 'default';
+        let cursorStyle = 'default';
+        if (targetedToken) cursorStyle = hoveredPreview?.outOfRange ? 'not-allowed' : 'pointer';
         canvas.app.view.style.cursor = cursorStyle;
         interactionLayer.cursor = cursorStyle;
 
@@ -275,6 +343,48 @@ export function setupTargetClickHandlers(pendingData, onTargetSelected, onAbort)
             hoveredToken = targetedToken;
             if (hoveredToken) hoveredToken.hover = true;
         }
+
+        if (showRange) refreshTooltip();
+    };
+
+    const confirmTargets = () => {
+        endedBy = 'confirm';
+        onTargetSelected();
+        targetingSessionManager.endSession();
+    };
+
+    // Release targets collected during this session so nothing lingers
+    const releaseSessionTargets = () => {
+        if (!isMultiTarget || !targetingSessionManager.isCurrentSession(sessionId)) return;
+        for (const tokenId of targetingSessionManager.getSessionTargets()) {
+            canvas.tokens.get(tokenId)?.setTarget(false, {user: game.user, releaseOthers: false, groupSelection: false});
+        }
+    };
+
+    const abortTargeting = (reason) => {
+        if (endedBy) return;
+        endedBy = 'abort';
+        releaseSessionTargets();
+        onAbort(reason);
+    };
+
+    const cancelTargeting = () => {
+        abortTargeting("Targeting cancelled.");
+        targetingSessionManager.endSession();
+    };
+
+    const toggleMultiTarget = (token) => {
+        const isTargeted = targetingSessionManager.hasSessionTarget(token.id);
+
+        if (!isTargeted && targetingSessionManager.getSessionTargets().size >= maxTargets) {
+            ui.notifications.warn(game.i18n.format("tokencontextmenu.Messages.MaxTargetsReached", { max: maxTargets }));
+            return;
+        }
+
+        targetingSessionManager.toggleSessionTarget(token.id, !isTargeted);
+        token.setTarget(!isTargeted, {user: game.user, releaseOthers: false, groupSelection: false});
+        baseTooltipText = formatTargetCount(targetingSessionManager.getSessionTargets().size, maxTargets);
+        refreshTooltip();
     };
 
     const handlePointerDown = (event) => {
@@ -285,8 +395,12 @@ export function setupTargetClickHandlers(pendingData, onTargetSelected, onAbort)
         const btn = event.data?.button ?? event.data?.originalEvent?.button;
 
         if (btn === 2) {
-            onAbort("Targeting cancelled.");
-            targetingSessionManager.endSession();
+            // Right-click confirms a multi-target selection, otherwise cancels
+            if (isMultiTarget && targetingSessionManager.getSessionTargets().size > 0) {
+                confirmTargets();
+            } else {
+                cancelTargeting();
+            }
             return;
         }
 
@@ -297,25 +411,31 @@ export function setupTargetClickHandlers(pendingData, onTargetSelected, onAbort)
             const y = point.y;
 
             // Find token using direct position checks (always current)
-            const targetedToken = canvas.tokens.placeables.find(token => {
-                return x >= token.x && 
-                       x <= (token.x + token.w) && 
-                       y >= token.y && 
-                       y <= (token.y + token.h);
-            })
-
-            if (targetedToken) {
+            const targetedToken = findTokenAtPoint(x, y);
+
+            if (!targetedToken) return;
+
+            // Targets beyond extreme range cannot be selected
+            if (isOutOfRange(targetedToken)) return;
+
+            if (isMultiTarget) {
+                toggleMultiTarget(targetedToken);
+            } else {
                 targetedToken.setTarget(true, {user: game.user, releaseOthers: true, groupSelection: false});
-                onTargetSelected();
-                targetingSessionManager.endSession();
+                confirmTargets();
             }
         }
     };
 
     const handleKeyDown = (e) => {
-        if (e.key === "Escape" && targetingSessionManager.isCurrentSession(sessionId)) {
-            onAbort("Targeting cancelled.");
-            targetingSessionManager.endSession();
+        if (!targetingSessionManager.isCurrentSession(sessionId)) return;
+
+        if (e.key === "Escape") {
+            cancelTargeting();
+        } else if (e.key === TARGETING.CONFIRM_KEY && isMultiTarget &&
+                   targetingSessionManager.getSessionTargets().size > 0) {
+            e.preventDefault();
+            confirmTargets();
         }
     };
 
@@ -330,6 +450,9 @@ export function setupTargetClickHandlers(pendingData, onTargetSelected, onAbort)
         }
         isFinishing = true;
 
+        // Sessions ended elsewhere (menu closed, scene change, a new session) count as aborted
+        abortTargeting("Targeting manually aborted.");
+
         interactionLayer.off('pointermove', handlePointerMove);
         interactionLayer.off('pointerdown', handlePointerDown);
         document.removeEventListener('keydown', handleKeyDown);
@@ -349,7 +472,160 @@ export function setupTargetClickHandlers(pendingData, onTargetSelected, onAbort)
     targetingSessionManager.startSession(sessionId, finishTargeting);
 
     return () => {
-        onAbort("Targeting manually aborted.");
+        abortTargeting("Targeting manually aborted.");
+        targetingSessionManager.endSession();
+    };
+}
+
+/**
+ * Sets up a template placement session for an AOE weapon or power
+ * 
+ * A preview template follows the cursor and snaps to the grid. The mouse wheel rotates
+ * it and Shift+wheel switches between the item's template shapes. Left-click confirms,
+ * Escape or right-click cancels. The preview is never persisted; the caller creates the
+ * MeasuredTemplate from the data passed to onPlaced.
+ * 
+ * @param {Item} item - The weapon or power with system.templates
+ * @param {Function} onPlaced - Callback receiving (templateData, tokens) on confirm
+ * @param {Function} onAbort - Callback when placement is aborted
+ * @returns {Promise<Function|null>} Cleanup function, or null if the item has no template shape
+ */
+export async function setupTemplatePlacementHandlers(item, onPlaced, onAbort) {
+    const shapes = getItemTemplateShapes(item);
+    if (!shapes.length) return null;
+
+    if (targetingSessionManager.isActive()) {
+        debugWarn('Targeting already active, aborting previous session');
+        targetingSessionManager.endSession();
+    }
+
+    const sessionId = Date.now() + Math.random();
+    let shapeIndex = 0;
+    let direction = 0;
+    let isFinishing = false;
+
+    // Start at the center of the screen until the first pointer move
+    const { x: startX, y: startY } = canvas.stage.pivot;
+    const templateDoc = new CONFIG.MeasuredTemplate.documentClass(
+        buildTemplateData(shapes[shapeIndex], { x: startX, y: startY, direction }),
+        { parent: canvas.scene }
+    );
+    const preview = new CONFIG.MeasuredTemplate.objectClass(templateDoc);
+    await preview.draw();
+    canvas.templates.preview.addChild(preview);
+
+    const refreshHint = () => {
+        updateTargetTooltip(game.i18n.format("tokencontextmenu.Templates.PlacementHint", {
+            shape: getTemplateShapeLabel(shapes[shapeIndex])
+        }));
+    };
+
+    showTargetTooltip(true);
+    refreshHint();
+
+    const interactionLayer = getGlobalInteractionLayer();
+    interactionLayer.removeAllListeners();
+    activateInteractionLayer();
+
+    const originalCursor = canvas.app.view.style.cursor;
+    canvas.app.view.style.cursor = 'crosshair';
+    interactionLayer.cursor = 'crosshair';
+
+    const handlePointerMove = (event) => {
+        if (!targetingSessionManager.isCurrentSession(sessionId)) return;
+
+        const point = event.data.getLocalPosition(canvas.stage);
+        const snapped = canvas.templates.getSnappedPoint({ x: point.x, y: point.y });
+        if (snapped.x === preview.document.x && snapped.y === preview.document.y) return;
+
+        preview.document.updateSource({ x: snapped.x, y: snapped.y });
+        preview.refresh();
+    };
+
+    const handlePointerDown = (event) => {
+        if (!targetingSessionManager.isCurrentSession(sessionId)) return;
+
+        const btn = event.data?.button ?? event.data?.originalEvent?.button;
+
+        if (btn === 2) {
+            onAbort(game.i18n.localize("tokencontextmenu.Messages.TemplatePlacementCancelled"));
+            targetingSessionManager.endSession();
+            return;
+        }
+
+        if (btn === 0) {
+            // Collect covered tokens from the preview before it is destroyed
+            const tokens = getTokensInTemplate(preview);
+            const templateData = preview.document.toObject();
+            targetingSessionManager.endSession();
+            onPlaced(templateData, tokens);
+        }
+    };
+
+    const handleWheel = (event) => {
+        if (!targetingSessionManager.isCurrentSession(sessionId)) return;
+
+        // Keep the canvas from zooming while the template is being rotated
+        event.preventDefault();
+        event.stopPropagation();
+
+        const step = Math.sign(event.deltaY) || 1;
+
+        if (event.shiftKey && shapes.length > 1) {
+            shapeIndex = (shapeIndex + step + shapes.length) % shapes.length;
+            const { x, y } = preview.document;
+            preview.document.updateSource(buildTemplateData(shapes[shapeIndex], { x, y, direction }));
+            refreshHint();
+        } else {
+            direction = (direction + step * TEMPLATE_PLACEMENT.ROTATION_STEP + 360) % 360;
+            preview.document.updateSource({ direction });
+        }
+        preview.refresh();
+    };
+
+    const handleKeyDown = (e) => {
+        if (!targetingSessionManager.isCurrentSession(sessionId)) return;
+
+        if (e.key === "Escape") {
+            onAbort(game.i18n.localize("tokencontextmenu.Messages.TemplatePlacementCancelled"));
+            targetingSessionManager.endSession();
+        }
+    };
+
+    interactionLayer.on('pointermove', handlePointerMove);
+    interactionLayer.on('pointerdown', handlePointerDown);
+    canvas.app.view.addEventListener('wheel', handleWheel, { capture: true, passive: false });
+    document.addEventListener('keydown', handleKeyDown);
+
+    function finishPlacement() {
+        if (isFinishing) {
+            debugWarn('Attempted double cleanup, ignoring');
+            return;
+        }
+        isFinishing = true;
+
+        interactionLayer.off('pointermove', handlePointerMove);
+        interactionLayer.off('pointerdown', handlePointerDown);
+        canvas.app.view.removeEventListener('wheel', handleWheel, { capture: true });
+        document.removeEventListener('keydown', handleKeyDown);
+
+        deactivateInteractionLayer();
+
+        canvas.app.view.style.cursor = originalCursor;
+
+        // Remove the preview so nothing is left on the canvas
+        if (!preview.destroyed) {
+            preview.parent?.removeChild(preview);
+            preview.destroy({ children: true });
+        }
+
+        hideTargetTooltip();
+    }
+
+    targetingSessionManager.startSession(sessionId, finishPlacement);
+
+    return () => {
+        onAbort("Template placement manually aborted.");
         targetingSessionManager.endSession();
     };
 }
@@ -0,0 +1,104 @@
+/**
+ * @file Range measurement utilities
+ * @description Parses SWADE range strings into range bands and measures token distances
+ * for the range penalty preview shown during targeting
+ */
+
+import { RANGE_BANDS } from "./constants.js";
+
+/**
+ * Parses a SWADE range string ("12/24/48") into range bands measured in grid squares
+ * Extreme range is derived from the long range using the SWADE multiplier.
+ * @param {string} range - The item's system.range value
+ * @returns {{short: number, medium: number, long: number, extreme: number}|null}
+ *          Range bands or null if the string is not a short/medium/long triple
+ */
+export function parseRangeBands(range) {
+    if (typeof range !== 'string') return null;
+
+    const parts = range.split('/').map(part => parseFloat(part.trim()));
+    if (parts.length !== 3 || parts.some(value => isNaN(value) || value <= 0)) {
+        return null;
+    }
+
+    const [short, medium, long] = parts;
+    return {
+        short,
+        medium,
+        long,
+        extreme: long * RANGE_BANDS.EXTREME_MULTIPLIER
+    };
+}
+
+/**
+ * Measures the distance between two tokens
+ * @param {Token} source - The attacking token
+ * @param {Token} target - The hovered token
+ * @returns {{distance: number, squares: number, units: string}|null} Distance in scene units
+ *          and grid squares, or null if the canvas cannot measure
+ */
+export function measureTokenDistance(source, target) {
+    if (!source?.center || !target?.center || !canvas?.grid) return null;
+
+    const result = canvas.grid.measurePath([source.center, target.center]);
+    const gridDistance = canvas.scene?.grid?.distance || 1;
+    const distance = Math.round(result.distance * 10) / 10;
+
+    return {
+        distance,
+        squares: result.distance / gridDistance,
+        units: canvas.scene?.grid?.units || ''
+    };
+}
+
+/**
+ * Determines the range band for a distance
+ * @param {Object} bands - Bands from parseRangeBands()
+ * @param {number} squares - Distance in grid squares
+ * @returns {{key: string, penalty: number}|null} The matching band, or null if beyond extreme range
+ */
+export function getRangeBand(bands, squares) {
+    if (!bands) return null;
+
+    if (squares <= bands.short) return RANGE_BANDS.SHORT;
+    if (squares <= bands.medium) return RANGE_BANDS.MEDIUM;
+    if (squares <= bands.long) return RANGE_BANDS.LONG;
+    if (squares <= bands.extreme) return RANGE_BANDS.EXTREME;
+    return null;
+}
+
+/**
+ * Builds the range preview for a hovered token
+ * @param {Token} source - The attacking token
+ * @param {Token} target - The hovered token
+ * @param {Item} item - The weapon or power being used
+ * @returns {{text: string, outOfRange: boolean}|null} Preview text and whether the
+ *          target is beyond extreme range, or null if no distance can be measured
+ */
+export function getRangePreview(source, target, item) {
+    const measurement = measureTokenDistance(source, target);
+    if (!measurement) return null;
+
+    const distanceText = `${measurement.distance}${measurement.units ? ' ' + measurement.units : ''}`;
+    const bands = parseRangeBands(item?.system?.range);
+
+    // Items without a parsable range (melee, touch, templates) only show the distance
+    if (!bands) {
+        return { text: distanceText, outOfRange: false };
+    }
+
+    const band = getRangeBand(bands, measurement.squares);
+    if (!band) {
+        return {
+            text: `${distanceText} · ${game.i18n.localize("tokencontextmenu.Range.OutOfRange")}`,
+            outOfRange: true
+        };
+    }
+
+    const bandLabel = game.i18n.localize(`tokencontextmenu.Range.${band.key}`);
+    const penalty = band.penalty === 0 ? '0' : String(band.penalty);
+    return {
+        text: `${distanceText} · ${bandLabel} (${penalty})`,
+        outOfRange: false
+    };
+}
\ No newline at end of file
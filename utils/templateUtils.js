@@ -0,0 +1,74 @@
+/**
+ * @file Measured template utilities
+ * @description Converts SWADE item template flags into MeasuredTemplate data and finds
+ * the tokens covered by a template for the template placement workflow
+ */
+
+import { TEMPLATE_PLACEMENT } from "./constants.js";
+
+/**
+ * Gets the template shapes enabled on an item
+ * @param {Item} item - The weapon or power
+ * @returns {string[]} Shape keys from TEMPLATE_PLACEMENT.SHAPE_ORDER (empty if none)
+ */
+export function getItemTemplateShapes(item) {
+    const templates = item?.system?.templates;
+    if (!templates) return [];
+
+    return TEMPLATE_PLACEMENT.SHAPE_ORDER.filter(shape => templates[shape] === true);
+}
+
+/**
+ * Gets the localized label for a template shape
+ * @param {string} shape - Shape key
+ * @returns {string} Localized shape name
+ */
+export function getTemplateShapeLabel(shape) {
+    const config = TEMPLATE_PLACEMENT.SHAPES[shape];
+    return config ? game.i18n.localize(`tokencontextmenu.Templates.${config.key}`) : shape;
+}
+
+/**
+ * Builds MeasuredTemplate document data for a shape
+ * @param {string} shape - Shape key
+ * @param {Object} position - Template origin and rotation
+ * @param {number} position.x - Origin x in canvas coordinates
+ * @param {number} position.y - Origin y in canvas coordinates
+ * @param {number} [position.direction=0] - Direction in degrees
+ * @returns {Object} Data for MeasuredTemplateDocument creation
+ */
+export function buildTemplateData(shape, { x, y, direction = 0 }) {
+    const config = TEMPLATE_PLACEMENT.SHAPES[shape];
+    const gridDistance = canvas.scene?.grid?.distance || 1;
+
+    const data = {
+        t: config.t,
+        x,
+        y,
+        direction,
+        distance: config.distance * gridDistance,
+        fillColor: game.user.color?.css ?? game.user.color,
+        user: game.user.id
+    };
+
+    if (config.angle !== undefined) data.angle = config.angle;
+    if (config.width !== undefined) data.width = config.width * gridDistance;
+
+    return data;
+}
+
+/**
+ * Finds the tokens whose center lies inside a drawn template
+ * @param {MeasuredTemplate} template - A drawn template object (preview or placed)
+ * @returns {Token[]} Covered tokens
+ */
+export function getTokensInTemplate(template) {
+    const shape = template?.shape;
+    if (!shape) return [];
+
+    const { x, y } = template.document;
+    return canvas.tokens.placeables.filter(token => {
+        const center = token.center;
+        return shape.contains(center.x - x, center.y - y);
+    });
+}
\ No newline at end of file
@@ -19,12 +19,25 @@ import {debug, debugWarn} from "./debug.js";
  * @param {Token} token - The token that owns the weapon
  * @param {string} weaponId - The ID of the selected weapon
  * @param {Function} hideMenuCallback - Callback to hide the menu
+ * @param {Object} [rollOptions] - Extra options for the roll adapter (e.g. modifiers)
  * @returns {Promise<void>}
  */
-export async function handleWeaponSelection(token, weaponId, hideMenuCallback) {
+export async function handleWeaponSelection(token, weaponId, hideMenuCallback, rollOptions = {}) {
     // Use TargetingSessionManager for weapon selection
     debug("Using TargetingSessionManager for weapon selection");
-    return targetingSessionManager.beginWeaponRoll(token, weaponId, hideMenuCallback);
+    return targetingSessionManager.beginWeaponRoll(token, weaponId, hideMenuCallback, rollOptions);
+}
+
+/**
+ * Handles rolling a pinned skill from the Skills section
+ * @param {Token} token - The token that owns the skill
+ * @param {string} skillId - The ID of the skill to roll
+ * @param {Function} hideMenuCallback - Callback to hide the menu
+ * @returns {Promise<void>}
+ */
+export async function handleSkillRoll(token, skillId, hideMenuCallback) {
+    if (hideMenuCallback) hideMenuCallback();
+    return targetingSessionManager.rollSkill(token.actor, skillId, { tokenId: token.id });
 }
 
 /**
@@ -77,6 +90,16 @@ export async function handlePowerFavoriteToggle(actor, powerId) {
     return equipmentModeHandler.togglePowerFavorite(actor, powerId);
 }
 
+/**
+ * Handles toggling the pin on a skill
+ * @param {Actor} actor - The actor that owns the skill
+ * @param {string} skillId - The ID of the skill to toggle
+ * @returns {Promise<void>}
+ */
+export async function handleSkillPinToggle(actor, skillId) {
+    return equipmentModeHandler.toggleSkillPin(actor, skillId);
+}
+
 /**
  * Handles reloading a weapon to full ammo
  * Phase 2: Delegates to EquipmentModeHandler when feature flag enabled
@@ -8,9 +8,14 @@ import {WeaponMenuApplication} from "../applications/weaponMenuApplication.js";
 import {weaponSystemCoordinator} from "../managers/WeaponSystemCoordinator.js";
 import {targetingSessionManager} from "../managers/TargetingSessionManager.js";
 import {equipmentModeHandler} from "../managers/EquipmentModeHandler.js";
+import {menuExtensionRegistry} from "../managers/MenuExtensionRegistry.js";
+import {consumableManager} from "../managers/ConsumableManager.js";
+import {statusToggleManager} from "../managers/StatusToggleManager.js";
+import {equipmentFilterManager} from "../managers/EquipmentFilterManager.js";
+import {itemOrderManager} from "../managers/ItemOrderManager.js";
 import {debug, debugWarn} from "./debug.js";
-import {WEAPON_NAMES} from "./constants.js";
-import {shouldShowEquipmentBadges} from "../settings/settings.js";
+import {WEAPON_NAMES, MENU_EXTENSIONS, STATUS_TOGGLES} from "./constants.js";
+import {shouldShowEquipmentBadges, shouldShowSkillsSection, shouldShowGearSection, shouldShowStatusToggles} from "../settings/settings.js";
 
 /**
  * Gets menu items (weapons and powers) for a token with optional expansion
@@ -18,13 +23,14 @@ import {shouldShowEquipmentBadges} from "../settings/settings.js";
  * @param {Object} options - Options for item filtering
  * @param {boolean} options.expandWeapons - Include carried (unequipped) weapons
  * @param {boolean} options.expandPowers - Include unfavorited powers
+ * @param {{query: string, chip: string|null}} [options.filter] - Equipment mode filter bar state
  * @returns {{items: Array, metadata: Map}} Items array and metadata map
  * @private
  */
 export function getMenuItems(token, options = {}) {
     if (!token?.actor) return { items: [], metadata: new Map() };
 
-    const { expandWeapons = false, expandPowers = false } = options;
+    const { expandWeapons = false, expandPowers = false, filter = null } = options;
     const metadata = new Map();
 
     // Get weapons based on equipment mode
@@ -106,25 +112,65 @@ export function getMenuItems(token, options = {}) {
         );
     }
 
-    // Sort all item arrays
-    const sortItems = (items, useEquipmentModeSort = false) => {
-        items.sort((a, b) => {
-            const priorityA = useEquipmentModeSort ? 
-                getItemSortPriorityEquipmentMode(a) : getWeaponSortPriority(a);
-            const priorityB = useEquipmentModeSort ? 
-                getItemSortPriorityEquipmentMode(b) : getWeaponSortPriority(b);
-            if (priorityA !== priorityB) {
-                return priorityA - priorityB;
-            }
-            return a.name.localeCompare(b.name);
+    // Get usable consumables (not in equipment mode, they have no equip state to manage)
+    const gear = (shouldShowGearSection() && !expandWeapons && !expandPowers)
+        ? token.actor.items.filter(i => consumableManager.isConsumable(i))
+        : [];
+
+    // Get skills: pinned skills normally, all skills in equipment mode for pinning
+    let skills = [];
+    if (shouldShowSkillsSection()) {
+        if (expandPowers) {
+            skills = token.actor.items.filter(i => i.type === "skill");
+
+            // Mark unpinned skills for grey coloring and add pin badges
+            skills.forEach(s => {
+                const isPinned = equipmentModeHandler.isSkillPinned(s);
+                metadata.set(s.id, {
+                    isUnfavorited: !isPinned,
+                    isFavorited: isPinned,
+                    showPowerBadge: shouldShowEquipmentBadges()
+                });
+            });
+        } else {
+            skills = token.actor.items.filter(i =>
+                i.type === "skill" && equipmentModeHandler.isSkillPinned(i)
+            );
+        }
+    }
+
+    // Narrow equipment mode to the items matching the filter bar and highlight them
+    if ((expandWeapons || expandPowers) && equipmentFilterManager.isActive(filter)) {
+        const matches = item => equipmentFilterManager.matches(item, filter);
+        weapons = weapons.filter(matches);
+        powers = powers.filter(matches);
+        skills = skills.filter(matches);
+
+        [...weapons, ...powers, ...skills].forEach(item => {
+            metadata.set(item.id, { ...metadata.get(item.id), isFilterMatch: true });
         });
+    }
+
+    // Default weapon order, using equipment mode sorting when in equipment mode
+    const compareWeapons = (a, b) => {
+        const priorityA = expandWeapons ? 
+            getItemSortPriorityEquipmentMode(a) : getWeaponSortPriority(a);
+        const priorityB = expandWeapons ? 
+            getItemSortPriorityEquipmentMode(b) : getWeaponSortPriority(b);
+        if (priorityA !== priorityB) {
+            return priorityA - priorityB;
+        }
+        return a.name.localeCompare(b.name);
     };
 
-    // Use equipment mode sorting when in equipment mode
-    sortItems(weapons, expandWeapons);
-    
-    // Powers always sort alphabetically
-    powers.sort((a, b) => a.name.localeCompare(b.name));
+    // Powers, skills and gear sort alphabetically by default
+    const compareNames = (a, b) => a.name.localeCompare(b.name);
+
+    // Sort each section with the chosen sort order
+    itemOrderManager.sortItems(token.actor, weapons, compareWeapons);
+    itemOrderManager.sortItems(token.actor, powers, compareNames);
+    itemOrderManager.sortItems(token.actor, skills, compareNames);
+    itemOrderManager.sortItems(token.actor, gear, compareNames);
 
     // Build result array
     const result = [];
@@ -151,9 +197,88 @@ export function getMenuItems(token, options = {}) {
         
         result.push(...powers);
     }
+
+    // Add consumable gear section
+    if (gear.length > 0) {
+        if (result.length > 0) {
+            result.push({
+                type: "separator",
+                id: "gear-separator",
+                name: "───── Gear ─────"
+            });
+        }
+
+        result.push(...gear);
+    }
+
+    // Add skills section
+    const totalSkills = shouldShowSkillsSection() ? token.actor.items.filter(i => i.type === "skill").length : 0;
+
+    if (skills.length > 0) {
+        if (result.length > 0) {
+            result.push({
+                type: "separator",
+                id: "skills-separator",
+                name: "───── Skills ─────"
+            });
+        }
+
+        result.push(...skills);
+    }
+
+    // Add custom entries registered through the module API (not in equipment mode)
+    if (!expandWeapons && !expandPowers) {
+        for (const { section, entries } of menuExtensionRegistry.getVisibleSections(token)) {
+            const label = game.i18n.localize(section.label);
+            if (result.length > 0) {
+                result.push({
+                    type: "separator",
+                    id: `${section.id}-separator`,
+                    name: `───── ${label} ─────`
+                });
+            }
+
+            result.push(...entries.map(entry => ({
+                type: MENU_EXTENSIONS.ENTRY_TYPE,
+                id: `${MENU_EXTENSIONS.ENTRY_ID_PREFIX}${entry.id}`,
+                entryId: entry.id,
+                name: game.i18n.localize(entry.label),
+                img: entry.icon
+            })));
+        }
+    }
+
+    // Add status toggle row (not in equipment mode)
+    if (shouldShowStatusToggles() && !expandWeapons && !expandPowers) {
+        const toggles = statusToggleManager.getToggles(token.actor);
+        if (toggles.length > 0 && result.length > 0) {
+            result.push({
+                type: "separator",
+                id: "status-separator",
+                name: "───── Status ─────"
+            });
+        }
+
+        toggles.forEach(toggle => {
+            const id = `${STATUS_TOGGLES.ENTRY_ID_PREFIX}${toggle.statusId}`;
+            result.push({
+                type: STATUS_TOGGLES.ENTRY_TYPE,
+                id,
+                statusId: toggle.statusId,
+                name: toggle.name,
+                img: toggle.img
+            });
+
+            // Inactive conditions are greyed like unfavorited powers, active ones get a badge
+            metadata.set(id, {
+                statusActive: toggle.active,
+                isUnfavorited: !toggle.active
+            });
+        });
+    }
     
     // Add single equipment mode toggle button if there are any items
-    if (totalWeapons > 0 || totalPowers > 0) {
+    if (totalWeapons > 0 || totalPowers > 0 || totalSkills > 0) {
         result.push({
             type: "expandButton",
             id: "expand-equipment",
@@ -305,6 +430,12 @@ export function getEquipmentStateColor(item) {
             return game.settings.get("tokencontextmenu", "equipmentColorActive");
         }
     }
+    // Skill logic
+    else if (item.type === "skill") {
+        if (equipmentModeHandler.isSkillPinned(item)) {
+            return game.settings.get("tokencontextmenu", "equipmentColorActive");
+        }
+    }
     
     return null; // Use default color
 }
\ No newline at end of file